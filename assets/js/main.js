@@ -5,6 +5,20 @@
 
 'use strict';
 
+// Base URL of the assets folder, resolved from this script so that data and
+// image paths work both from pages/ and from the flattened Pages deploy
+const ASSETS_BASE_URL = document.currentScript
+    ? new URL('../', document.currentScript.src).href
+    : new URL('../assets/', window.location.href).href;
+
+// Root of the pages (pages/ locally, the site root when deployed). The
+// manifest lives there, so prerendered pages in products/ and category/
+// resolve it correctly too.
+const SITE_BASE_URL = (() => {
+    const manifest = document.querySelector('link[rel="manifest"]');
+    return new URL('./', manifest ? manifest.href : window.location.href).href;
+})();
+
 // ===================================
 // Utility Functions
 // ===================================
@@ -49,32 +63,31 @@ const utils = {
         };
     },
 
-    /**
-     * Check if element is in viewport
-     */
-    isInViewport: function(element) {
-        const rect = element.getBoundingClientRect();
-        return (
-            rect.top >= 0 &&
-            rect.left >= 0 &&
-            rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) &&
-            rect.right <= (window.innerWidth || document.documentElement.clientWidth)
-        );
-    },
-
     /**
      * Smooth scroll to element
      */
-    smoothScrollTo: function(element, offset = 0) {
+    smoothScrollTo: function(element, offset = utils.getHeaderOffset()) {
         const elementPosition = element.getBoundingClientRect().top;
         const offsetPosition = elementPosition + window.pageYOffset - offset;
 
         window.scrollTo({
             top: offsetPosition,
-            behavior: 'smooth'
+            behavior: utils.prefersReducedMotion() ? 'auto' : 'smooth'
         });
     },
 
+    /**
+     * Height of the sticky header, so scrolled-to sections aren't hidden under it
+     */
+    getHeaderOffset: function() {
+        const header = document.querySelector('.header');
+        return header ? header.offsetHeight : 0;
+    },
+
+    prefersReducedMotion: function() {
+        return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    },
+
     /**
      * Get scroll percentage
      */
@@ -84,530 +97,8095 @@ const utils = {
         const st = 'scrollTop';
         const sh = 'scrollHeight';
         return (h[st] || b[st]) / ((h[sh] || b[sh]) - h.clientHeight) * 100;
-    }
-};
+    },
 
-// ===================================
-// Auto Scroll Component
-// ===================================
+    /**
+     * Format a price for display in the current language, e.g. "450 BYN"
+     */
+    formatPrice: function(amount, currency = 'BYN') {
+        return i18n.formatPrice(amount, currency);
+    },
 
-class AutoScroll {
-    constructor() {
-        this.init();
-    }
+    /**
+     * Read a nested value by a path like "contacts.phones[0].number"
+     */
+    getPath: function(object, path) {
+        return String(path).split(/[.[\]]+/).filter(Boolean).reduce((value, key) => (
+            value === undefined || value === null ? undefined : value[key]
+        ), object);
+    },
 
-    init() {
-        this.createScrollIndicator();
-        this.createBackToTopButton();
-        this.bindEvents();
-        this.handlePageChange();
-    }
+    /**
+     * Format a Date as YYYY-MM-DD in local time
+     */
+    toISODate: function(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
 
     /**
-     * Create scroll progress indicator
+     * The current time at the shop, as a Date whose local fields read the
+     * time at the given UTC offset whatever the visitor's timezone
      */
-    createScrollIndicator() {
-        const indicator = document.createElement('div');
-        indicator.className = 'scroll-indicator';
-        indicator.id = 'scrollIndicator';
-        document.body.appendChild(indicator);
-        this.scrollIndicator = indicator;
-    }
+    shopTime: function(utcOffsetMinutes, now = new Date()) {
+        return new Date(now.getTime() + (now.getTimezoneOffset() + utcOffsetMinutes) * 60000);
+    },
 
     /**
-     * Create back to top button functionality
+     * Offer a generated file for download
      */
-    createBackToTopButton() {
-        this.backToTopBtn = document.getElementById('backToTop');
-        if (this.backToTopBtn) {
-            this.backToTopBtn.addEventListener('click', () => {
-                window.scrollTo({
-                    top: 0,
-                    behavior: 'smooth'
-                });
-            });
+    downloadFile: function(filename, content, type = 'text/plain') {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    /**
+     * Resolve a path relative to the assets folder
+     */
+    assetUrl: function(path) {
+        return new URL(path, ASSETS_BASE_URL).href;
+    },
+
+    /**
+     * URL of a product's prerendered page (see scripts/prerender.js)
+     */
+    productUrl: function(productId) {
+        return new URL(`products/${encodeURIComponent(productId)}.html`, SITE_BASE_URL).href;
+    },
+
+    /**
+     * Read a JSON value from localStorage
+     */
+    readStorage: function(key, fallback = null) {
+        try {
+            const raw = window.localStorage.getItem(key);
+            return raw === null ? fallback : JSON.parse(raw);
+        } catch (error) {
+            return fallback;
         }
-    }
+    },
 
     /**
-     * Handle scroll events
+     * Write a JSON value to localStorage (quota and private mode errors are ignored)
      */
-    handleScroll() {
-        const scrollPercent = utils.getScrollPercent();
-        
-        // Update scroll indicator
-        if (this.scrollIndicator) {
-            this.scrollIndicator.style.width = scrollPercent + '%';
+    writeStorage: function(key, value) {
+        try {
+            window.localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            return false;
         }
+    },
 
-        // Show/hide back to top button
-        if (this.backToTopBtn) {
-            if (window.pageYOffset > 300) {
-                this.backToTopBtn.classList.add('show');
-            } else {
-                this.backToTopBtn.classList.remove('show');
+    /**
+     * Validate a value against a small JSON-schema-like description.
+     * Supports type, required, properties, items, enum, minimum and minItems.
+     * Returns a list of error messages, empty when the value is valid.
+     */
+    validateSchema: function(value, schema, path = '$') {
+        const errors = [];
+        const actualType = Array.isArray(value) ? 'array' : (value === null ? 'null' : typeof value);
+
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            const matches = types.some(type => (
+                type === 'integer' ? Number.isInteger(value) : type === actualType
+            ));
+            if (!matches || (actualType === 'number' && !Number.isFinite(value))) {
+                errors.push(`${path}: expected ${types.join('|')}, got ${actualType}`);
+                return errors;
             }
         }
 
-        // Animate elements on scroll
-        this.animateOnScroll();
-    }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+        }
 
-    /**
-     * Animate elements when they come into view
-     */
-    animateOnScroll() {
-        const elements = document.querySelectorAll('.section-title, .category-card, .payment-card, .team-member, .delivery-item');
-        
-        elements.forEach(element => {
-            if (utils.isInViewport(element) && !element.classList.contains('animated')) {
-                element.classList.add('fade-in-up', 'animated');
+        if (typeof schema.minimum === 'number' && value < schema.minimum) {
+            errors.push(`${path}: must be >= ${schema.minimum}`);
+        }
+
+        if (actualType === 'array') {
+            if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+                errors.push(`${path}: must contain at least ${schema.minItems} item(s)`);
             }
-        });
-    }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    errors.push(...utils.validateSchema(item, schema.items, `${path}[${index}]`));
+                });
+            }
+        }
 
-    /**
-     * Handle page changes (for SPA-like behavior)
-     */
-    handlePageChange() {
-        // Auto scroll to top when navigating to different sections
-        const navLinks = document.querySelectorAll('.nav-link');
-        
-        navLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                const href = link.getAttribute('href');
-                
-                // Only handle anchor links
-                if (href && href.startsWith('#')) {
-                    e.preventDefault();
-                    const targetElement = document.querySelector(href);
-                    
-                    if (targetElement) {
-                        utils.smoothScrollTo(targetElement, 80); // 80px offset for header
-                    }
-                    
-                    // Update active nav link
-                    navLinks.forEach(nl => nl.classList.remove('active'));
-                    link.classList.add('active');
+        if (actualType === 'object') {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) {
+                    errors.push(`${path}.${key}: is required`);
                 }
             });
-        });
-    }
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (key in value) {
+                    errors.push(...utils.validateSchema(value[key], propertySchema, `${path}.${key}`));
+                }
+            });
+        }
+
+        return errors;
+    },
 
     /**
-     * Bind all scroll-related events
+     * Escape text for use in HTML content and quoted attribute values
      */
-    bindEvents() {
-        const throttledScroll = utils.throttle(() => this.handleScroll(), 16);
-        window.addEventListener('scroll', throttledScroll, { passive: true });
-        
-        // Handle window resize
-        const throttledResize = utils.throttle(() => this.handleResize(), 250);
-        window.addEventListener('resize', throttledResize, { passive: true });
+    escapeHtml: function(value) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(value).replace(/[&<>"']/g, char => entities[char]);
+    },
+
+    /**
+     * Keep relative and http(s) URLs; anything else (javascript:, data:, ...)
+     * from product data or markup becomes an empty string
+     */
+    safeUrl: function(url) {
+        const value = String(url ?? '').trim();
+        // Browsers ignore tabs and line breaks inside the scheme
+        const scheme = value.replace(/[\u0000-\u0020]/g, '').match(/^([a-z][a-z\d+.-]*):/i);
+        return !scheme || ['http', 'https'].includes(scheme[1].toLowerCase()) ? value : '';
+    }
+};
+
+// ===================================
+// Templating
+// ===================================
+
+/**
+ * Markup that html`` inserts as is, i.e. the result of another html`` call
+ */
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
     }
 
     /**
-     * Handle window resize
+     * Interpolated values: SafeHtml stays markup, arrays are concatenated,
+     * null/undefined/false render nothing and everything else is escaped
      */
-    handleResize() {
-        this.animateOnScroll();
+    static from(value) {
+        if (value instanceof SafeHtml) return value.markup;
+        if (Array.isArray(value)) return value.map(item => SafeHtml.from(item)).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return utils.escapeHtml(value);
     }
 }
 
+/**
+ * Tagged template for all generated markup, so catalog and form data
+ * always render as text:
+ *   element.innerHTML = html`<h3>${product.name}</h3>`;
+ * Attribute values must be quoted; URLs from data go through utils.safeUrl().
+ */
+function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((markup, string, index) => markup + SafeHtml.from(values[index - 1]) + string));
+}
+
 // ===================================
-// Mobile Navigation
+// Localization
 // ===================================
 
-class MobileNav {
+const I18N_LANGUAGES = {
+    ru: { label: 'RU', name: 'Русский', locale: 'ru-RU' },
+    be: { label: 'BE', name: 'Беларуская', locale: 'be-BY' },
+    en: { label: 'EN', name: 'English', locale: 'en-GB' }
+};
+
+// Flat message catalogs; missing keys fall back to Russian
+const I18N_MESSAGES = {
+    ru: {
+        'common.close': 'Закрыть',
+        'common.buy': 'Купить',
+        'common.details': 'Подробнее',
+        'common.consultation': 'Консультация',
+        'common.sending': 'Отправляем...',
+        'common.retry': 'Повторить',
+        'common.error': 'Произошла ошибка. Попробуйте еще раз.',
+        'common.backToTop': 'Наверх',
+        'lang.label': 'Язык сайта',
+
+        'meta.title': 'Electro Power - Официальный дилер электротранспорта в Беларуси | Электросамокаты, Электроскутеры, Электровелосипеды',
+        'meta.productTitle': '{name} — купить за {price} | {company}',
+        'meta.productDescription': '{name} за {price}: гарантия 12 месяцев, доставка по Беларуси, тест-драйв.',
+        'meta.categoryTitle': '{category} — купить в Минске | {company}',
+        'meta.categoryDescription': '{category} в каталоге {company}: цены, характеристики, гарантия 12 месяцев и доставка по Беларуси.',
+        'header.logoAlt': 'Electro Power - Официальный дилер электротранспорта',
+        'header.tagline': 'Официальный дилер электротранспорта',
+        'nav.home': 'Главная',
+        'nav.catalog': 'Каталог',
+        'nav.about': 'О компании',
+        'nav.service': 'Сервис',
+        'nav.delivery': 'Доставка',
+        'nav.contacts': 'Контакты',
+        'nav.label': 'Основное меню',
+        'nav.open': 'Открыть меню',
+        'nav.close': 'Закрыть меню',
+
+        'hero.titleStart': 'Подберите',
+        'hero.titleHighlight': 'электротранспорт',
+        'hero.titleEnd': 'с нужными параметрами',
+        'hero.subtitleStart': 'От официального дилера в Беларуси',
+        'hero.subtitleEnd': 'Гарантия 12 месяцев + пожизненная скидка на сервисное обслуживание',
+        'hero.byRequest': 'По запросу',
+        'hero.byParams': 'По параметру',
+        'hero.imageAlt': 'Электротранспорт - электросамокаты, электроскутеры, электровелосипеды',
+
+        'category.scooters': 'Электросамокаты',
+        'category.bikes': 'Электровелосипеды',
+        'category.mopeds': 'Электроскутеры',
+        'category.all': 'Весь каталог',
+        'breadcrumbs.label': 'Навигационная цепочка',
+        'breadcrumbs.home': 'Главная',
+        'categories.title': 'Наши категории',
+        'categories.scootersText': 'Компактные и маневренные для города',
+        'categories.bikesText': 'Экологичная альтернатива обычному транспорту',
+        'categories.mopedsText': 'Комфортное передвижение на дальние расстояния',
+        'categories.viewAll': 'Смотреть все',
+
+        'models.title': 'Топ моделей',
+        'catalog.loading': 'Загружаем модели...',
+        'catalog.error': 'Не удалось загрузить каталог.',
+        'catalog.empty': 'В этой категории пока нет моделей.',
+        'catalog.notFound': 'По вашему запросу ничего не найдено.',
+        'catalog.resetFilters': 'Сбросить фильтры',
+        'catalog.count': 'Найдено: {shown} из {total}',
+        'filters.label': 'Фильтры каталога',
+        'filters.search': 'Поиск',
+        'filters.searchPlaceholder': 'Название или бренд',
+        'filters.price': 'Цена, BYN',
+        'filters.from': 'от',
+        'filters.to': 'до',
+        'filters.speed': 'Скорость от, км/ч',
+        'filters.range': 'Запас хода от, км',
+        'filters.battery': 'Батарея от, Ач',
+        'filters.sort': 'Сортировка',
+        'filters.reset': 'Сбросить',
+        'sort.popular': 'По популярности',
+        'sort.price_asc': 'Сначала дешевле',
+        'sort.price_desc': 'Сначала дороже',
+        'sort.speed_desc': 'По скорости',
+        'sort.range_desc': 'По запасу хода',
+
+        'badge.hit': 'Хит продаж',
+        'badge.new': 'Новинка',
+        'badge.sale': 'Скидка',
+        'stock.preorder': 'Под заказ',
+        'stock.out_of_stock': 'Нет в наличии',
+        'feature.max_speed': '{value} км/ч',
+        'feature.range': '{value} км запас хода',
+        'feature.battery_ah': '{value} Ач батарея',
+        'spec.max_speed': 'Максимальная скорость',
+        'spec.range': 'Запас хода',
+        'spec.battery_ah': 'Ёмкость батареи',
+        'spec.motor_power': 'Мощность мотора',
+        'spec.weight': 'Вес',
+        'spec.max_load': 'Максимальная нагрузка',
+        'spec.charge_time': 'Время зарядки',
+        'unit.kmh': 'км/ч',
+        'unit.km': 'км',
+        'unit.ah': 'Ач',
+        'unit.w': 'Вт',
+        'unit.kg': 'кг',
+        'unit.h': 'ч',
+        'product.photo': 'Фото {index}',
+        'product.calculate': 'Рассчитать',
+        'product.compare': 'Сравнить',
+        'product.inCompare': 'В сравнении',
+        'product.delivery': 'Рассчитать доставку',
+        'installment.from': 'в рассрочку от {amount}/мес',
+        'installment.placeholder': 'Условия банков приведены для примера и ещё не подтверждены.',
+
+        'cart.title': 'Корзина',
+        'cart.label': 'Корзина: {count} шт.',
+        'cart.empty': 'Корзина пуста',
+        'cart.added': '{name} добавлен в корзину',
+        'cart.decrease': 'Уменьшить количество',
+        'cart.increase': 'Увеличить количество',
+        'cart.quantity': 'Количество',
+        'cart.remove': 'Удалить',
+        'cart.total': 'Итого:',
+        'cart.checkout': 'Оформить заказ',
+        'checkout.title': 'Оформление заказа',
+        'checkout.name': 'Имя',
+        'checkout.phone': 'Телефон',
+        'checkout.delivery': 'Способ получения',
+        'checkout.address': 'Адрес доставки',
+        'checkout.total': 'Итого к оплате:',
+        'checkout.submit': 'Подтвердить заказ',
+        'checkout.success': 'Заказ оформлен! Менеджер свяжется с вами для подтверждения.',
+        'checkout.queued': 'Нет соединения. Заказ сохранён и будет отправлен автоматически.',
+        'delivery.pickup': 'Самовывоз из магазина',
+        'delivery.pickup.note': 'в Минске — бесплатно',
+        'delivery.minsk_courier': 'Доставка курьером по Минску',
+        'delivery.minsk_courier.note': 'в день заказа',
+        'delivery.belarus_shipping': 'Доставка по Беларуси',
+        'delivery.belarus_shipping.note': 'от 1 дня',
+        'delivery.cash_on_delivery': 'Оплата при получении',
+        'delivery.cash_on_delivery.note': 'после получения и проверки',
+        'deliveryEstimate.title': 'Стоимость и срок доставки',
+        'deliveryEstimate.model': 'Модель',
+        'deliveryEstimate.city': 'Город',
+        'deliveryEstimate.cityPlaceholder': 'Например, Гродно',
+        'deliveryEstimate.region': 'Область',
+        'deliveryEstimate.region.minsk': 'Минск',
+        'deliveryEstimate.region.minsk_region': 'Минская область',
+        'deliveryEstimate.region.brest': 'Брестская область',
+        'deliveryEstimate.region.vitebsk': 'Витебская область',
+        'deliveryEstimate.region.gomel': 'Гомельская область',
+        'deliveryEstimate.region.grodno': 'Гродненская область',
+        'deliveryEstimate.region.mogilev': 'Могилёвская область',
+        'deliveryEstimate.unknownCity': 'Города нет в списке — считаем как для населённого пункта: {region}',
+        'deliveryEstimate.free': 'Бесплатно',
+        'deliveryEstimate.pickupDate': 'забрать {date}',
+        'deliveryEstimate.deliveryDate': 'доставим {date}',
+        'deliveryEstimate.size': 'Габарит заказа: {size}',
+        'deliveryEstimate.size.small': 'компактный',
+        'deliveryEstimate.size.medium': 'средний',
+        'deliveryEstimate.size.large': 'крупный',
+        'deliveryEstimate.size.oversize': 'негабарит',
+        'deliveryEstimate.unavailable': 'недоступно в выбранном регионе',
+        'deliveryEstimate.error': 'Не удалось загрузить тарифы доставки. Позвоните нам, и мы всё рассчитаем',
+        'deliveryEstimate.disclaimer': 'Расчёт ориентировочный. Точную стоимость и дату доставки подтвердит менеджер.',
+        'deliveryEstimate.placeholder': 'Тарифы приведены для примера и ещё не утверждены — стоимость и сроки уточнит менеджер.',
+
+        'compare.title': 'Сравнение моделей',
+        'compare.tray': 'Сравнение ({count}/{max})',
+        'compare.open': 'Сравнить',
+        'compare.remove': 'Убрать {name} из сравнения',
+        'compare.clear': 'Очистить',
+        'compare.limit': 'Сравнить можно не более {max} моделей',
+        'compare.copied': 'Ссылка на сравнение скопирована',
+        'compare.copyPrompt': 'Скопируйте ссылку на сравнение:',
+        'compare.price': 'Цена',
+        'compare.best': 'Лучшее значение',
+        'compare.share': 'Поделиться ссылкой',
+
+        'validation.name.required': 'Укажите имя',
+        'validation.name.short': 'Имя слишком короткое',
+        'validation.name.long': 'Имя слишком длинное',
+        'validation.name.pattern': 'Имя может содержать только буквы, пробел и дефис',
+        'validation.phone.required': 'Укажите номер телефона',
+        'validation.phone.format': 'Номер должен быть в формате +375 (XX) XXX-XX-XX',
+        'validation.phone.code': 'Неизвестный код оператора. Допустимы 25, 29, 33, 44 и 17',
+        'validation.address.required': 'Укажите адрес доставки',
+        'validation.purchaseDate.required': 'Укажите дату покупки',
+        'validation.purchaseDate.future': 'Дата покупки не может быть в будущем',
+        'validation.serial.required': 'Укажите серийный номер',
+        'validation.serial.format': 'Латинские буквы, цифры и дефис, от 4 до 30 символов',
+        'validation.fault.required': 'Выберите неисправность',
+        'validation.ticket.required': 'Укажите номер заявки',
+        'validation.ticket.format': 'Номер заявки в формате SC-000000-XXXX',
+
+        'consultation.title': 'Нужна консультация?',
+        'consultation.text': 'Оставьте заявку, менеджер перезвонит вам в течение 10 минут и ответит на все вопросы',
+        'consultation.namePlaceholder': 'Ваше имя',
+        'consultation.submit': 'Получить консультацию',
+        'lead.sent': 'Заявка отправлена! Мы свяжемся с вами в течение 10 минут.',
+        'lead.queued': 'Нет соединения. Заявка сохранена и будет отправлена автоматически.',
+        'lead.flushed': 'Соединение восстановлено. Сохранённые заявки отправлены.',
+        'lead.confirm': 'Проверьте имя и телефон и нажмите кнопку ещё раз, чтобы отправить заявку.',
+        'lead.mailto': 'Заявка ещё не отправлена: мы открыли письмо в почтовой программе — отправьте его. Если письмо не открылось, позвоните нам.',
+
+        'payment.title': 'Покупка в рассрочку/кредит',
+        'payment.ideabank.title': 'Онлайн рассрочка от IdeaBank',
+        'payment.ideabank.text': 'Оформляйте рассрочку прямо со смартфона или компьютера без посещения отделения банка!',
+        'payment.ideabank.item1': 'онлайн оформление',
+        'payment.ideabank.item2': 'рассрочка от 2 до 4-х месяцев',
+        'payment.ideabank.item3': 'досрочное погашение без ограничений',
+        'payment.vtb.title': 'Онлайн рассрочка от ВТБанк',
+        'payment.vtb.text': 'Карта "Портмоне" от ВТБанк - это быстрая рассрочка без поручителей.',
+        'payment.vtb.item1': 'срок рассрочки от 2 до 48 месяцев',
+        'payment.vtb.item2': 'ответ банка в течение 15 минут',
+        'payment.vtb.item3': 'возможно досрочное погашение',
+        'payment.halva.title': 'Рассрочка по карте Халва',
+        'payment.halva.text': 'Карта Халва с различными вариантами рассрочки для любых потребностей.',
+        'payment.halva.item1': 'Халва MIX — на 3 и 6 месяцев',
+        'payment.halva.item2': 'Халва MAX — на 5 и 8 месяцев',
+        'payment.halva.item3': 'Черепаха - на 8 и 12 месяцев',
+        'calculator.title': 'Калькулятор рассрочки',
+        'calculator.model': 'Модель',
+        'calculator.customAmount': 'Своя сумма',
+        'calculator.amount': 'Сумма покупки, BYN',
+        'calculator.error': 'Не удалось загрузить условия рассрочки.',
+        'calculator.enterAmount': 'Укажите сумму покупки.',
+        'calculator.noPlans': 'Для этой суммы нет доступных программ рассрочки.',
+        'calculator.term': 'Срок',
+        'calculator.monthly': 'Платёж в месяц',
+        'calculator.overpayment': 'Переплата',
+        'calculator.total': 'Итого',
+        'calculator.months': '{count} мес.',
+        'calculator.noOverpayment': 'без переплаты',
+        'calculator.disclaimer': 'Расчёт ориентировочный. Точные условия, ставки и решение по заявке определяет банк.',
+
+        'warranty.title': 'Гарантия на наши товары',
+        'warranty.text': 'Мы предлагаем нашим клиентам только качественную продукцию, в качестве которой уверены на все сто. Станем для вас тем магазином, который захочется порекомендовать.',
+        'warranty.iconAlt': '100% гарантия',
+        'warranty.discount': 'Также наши клиенты получают пожизненную скидку на запчасти',
+        'warranty.toCatalog': 'В каталог',
+        'warranty.imageAlt': 'Гарантия качества',
+        'service.request': 'Заявка на ремонт',
+        'service.statusCheck': 'Статус ремонта',
+        'service.title': 'Заявка в сервисный центр',
+        'service.device': 'Устройство',
+        'service.model': 'Модель',
+        'service.otherModel': 'Другая модель',
+        'service.purchaseDate': 'Дата покупки',
+        'service.serial': 'Серийный номер',
+        'service.serialHint': 'Серийный номер указан на наклейке на раме или под декой, а также в гарантийном талоне.',
+        'service.warranty.hint': 'Укажите дату покупки — мы проверим, действует ли гарантия ({months} мес.).',
+        'service.warranty.covered': 'Гарантия действует до {date} — ремонт по гарантии бесплатный.',
+        'service.warranty.expired': 'Гарантия закончилась {date} — ремонт платный, запчасти для наших клиентов со скидкой.',
+        'service.fault': 'Неисправность',
+        'service.faultType': 'Что случилось',
+        'service.faultPlaceholder': 'Выберите неисправность',
+        'service.description': 'Подробности (необязательно)',
+        'service.photos': 'Фото, до {max} шт.',
+        'service.photosHint': 'Снимите неисправность и наклейку с серийным номером. Фото уменьшаются перед отправкой.',
+        'service.removePhoto': 'Удалить фото {name}',
+        'service.photoLimit': 'Можно прикрепить не более {max} фото',
+        'service.photoError': 'Не удалось обработать фото {name}',
+        'service.contacts': 'Контакты',
+        'service.submit': 'Отправить заявку',
+        'service.createdTitle': 'Заявка принята',
+        'service.ticket': 'Номер заявки',
+        'service.created': 'Сохраните номер — по нему можно проверить статус ремонта. Мастер перезвонит, чтобы договориться о приёме техники.',
+        'service.createdNoStatus': 'Сохраните номер и назовите его, когда будете звонить в сервис. Мастер перезвонит, чтобы договориться о приёме техники.',
+        'service.queued': 'Сейчас нет соединения — заявка уйдёт автоматически, как только интернет появится. Номер заявки уже действует.',
+        'service.address': 'Сервисный центр: {address}',
+        'service.checkStatus': 'Проверить статус',
+        'service.done': 'Готово',
+        'service.statusTitle': 'Статус ремонта',
+        'service.statusPhone': 'Телефон из заявки',
+        'service.statusSubmit': 'Проверить',
+        'service.notFound': 'Заявка не найдена. Проверьте номер и телефон.',
+        'service.statusError': 'Не удалось получить статус. Попробуйте позже или позвоните нам.',
+        'service.updatedAt': 'Обновлено {date}',
+        'service.status.received': 'Заявка принята',
+        'service.status.diagnostics': 'Диагностика',
+        'service.status.repair': 'Ремонт',
+        'service.status.ready': 'Готово к выдаче',
+        'service.status.issued': 'Выдано',
+        'service.fault.battery': 'Аккумулятор и зарядка',
+        'service.fault.battery.not_charging': 'Не заряжается',
+        'service.fault.battery.short_range': 'Мало проезжает на одном заряде',
+        'service.fault.battery.shuts_down': 'Выключается на ходу',
+        'service.fault.motor': 'Мотор',
+        'service.fault.motor.no_drive': 'Не едет, мотор не крутит',
+        'service.fault.motor.noise': 'Шум или вибрация',
+        'service.fault.motor.jerks': 'Рывки при разгоне',
+        'service.fault.brakes': 'Тормоза',
+        'service.fault.brakes.weak': 'Плохо тормозит',
+        'service.fault.brakes.noise': 'Скрип или скрежет',
+        'service.fault.electronics': 'Электроника',
+        'service.fault.electronics.display': 'Не работает дисплей',
+        'service.fault.electronics.error_code': 'Ошибка на дисплее',
+        'service.fault.electronics.lights': 'Не работает свет',
+        'service.fault.electronics.throttle': 'Не реагирует на газ',
+        'service.fault.chassis': 'Рама, колёса, подвеска',
+        'service.fault.chassis.puncture': 'Прокол или износ покрышки',
+        'service.fault.chassis.folding': 'Люфт в механизме складывания',
+        'service.fault.chassis.suspension': 'Стук в подвеске',
+        'service.fault.other': 'Другое',
+        'service.fault.other.other': 'Другая неисправность',
+        'testDrive.title': 'Тест драйв',
+        'testDrive.text': 'Сомневаетесь в выборе модели? Наши консультанты помогут вам подобрать интересующий вас товар, подскажут по особенностям, отличиям и плюсам той или иной модели. А для того, чтобы вы точно убедились в выборе, мы предлагаем вам воспользоваться услугой "тест-драйв".',
+        'testDrive.book': 'Записаться',
+        'testDrive.catalogError': 'Не удалось загрузить каталог. Попробуйте позже.',
+        'testDrive.heading': 'Запись на тест-драйв',
+        'testDrive.model': 'Модель',
+        'testDrive.date': 'Дата',
+        'testDrive.time': 'Время',
+        'testDrive.next': 'Далее',
+        'testDrive.back': 'Назад',
+        'testDrive.loading': 'Загружаем свободное время...',
+        'testDrive.scheduleError': 'Не удалось загрузить расписание. Попробуйте позже или позвоните нам.',
+        'testDrive.dayFull': 'На этот день свободного времени нет. Выберите другую дату.',
+        'testDrive.preferredTime': 'Выберите удобное время — менеджер перезвонит и подтвердит его.',
+        'testDrive.contactsTitle': 'Ваши контакты',
+        'testDrive.name': 'Имя',
+        'testDrive.phone': 'Телефон',
+        'testDrive.submit': 'Записаться',
+        'testDrive.slotTaken': 'Это время только что заняли. Выберите другое.',
+        'testDrive.bookedTitle': 'Вы записаны!',
+        'testDrive.summary': 'Тест-драйв {product}',
+        'testDrive.queued': 'Сейчас нет соединения — заявка уйдёт автоматически, как только интернет появится.',
+        'testDrive.confirmation': 'Менеджер перезвонит, чтобы подтвердить запись.',
+        'testDrive.addToCalendar': 'Добавить в календарь',
+        'testDrive.done': 'Готово',
+        'testDrive.calendarPhone': 'Телефон: {phone}',
+
+        'deliveryInfo.title': 'Доставка и оплата',
+        'deliveryInfo.pickupAlt': 'Самовывоз',
+        'deliveryInfo.pickupText': 'в Минске - <strong>бесплатно</strong>',
+        'deliveryInfo.courier': 'Доставка курьером',
+        'deliveryInfo.courierText': 'по Минску - <strong>в день заказа</strong>',
+        'deliveryInfo.belarusText': '<strong>от 1 дня</strong>',
+        'deliveryInfo.payment': 'Оплата',
+        'deliveryInfo.paymentText': 'всегда только <strong>после получения и проверки!</strong>',
+        'deliveryInfo.courierImageAlt': 'Курьер доставки',
+
+        'about.title': 'О нашей компании',
+        'about.intro': 'Electro power – интернет-магазин, специализирующийся на продаже <strong>электросамокатов, электровелосипедов, электроскутеров и другого электротранспорта</strong>, а также необходимые к ним запчасти и аксессуары.',
+        'about.history': 'Уже на протяжении 4 лет мы радуем своих клиентов широким ассортиментом, который подойдет абсолютно каждому, квалифицированными сотрудниками, а наличие собственного сервисного центра – это наша главная гордость!',
+        'about.scooter': 'Электросамокат',
+        'about.scooterText': 'Компактное и экологичное транспортное средство. Это не только оригинальный, но и быстрый, экономичный способ передвижения на небольшие расстояния. Идеален для городской жизни благодаря своей маневренности.',
+        'about.bike': 'Электровелосипед',
+        'about.bikeText': 'Идеальная замена любому двухколесному транспорту, не требующая парковки, больших затрат, может ездить как по дороге, так и по пешеходной зоне. Это транспортное средство от поездки на котором получаешь только удовольствие.',
+        'about.moped': 'Электроскутер',
+        'about.mopedText': 'Современное средство передвижения, набирающее популярность среди всех возрастов. С помощью электроскутера возможно быстро и с комфортом добраться до пункта назначения. Отличная альтернатива автомобилю или мопеду.',
+        'about.slogan': 'Электротранспорт – выбор современного человека! Перемещайтесь с комфортом и безопасно для окружающей среды!',
+        'about.videoTitle': 'Видео о компании Electro Power',
+        'video.play': 'Смотреть: {title}',
+        'video.note': 'Видео загрузится с youtube-nocookie.com',
+
+        'team.title': 'Наша команда',
+        'team.anastasia': 'Анастасия',
+        'team.anastasiaRole': 'Специалист клиентского сервиса',
+        'team.nikolai': 'Николай',
+        'team.nikolaiRole': 'Мастер по техническому обслуживанию',
+        'team.ivan': 'Иван',
+        'team.ivanRole': 'Менеджер по продажам',
+        'team.ekaterina': 'Екатерина',
+        'team.ekaterinaRole': 'Бухгалтер',
+        'team.andrei': 'Андрей',
+        'team.andreiRole': 'Руководитель отдела продаж',
+        'team.vladislav': 'Владислав',
+        'team.vladislavRole': 'Технический специалист',
+        'quiz.sectionTitle': 'Ответьте на 5 вопросов и мы подберем именно то, что нужно Вам!',
+        'quiz.start': 'Пройти тест',
+        'quiz.progress': 'Вопрос {current} из {total}',
+        'quiz.finished': 'Готово!',
+        'quiz.back': 'Назад',
+        'quiz.next': 'Далее',
+        'quiz.showResults': 'Показать результат',
+        'quiz.resultsTitle': 'Мы подобрали для вас',
+        'quiz.empty': 'Не нашли подходящих моделей в каталоге — менеджер подберёт вариант под ваши ответы.',
+        'quiz.restart': 'Пройти заново',
+        'quiz.consult': 'Отправить ответы менеджеру',
+        'quiz.budget.question': 'На какой бюджет вы рассчитываете?',
+        'quiz.budget.up-to-700': 'До 700 BYN',
+        'quiz.budget.700-1500': '700–1500 BYN',
+        'quiz.budget.1500-3000': '1500–3000 BYN',
+        'quiz.budget.over-3000': 'Больше 3000 BYN',
+        'quiz.distance.question': 'Сколько километров в день вы планируете проезжать?',
+        'quiz.distance.up-to-10': 'До 10 км',
+        'quiz.distance.10-30': '10–30 км',
+        'quiz.distance.30-60': '30–60 км',
+        'quiz.distance.over-60': 'Больше 60 км',
+        'quiz.weight.question': 'Какой вес водителя?',
+        'quiz.weight.up-to-80': 'До 80 кг',
+        'quiz.weight.80-100': '80–100 кг',
+        'quiz.weight.100-120': '100–120 кг',
+        'quiz.weight.over-120': 'Больше 120 кг',
+        'quiz.terrain.question': 'По каким дорогам будете ездить?',
+        'quiz.terrain.asphalt': 'Ровный асфальт и велодорожки',
+        'quiz.terrain.city': 'Город: бордюры, брусчатка, ямы',
+        'quiz.terrain.offroad': 'Грунт, горки, пригород',
+        'quiz.type.question': 'Какой вид транспорта вам интересен?',
+        'quiz.type.scooters': 'Электросамокат',
+        'quiz.type.bikes': 'Электровелосипед',
+        'quiz.type.mopeds': 'Электроскутер',
+        'quiz.type.any': 'Пока не знаю',
+
+        'footer.description': 'Официальный дилер электротранспорта в Беларуси. Более 4 лет на рынке, собственный сервисный центр.',
+        'footer.address': 'Адрес:',
+        'footer.unp': 'УНП:',
+        'footer.tradeRegister': 'Номер в торговом реестре:',
+        'footer.registeredOn': 'от',
+        'company.hours': 'Ежедневно с {open} до {close}',
+        'company.hoursSplit': 'Будни {weekdays}, выходные {weekends}',
+        'footer.links': 'Полезные ссылки',
+        'footer.catalog': 'Каталог товаров',
+        'footer.warranty': 'Гарантия и сервис',
+        'footer.testDrive': 'Тест-драйв',
+        'footer.installments': 'Рассрочка',
+        'footer.blog': 'Блог и статьи',
+        'footer.social': 'Мы в соцсетях',
+        'footer.rights': '© 2024 Electro Power. Все права защищены.',
+        'footer.tagline': 'Официальный дилер электротранспорта в Беларуси',
+
+        'consent.settings': 'Настройки cookie',
+        'consent.bannerLabel': 'Согласие на cookie',
+        'consent.bannerText': 'Мы используем cookie и похожие технологии: необходимые — для работы сайта, остальные — для аналитики и встроенного видео, только с вашего согласия.',
+        'consent.acceptAll': 'Принять все',
+        'consent.rejectAll': 'Только необходимые',
+        'consent.customize': 'Настроить',
+        'consent.intro': 'Выберите, какие данные мы можем использовать. Изменить решение можно в любой момент по ссылке в подвале сайта.',
+        'consent.save': 'Сохранить выбор',
+        'consent.necessary': 'Необходимые',
+        'consent.necessary.description': 'Корзина, сравнение, черновики форм и отправка заявок. Без них сайт не работает.',
+        'consent.analytics': 'Аналитика',
+        'consent.analytics.description': 'Google Analytics и Яндекс.Метрика помогают нам понять, какие разделы сайта полезны.',
+        'consent.media': 'Маркетинг и медиа',
+        'consent.media.description': 'Видео YouTube и другие встроенные сервисы, которые могут устанавливать свои cookie.',
+        'consent.prompt.media.title': 'Включить видео YouTube?',
+        'consent.prompt.media': 'Плеер загрузится с youtube-nocookie.com, и YouTube может установить свои cookie. Мы запомним разрешение для категории «Маркетинг и медиа» — изменить его можно в настройках cookie.',
+        'consent.prompt.allow': 'Разрешить',
+        'consent.prompt.cancel': 'Отмена'
+    },
+
+    be: {
+        'common.close': 'Закрыць',
+        'common.buy': 'Купіць',
+        'common.details': 'Падрабязней',
+        'common.consultation': 'Кансультацыя',
+        'common.sending': 'Адпраўляем...',
+        'common.retry': 'Паўтарыць',
+        'common.error': 'Адбылася памылка. Паспрабуйце яшчэ раз.',
+        'common.backToTop': 'Уверх',
+        'lang.label': 'Мова сайта',
+
+        'meta.title': 'Electro Power - Афіцыйны дылер электратранспарту ў Беларусі | Электрасамакаты, Электраскутары, Электраровары',
+        'meta.productTitle': '{name} — купіць за {price} | {company}',
+        'meta.productDescription': '{name} за {price}: гарантыя 12 месяцаў, дастаўка па Беларусі, тэст-драйў.',
+        'meta.categoryTitle': '{category} — купіць у Мінску | {company}',
+        'meta.categoryDescription': '{category} у каталогу {company}: цэны, характарыстыкі, гарантыя 12 месяцаў і дастаўка па Беларусі.',
+        'header.logoAlt': 'Electro Power - Афіцыйны дылер электратранспарту',
+        'header.tagline': 'Афіцыйны дылер электратранспарту',
+        'nav.home': 'Галоўная',
+        'nav.catalog': 'Каталог',
+        'nav.about': 'Пра кампанію',
+        'nav.service': 'Сэрвіс',
+        'nav.delivery': 'Дастаўка',
+        'nav.contacts': 'Кантакты',
+        'nav.label': 'Асноўнае меню',
+        'nav.open': 'Адкрыць меню',
+        'nav.close': 'Закрыць меню',
+
+        'hero.titleStart': 'Падбярыце',
+        'hero.titleHighlight': 'электратранспарт',
+        'hero.titleEnd': 'з патрэбнымі параметрамі',
+        'hero.subtitleStart': 'Ад афіцыйнага дылера ў Беларусі',
+        'hero.subtitleEnd': 'Гарантыя 12 месяцаў + пажыццёвая зніжка на сэрвіснае абслугоўванне',
+        'hero.byRequest': 'Па запыце',
+        'hero.byParams': 'Па параметрах',
+        'hero.imageAlt': 'Электратранспарт - электрасамакаты, электраскутары, электраровары',
+
+        'category.scooters': 'Электрасамакаты',
+        'category.bikes': 'Электраровары',
+        'category.mopeds': 'Электраскутары',
+        'category.all': 'Увесь каталог',
+        'breadcrumbs.label': 'Навігацыйны ланцужок',
+        'breadcrumbs.home': 'Галоўная',
+        'categories.title': 'Нашы катэгорыі',
+        'categories.scootersText': 'Кампактныя і манеўраныя для горада',
+        'categories.bikesText': 'Экалагічная альтэрнатыва звычайнаму транспарту',
+        'categories.mopedsText': 'Камфортныя паездкі на вялікія адлегласці',
+        'categories.viewAll': 'Глядзець усе',
+
+        'models.title': 'Топ мадэляў',
+        'catalog.loading': 'Загружаем мадэлі...',
+        'catalog.error': 'Не ўдалося загрузіць каталог.',
+        'catalog.empty': 'У гэтай катэгорыі пакуль няма мадэляў.',
+        'catalog.notFound': 'Па вашым запыце нічога не знойдзена.',
+        'catalog.resetFilters': 'Скінуць фільтры',
+        'catalog.count': 'Знойдзена: {shown} з {total}',
+        'filters.label': 'Фільтры каталога',
+        'filters.search': 'Пошук',
+        'filters.searchPlaceholder': 'Назва або брэнд',
+        'filters.price': 'Кошт, BYN',
+        'filters.from': 'ад',
+        'filters.to': 'да',
+        'filters.speed': 'Хуткасць ад, км/гадз',
+        'filters.range': 'Запас ходу ад, км',
+        'filters.battery': 'Батарэя ад, Аг',
+        'filters.sort': 'Сартаванне',
+        'filters.reset': 'Скінуць',
+        'sort.popular': 'Па папулярнасці',
+        'sort.price_asc': 'Спачатку танней',
+        'sort.price_desc': 'Спачатку даражэй',
+        'sort.speed_desc': 'Па хуткасці',
+        'sort.range_desc': 'Па запасе ходу',
+
+        'badge.hit': 'Хіт продажаў',
+        'badge.new': 'Навінка',
+        'badge.sale': 'Зніжка',
+        'stock.preorder': 'Пад заказ',
+        'stock.out_of_stock': 'Няма ў наяўнасці',
+        'feature.max_speed': '{value} км/гадз',
+        'feature.range': '{value} км запасу ходу',
+        'feature.battery_ah': '{value} Аг батарэя',
+        'spec.max_speed': 'Максімальная хуткасць',
+        'spec.range': 'Запас ходу',
+        'spec.battery_ah': 'Ёмістасць батарэі',
+        'spec.motor_power': 'Магутнасць матора',
+        'spec.weight': 'Вага',
+        'spec.max_load': 'Максімальная нагрузка',
+        'spec.charge_time': 'Час зарадкі',
+        'unit.kmh': 'км/гадз',
+        'unit.km': 'км',
+        'unit.ah': 'Аг',
+        'unit.w': 'Вт',
+        'unit.kg': 'кг',
+        'unit.h': 'гадз',
+        'product.photo': 'Фота {index}',
+        'product.calculate': 'Разлічыць',
+        'product.compare': 'Параўнаць',
+        'product.inCompare': 'У параўнанні',
+        'product.delivery': 'Разлічыць дастаўку',
+        'installment.from': 'у растэрміноўку ад {amount}/мес',
+        'installment.placeholder': 'Умовы банкаў прыведзены для прыкладу і яшчэ не пацверджаны.',
+
+        'cart.title': 'Кошык',
+        'cart.label': 'Кошык: {count} шт.',
+        'cart.empty': 'Кошык пусты',
+        'cart.added': '{name} дададзены ў кошык',
+        'cart.decrease': 'Паменшыць колькасць',
+        'cart.increase': 'Павялічыць колькасць',
+        'cart.quantity': 'Колькасць',
+        'cart.remove': 'Выдаліць',
+        'cart.total': 'Разам:',
+        'cart.checkout': 'Аформіць заказ',
+        'checkout.title': 'Афармленне заказу',
+        'checkout.name': 'Імя',
+        'checkout.phone': 'Тэлефон',
+        'checkout.delivery': 'Спосаб атрымання',
+        'checkout.address': 'Адрас дастаўкі',
+        'checkout.total': 'Разам да аплаты:',
+        'checkout.submit': 'Пацвердзіць заказ',
+        'checkout.success': 'Заказ аформлены! Менеджар звяжацца з вамі для пацверджання.',
+        'checkout.queued': 'Няма злучэння. Заказ захаваны і будзе адпраўлены аўтаматычна.',
+        'delivery.pickup': 'Самавываз з крамы',
+        'delivery.pickup.note': 'у Мінску — бясплатна',
+        'delivery.minsk_courier': 'Дастаўка кур’ерам па Мінску',
+        'delivery.minsk_courier.note': 'у дзень заказу',
+        'delivery.belarus_shipping': 'Дастаўка па Беларусі',
+        'delivery.belarus_shipping.note': 'ад 1 дня',
+        'delivery.cash_on_delivery': 'Аплата пры атрыманні',
+        'delivery.cash_on_delivery.note': 'пасля атрымання і праверкі',
+        'deliveryEstimate.title': 'Кошт і тэрмін дастаўкі',
+        'deliveryEstimate.model': 'Мадэль',
+        'deliveryEstimate.city': 'Горад',
+        'deliveryEstimate.cityPlaceholder': 'Напрыклад, Гродна',
+        'deliveryEstimate.region': 'Вобласць',
+        'deliveryEstimate.region.minsk': 'Мінск',
+        'deliveryEstimate.region.minsk_region': 'Мінская вобласць',
+        'deliveryEstimate.region.brest': 'Брэсцкая вобласць',
+        'deliveryEstimate.region.vitebsk': 'Віцебская вобласць',
+        'deliveryEstimate.region.gomel': 'Гомельская вобласць',
+        'deliveryEstimate.region.grodno': 'Гродзенская вобласць',
+        'deliveryEstimate.region.mogilev': 'Магілёўская вобласць',
+        'deliveryEstimate.unknownCity': 'Горада няма ў спісе — лічым як для населенага пункта: {region}',
+        'deliveryEstimate.free': 'Бясплатна',
+        'deliveryEstimate.pickupDate': 'забраць {date}',
+        'deliveryEstimate.deliveryDate': 'даставім {date}',
+        'deliveryEstimate.size': 'Габарыт заказу: {size}',
+        'deliveryEstimate.size.small': 'кампактны',
+        'deliveryEstimate.size.medium': 'сярэдні',
+        'deliveryEstimate.size.large': 'буйны',
+        'deliveryEstimate.size.oversize': 'негабарыт',
+        'deliveryEstimate.unavailable': 'недаступна ў абраным рэгіёне',
+        'deliveryEstimate.error': 'Не ўдалося загрузіць тарыфы дастаўкі. Патэлефануйце нам, і мы ўсё разлічым',
+        'deliveryEstimate.disclaimer': 'Разлік арыенціровачны. Дакладны кошт і дату дастаўкі пацвердзіць менеджар.',
+        'deliveryEstimate.placeholder': 'Тарыфы прыведзены для прыкладу і яшчэ не зацверджаны — кошт і тэрміны ўдакладніць менеджар.',
+
+        'compare.title': 'Параўнанне мадэляў',
+        'compare.tray': 'Параўнанне ({count}/{max})',
+        'compare.open': 'Параўнаць',
+        'compare.remove': 'Прыбраць {name} з параўнання',
+        'compare.clear': 'Ачысціць',
+        'compare.limit': 'Параўнаць можна не больш за {max} мадэлі',
+        'compare.copied': 'Спасылка на параўнанне скапіравана',
+        'compare.copyPrompt': 'Скапіруйце спасылку на параўнанне:',
+        'compare.price': 'Кошт',
+        'compare.best': 'Лепшае значэнне',
+        'compare.share': 'Падзяліцца спасылкай',
+
+        'validation.name.required': 'Укажыце імя',
+        'validation.name.short': 'Імя занадта кароткае',
+        'validation.name.long': 'Імя занадта доўгае',
+        'validation.name.pattern': 'Імя можа змяшчаць толькі літары, прабел і злучок',
+        'validation.phone.required': 'Укажыце нумар тэлефона',
+        'validation.phone.format': 'Нумар павінен быць у фармаце +375 (XX) XXX-XX-XX',
+        'validation.phone.code': 'Невядомы код аператара. Дапушчальныя 25, 29, 33, 44 і 17',
+        'validation.address.required': 'Укажыце адрас дастаўкі',
+        'validation.purchaseDate.required': 'Укажыце дату пакупкі',
+        'validation.purchaseDate.future': 'Дата пакупкі не можа быць у будучыні',
+        'validation.serial.required': 'Укажыце серыйны нумар',
+        'validation.serial.format': 'Лацінскія літары, лічбы і злучок, ад 4 да 30 сімвалаў',
+        'validation.fault.required': 'Выберыце няспраўнасць',
+        'validation.ticket.required': 'Укажыце нумар заяўкі',
+        'validation.ticket.format': 'Нумар заяўкі ў фармаце SC-000000-XXXX',
+
+        'consultation.title': 'Патрэбна кансультацыя?',
+        'consultation.text': 'Пакіньце заяўку, менеджар ператэлефануе вам на працягу 10 хвілін і адкажа на ўсе пытанні',
+        'consultation.namePlaceholder': 'Ваша імя',
+        'consultation.submit': 'Атрымаць кансультацыю',
+        'lead.sent': 'Заяўка адпраўлена! Мы звяжамся з вамі на працягу 10 хвілін.',
+        'lead.queued': 'Няма злучэння. Заяўка захавана і будзе адпраўлена аўтаматычна.',
+        'lead.mailto': 'Заяўка яшчэ не адпраўлена: мы адкрылі ліст у паштовай праграме — адпраўце яго. Калі ліст не адкрыўся, патэлефануйце нам.',
+        'lead.flushed': 'Злучэнне адноўлена. Захаваныя заяўкі адпраўлены.',
+        'lead.confirm': 'Праверце імя і тэлефон і націсніце кнопку яшчэ раз, каб адправіць заяўку.',
+
+        'payment.title': 'Пакупка ў растэрміноўку/крэдыт',
+        'payment.ideabank.title': 'Анлайн-растэрміноўка ад IdeaBank',
+        'payment.ideabank.text': 'Аформіце растэрміноўку проста са смартфона ці камп’ютара без наведвання аддзялення банка!',
+        'payment.ideabank.item1': 'анлайн-афармленне',
+        'payment.ideabank.item2': 'растэрміноўка ад 2 да 4 месяцаў',
+        'payment.ideabank.item3': 'датэрміновае пагашэнне без абмежаванняў',
+        'payment.vtb.title': 'Анлайн-растэрміноўка ад ВТБанка',
+        'payment.vtb.text': 'Картка "Портмоне" ад ВТБанка - гэта хуткая растэрміноўка без паручыцеляў.',
+        'payment.vtb.item1': 'тэрмін растэрміноўкі ад 2 да 48 месяцаў',
+        'payment.vtb.item2': 'адказ банка на працягу 15 хвілін',
+        'payment.vtb.item3': 'магчыма датэрміновае пагашэнне',
+        'payment.halva.title': 'Растэрміноўка па картцы Халва',
+        'payment.halva.text': 'Картка Халва з рознымі варыянтамі растэрміноўкі для любых патрэб.',
+        'payment.halva.item1': 'Халва MIX — на 3 і 6 месяцаў',
+        'payment.halva.item2': 'Халва MAX — на 5 і 8 месяцаў',
+        'payment.halva.item3': 'Чарапаха - на 8 і 12 месяцаў',
+        'calculator.title': 'Калькулятар растэрміноўкі',
+        'calculator.model': 'Мадэль',
+        'calculator.customAmount': 'Свая сума',
+        'calculator.amount': 'Сума пакупкі, BYN',
+        'calculator.error': 'Не ўдалося загрузіць умовы растэрміноўкі.',
+        'calculator.enterAmount': 'Укажыце суму пакупкі.',
+        'calculator.noPlans': 'Для гэтай сумы няма даступных праграм растэрміноўкі.',
+        'calculator.term': 'Тэрмін',
+        'calculator.monthly': 'Плацёж у месяц',
+        'calculator.overpayment': 'Пераплата',
+        'calculator.total': 'Разам',
+        'calculator.months': '{count} мес.',
+        'calculator.noOverpayment': 'без пераплаты',
+        'calculator.disclaimer': 'Разлік арыенціровачны. Дакладныя ўмовы, стаўкі і рашэнне па заяўцы вызначае банк.',
+
+        'warranty.title': 'Гарантыя на нашы тавары',
+        'warranty.text': 'Мы прапануем нашым кліентам толькі якасную прадукцыю, у якасці якой упэўнены на ўсе сто. Станем для вас той крамай, якую захочацца парэкамендаваць.',
+        'warranty.iconAlt': '100% гарантыя',
+        'warranty.discount': 'Таксама нашы кліенты атрымліваюць пажыццёвую зніжку на запчасткі',
+        'warranty.toCatalog': 'У каталог',
+        'warranty.imageAlt': 'Гарантыя якасці',
+        'service.request': 'Заяўка на рамонт',
+        'service.statusCheck': 'Статус рамонту',
+        'service.title': 'Заяўка ў сэрвісны цэнтр',
+        'service.device': 'Прылада',
+        'service.model': 'Мадэль',
+        'service.otherModel': 'Іншая мадэль',
+        'service.purchaseDate': 'Дата пакупкі',
+        'service.serial': 'Серыйны нумар',
+        'service.serialHint': 'Серыйны нумар пазначаны на наклейцы на раме або пад дэкай, а таксама ў гарантыйным талоне.',
+        'service.warranty.hint': 'Укажыце дату пакупкі — мы праверым, ці дзейнічае гарантыя ({months} мес.).',
+        'service.warranty.covered': 'Гарантыя дзейнічае да {date} — рамонт па гарантыі бясплатны.',
+        'service.warranty.expired': 'Гарантыя скончылася {date} — рамонт платны, запчасткі для нашых кліентаў са зніжкай.',
+        'service.fault': 'Няспраўнасць',
+        'service.faultType': 'Што здарылася',
+        'service.faultPlaceholder': 'Выберыце няспраўнасць',
+        'service.description': 'Падрабязнасці (неабавязкова)',
+        'service.photos': 'Фота, да {max} шт.',
+        'service.photosHint': 'Сфатаграфуйце няспраўнасць і наклейку з серыйным нумарам. Фота памяншаюцца перад адпраўкай.',
+        'service.removePhoto': 'Выдаліць фота {name}',
+        'service.photoLimit': 'Можна прымацаваць не больш за {max} фота',
+        'service.photoError': 'Не ўдалося апрацаваць фота {name}',
+        'service.contacts': 'Кантакты',
+        'service.submit': 'Адправіць заяўку',
+        'service.createdTitle': 'Заяўка прынята',
+        'service.ticket': 'Нумар заяўкі',
+        'service.created': 'Захавайце нумар — па ім можна праверыць статус рамонту. Майстар патэлефануе, каб дамовіцца пра прыём тэхнікі.',
+        'service.createdNoStatus': 'Захавайце нумар і назавіце яго, калі будзеце тэлефанаваць у сэрвіс. Майстар патэлефануе, каб дамовіцца пра прыём тэхнікі.',
+        'service.queued': 'Зараз няма злучэння — заяўка пойдзе аўтаматычна, як толькі з\'явіцца інтэрнэт. Нумар заяўкі ўжо дзейнічае.',
+        'service.address': 'Сэрвісны цэнтр: {address}',
+        'service.checkStatus': 'Праверыць статус',
+        'service.done': 'Гатова',
+        'service.statusTitle': 'Статус рамонту',
+        'service.statusPhone': 'Тэлефон з заяўкі',
+        'service.statusSubmit': 'Праверыць',
+        'service.notFound': 'Заяўка не знойдзена. Праверце нумар і тэлефон.',
+        'service.statusError': 'Не ўдалося атрымаць статус. Паспрабуйце пазней або патэлефануйце нам.',
+        'service.updatedAt': 'Абноўлена {date}',
+        'service.status.received': 'Заяўка прынята',
+        'service.status.diagnostics': 'Дыягностыка',
+        'service.status.repair': 'Рамонт',
+        'service.status.ready': 'Гатова да выдачы',
+        'service.status.issued': 'Выдадзена',
+        'service.fault.battery': 'Акумулятар і зарадка',
+        'service.fault.battery.not_charging': 'Не зараджаецца',
+        'service.fault.battery.short_range': 'Мала праязджае на адным зарадзе',
+        'service.fault.battery.shuts_down': 'Выключаецца на хаду',
+        'service.fault.motor': 'Матор',
+        'service.fault.motor.no_drive': 'Не едзе, матор не круціць',
+        'service.fault.motor.noise': 'Шум або вібрацыя',
+        'service.fault.motor.jerks': 'Рыўкі пры разгоне',
+        'service.fault.brakes': 'Тармазы',
+        'service.fault.brakes.weak': 'Дрэнна тармозіць',
+        'service.fault.brakes.noise': 'Скрып або скрогат',
+        'service.fault.electronics': 'Электроніка',
+        'service.fault.electronics.display': 'Не працуе дысплэй',
+        'service.fault.electronics.error_code': 'Памылка на дысплэі',
+        'service.fault.electronics.lights': 'Не працуе святло',
+        'service.fault.electronics.throttle': 'Не рэагуе на газ',
+        'service.fault.chassis': 'Рама, колы, падвеска',
+        'service.fault.chassis.puncture': 'Пракол або знос пакрышкі',
+        'service.fault.chassis.folding': 'Люфт у механізме складання',
+        'service.fault.chassis.suspension': 'Стук у падвесцы',
+        'service.fault.other': 'Іншае',
+        'service.fault.other.other': 'Іншая няспраўнасць',
+        'testDrive.title': 'Тэст-драйв',
+        'testDrive.text': 'Сумняваецеся ў выбары мадэлі? Нашы кансультанты дапамогуць вам падабраць тавар, які вас цікавіць, і раскажуць пра асаблівасці, адрозненні і перавагі той ці іншай мадэлі. А каб вы канчаткова пераканаліся ў выбары, мы прапануем вам скарыстацца паслугай "тэст-драйв".',
+        'testDrive.book': 'Запісацца',
+        'testDrive.catalogError': 'Не ўдалося загрузіць каталог. Паспрабуйце пазней.',
+        'testDrive.heading': 'Запіс на тэст-драйв',
+        'testDrive.model': 'Мадэль',
+        'testDrive.date': 'Дата',
+        'testDrive.time': 'Час',
+        'testDrive.next': 'Далей',
+        'testDrive.back': 'Назад',
+        'testDrive.loading': 'Загружаем вольны час...',
+        'testDrive.scheduleError': 'Не ўдалося загрузіць расклад. Паспрабуйце пазней або патэлефануйце нам.',
+        'testDrive.dayFull': 'На гэты дзень вольнага часу няма. Абярыце іншую дату.',
+        'testDrive.preferredTime': 'Абярыце зручны час — менеджар перазвоніць і пацвердзіць яго.',
+        'testDrive.contactsTitle': 'Вашы кантакты',
+        'testDrive.name': 'Імя',
+        'testDrive.phone': 'Тэлефон',
+        'testDrive.submit': 'Запісацца',
+        'testDrive.slotTaken': 'Гэты час толькі што занялі. Абярыце іншы.',
+        'testDrive.bookedTitle': 'Вы запісаны!',
+        'testDrive.summary': 'Тэст-драйв {product}',
+        'testDrive.queued': 'Зараз няма злучэння — заяўка пойдзе аўтаматычна, як толькі з\'явіцца інтэрнэт.',
+        'testDrive.confirmation': 'Менеджар перазвоніць, каб пацвердзіць запіс.',
+        'testDrive.addToCalendar': 'Дадаць у каляндар',
+        'testDrive.done': 'Гатова',
+        'testDrive.calendarPhone': 'Тэлефон: {phone}',
+
+        'deliveryInfo.title': 'Дастаўка і аплата',
+        'deliveryInfo.pickupAlt': 'Самавываз',
+        'deliveryInfo.pickupText': 'у Мінску - <strong>бясплатна</strong>',
+        'deliveryInfo.courier': 'Дастаўка кур’ерам',
+        'deliveryInfo.courierText': 'па Мінску - <strong>у дзень заказу</strong>',
+        'deliveryInfo.belarusText': '<strong>ад 1 дня</strong>',
+        'deliveryInfo.payment': 'Аплата',
+        'deliveryInfo.paymentText': 'заўсёды толькі <strong>пасля атрымання і праверкі!</strong>',
+        'deliveryInfo.courierImageAlt': 'Кур’ер дастаўкі',
+
+        'about.title': 'Пра нашу кампанію',
+        'about.intro': 'Electro power – інтэрнэт-крама, якая спецыялізуецца на продажы <strong>электрасамакатаў, электраровараў, электраскутараў і іншага электратранспарту</strong>, а таксама неабходных да іх запчастак і аксесуараў.',
+        'about.history': 'Ужо на працягу 4 гадоў мы радуем сваіх кліентаў шырокім асартыментам, які падыдзе абсалютна кожнаму, і кваліфікаванымі супрацоўнікамі, а ўласны сэрвісны цэнтр – наш галоўны гонар!',
+        'about.scooter': 'Электрасамакат',
+        'about.scooterText': 'Кампактны і экалагічны транспартны сродак. Гэта не толькі арыгінальны, але і хуткі, эканамічны спосаб перамяшчэння на невялікія адлегласці. Ідэальны для гарадскога жыцця дзякуючы сваёй манеўранасці.',
+        'about.bike': 'Электраровар',
+        'about.bikeText': 'Ідэальная замена любому двухколаснаму транспарту: не патрабуе паркоўкі і вялікіх выдаткаў, можа ездзіць як па дарозе, так і па пешаходнай зоне. Гэта транспартны сродак, паездка на якім прыносіць толькі задавальненне.',
+        'about.moped': 'Электраскутар',
+        'about.mopedText': 'Сучасны сродак перамяшчэння, які набірае папулярнасць ва ўсіх узростах. З дапамогай электраскутара можна хутка і з камфортам дабрацца да месца прызначэння. Выдатная альтэрнатыва аўтамабілю або мапеду.',
+        'about.slogan': 'Электратранспарт – выбар сучаснага чалавека! Перамяшчайцеся з камфортам і бяспечна для навакольнага асяроддзя!',
+        'about.videoTitle': 'Відэа пра кампанію Electro Power',
+        'video.play': 'Глядзець: {title}',
+        'video.note': 'Відэа загрузіцца з youtube-nocookie.com',
+
+        'team.title': 'Наша каманда',
+        'team.anastasia': 'Анастасія',
+        'team.anastasiaRole': 'Спецыяліст кліенцкага сэрвісу',
+        'team.nikolai': 'Мікалай',
+        'team.nikolaiRole': 'Майстар па тэхнічным абслугоўванні',
+        'team.ivan': 'Іван',
+        'team.ivanRole': 'Менеджар па продажах',
+        'team.ekaterina': 'Кацярына',
+        'team.ekaterinaRole': 'Бухгалтар',
+        'team.andrei': 'Андрэй',
+        'team.andreiRole': 'Кіраўнік аддзела продажаў',
+        'team.vladislav': 'Уладзіслаў',
+        'team.vladislavRole': 'Тэхнічны спецыяліст',
+        'quiz.sectionTitle': 'Адкажыце на 5 пытанняў, і мы падбярэм менавіта тое, што патрэбна Вам!',
+        'quiz.start': 'Прайсці тэст',
+        'quiz.progress': 'Пытанне {current} з {total}',
+        'quiz.finished': 'Гатова!',
+        'quiz.back': 'Назад',
+        'quiz.next': 'Далей',
+        'quiz.showResults': 'Паказаць вынік',
+        'quiz.resultsTitle': 'Мы падабралі для вас',
+        'quiz.empty': 'Не знайшлі адпаведных мадэляў у каталогу — менеджар падбярэ варыянт пад вашы адказы.',
+        'quiz.restart': 'Прайсці нанова',
+        'quiz.consult': 'Адправіць адказы менеджару',
+        'quiz.budget.question': 'На які бюджэт вы разлічваеце?',
+        'quiz.budget.up-to-700': 'Да 700 BYN',
+        'quiz.budget.700-1500': '700–1500 BYN',
+        'quiz.budget.1500-3000': '1500–3000 BYN',
+        'quiz.budget.over-3000': 'Больш за 3000 BYN',
+        'quiz.distance.question': 'Колькі кіламетраў у дзень вы плануеце праязджаць?',
+        'quiz.distance.up-to-10': 'Да 10 км',
+        'quiz.distance.10-30': '10–30 км',
+        'quiz.distance.30-60': '30–60 км',
+        'quiz.distance.over-60': 'Больш за 60 км',
+        'quiz.weight.question': 'Якая вага кіроўцы?',
+        'quiz.weight.up-to-80': 'Да 80 кг',
+        'quiz.weight.80-100': '80–100 кг',
+        'quiz.weight.100-120': '100–120 кг',
+        'quiz.weight.over-120': 'Больш за 120 кг',
+        'quiz.terrain.question': 'Па якіх дарогах будзеце ездзіць?',
+        'quiz.terrain.asphalt': 'Роўны асфальт і веладарожкі',
+        'quiz.terrain.city': 'Горад: бардзюры, брукаванка, ямы',
+        'quiz.terrain.offroad': 'Грунт, горкі, прыгарад',
+        'quiz.type.question': 'Які від транспарту вас цікавіць?',
+        'quiz.type.scooters': 'Электрасамакат',
+        'quiz.type.bikes': 'Электраровар',
+        'quiz.type.mopeds': 'Электраскутар',
+        'quiz.type.any': 'Пакуль не ведаю',
+
+        'footer.description': 'Афіцыйны дылер электратранспарту ў Беларусі. Больш за 4 гады на рынку, уласны сэрвісны цэнтр.',
+        'footer.address': 'Адрас:',
+        'footer.unp': 'УНП:',
+        'footer.tradeRegister': 'Нумар у гандлёвым рэестры:',
+        'footer.registeredOn': 'ад',
+        'company.hours': 'Штодня з {open} да {close}',
+        'company.hoursSplit': 'Будні {weekdays}, выхадныя {weekends}',
+        'footer.links': 'Карысныя спасылкі',
+        'footer.catalog': 'Каталог тавараў',
+        'footer.warranty': 'Гарантыя і сэрвіс',
+        'footer.testDrive': 'Тэст-драйв',
+        'footer.installments': 'Растэрміноўка',
+        'footer.blog': 'Блог і артыкулы',
+        'footer.social': 'Мы ў сацсетках',
+        'footer.rights': '© 2024 Electro Power. Усе правы абаронены.',
+        'footer.tagline': 'Афіцыйны дылер электратранспарту ў Беларусі',
+
+        'consent.settings': 'Налады cookie',
+        'consent.bannerLabel': 'Згода на cookie',
+        'consent.bannerText': 'Мы выкарыстоўваем cookie і падобныя тэхналогіі: неабходныя — для працы сайта, астатнія — для аналітыкі і ўбудаванага відэа, толькі з вашай згоды.',
+        'consent.acceptAll': 'Прыняць усе',
+        'consent.rejectAll': 'Толькі неабходныя',
+        'consent.customize': 'Наладзіць',
+        'consent.intro': 'Выберыце, якія даныя мы можам выкарыстоўваць. Змяніць рашэнне можна ў любы момант па спасылцы ў падвале сайта.',
+        'consent.save': 'Захаваць выбар',
+        'consent.necessary': 'Неабходныя',
+        'consent.necessary.description': 'Кошык, параўнанне, чарнавікі форм і адпраўка заявак. Без іх сайт не працуе.',
+        'consent.analytics': 'Аналітыка',
+        'consent.analytics.description': 'Google Analytics і Яндэкс.Метрыка дапамагаюць нам зразумець, якія раздзелы сайта карысныя.',
+        'consent.media': 'Маркетынг і медыя',
+        'consent.media.description': 'Відэа YouTube і іншыя ўбудаваныя сэрвісы, якія могуць усталёўваць свае cookie.',
+        'consent.prompt.media.title': 'Уключыць відэа YouTube?',
+        'consent.prompt.media': 'Плэер загрузіцца з youtube-nocookie.com, і YouTube можа ўсталяваць свае cookie. Мы запомнім дазвол для катэгорыі «Маркетынг і медыя» — змяніць яго можна ў наладах cookie.',
+        'consent.prompt.allow': 'Дазволіць',
+        'consent.prompt.cancel': 'Адмена'
+    },
+
+    en: {
+        'common.close': 'Close',
+        'common.buy': 'Buy',
+        'common.details': 'Details',
+        'common.consultation': 'Consultation',
+        'common.sending': 'Sending...',
+        'common.retry': 'Retry',
+        'common.error': 'Something went wrong. Please try again.',
+        'common.backToTop': 'Back to top',
+        'lang.label': 'Site language',
+
+        'meta.title': 'Electro Power - Official electric vehicle dealer in Belarus | E-scooters, Electric mopeds, E-bikes',
+        'meta.productTitle': '{name} — buy for {price} | {company}',
+        'meta.productDescription': '{name} for {price}: 12-month warranty, delivery across Belarus, test rides.',
+        'meta.categoryTitle': '{category} — buy in Minsk | {company}',
+        'meta.categoryDescription': '{category} at {company}: prices, specs, a 12-month warranty and delivery across Belarus.',
+        'header.logoAlt': 'Electro Power - Official electric vehicle dealer',
+        'header.tagline': 'Official electric vehicle dealer',
+        'nav.home': 'Home',
+        'nav.catalog': 'Catalog',
+        'nav.about': 'About us',
+        'nav.service': 'Service',
+        'nav.delivery': 'Delivery',
+        'nav.contacts': 'Contacts',
+        'nav.label': 'Main menu',
+        'nav.open': 'Open menu',
+        'nav.close': 'Close menu',
+
+        'hero.titleStart': 'Find the',
+        'hero.titleHighlight': 'electric ride',
+        'hero.titleEnd': 'that fits your needs',
+        'hero.subtitleStart': 'From the official dealer in Belarus',
+        'hero.subtitleEnd': '12-month warranty + lifetime discount on servicing',
+        'hero.byRequest': 'By request',
+        'hero.byParams': 'By parameters',
+        'hero.imageAlt': 'Electric vehicles - e-scooters, electric mopeds, e-bikes',
+
+        'category.scooters': 'E-scooters',
+        'category.bikes': 'E-bikes',
+        'category.mopeds': 'Electric mopeds',
+        'category.all': 'Full catalog',
+        'breadcrumbs.label': 'Breadcrumbs',
+        'breadcrumbs.home': 'Home',
+        'categories.title': 'Our categories',
+        'categories.scootersText': 'Compact and agile for the city',
+        'categories.bikesText': 'An eco-friendly alternative to ordinary transport',
+        'categories.mopedsText': 'Comfortable rides over long distances',
+        'categories.viewAll': 'View all',
+
+        'models.title': 'Top models',
+        'catalog.loading': 'Loading models...',
+        'catalog.error': 'Could not load the catalog.',
+        'catalog.empty': 'There are no models in this category yet.',
+        'catalog.notFound': 'Nothing matches your search.',
+        'catalog.resetFilters': 'Reset filters',
+        'catalog.count': 'Found: {shown} of {total}',
+        'filters.label': 'Catalog filters',
+        'filters.search': 'Search',
+        'filters.searchPlaceholder': 'Name or brand',
+        'filters.price': 'Price, BYN',
+        'filters.from': 'from',
+        'filters.to': 'to',
+        'filters.speed': 'Min speed, km/h',
+        'filters.range': 'Min range, km',
+        'filters.battery': 'Min battery, Ah',
+        'filters.sort': 'Sort by',
+        'filters.reset': 'Reset',
+        'sort.popular': 'Popularity',
+        'sort.price_asc': 'Price: low to high',
+        'sort.price_desc': 'Price: high to low',
+        'sort.speed_desc': 'Top speed',
+        'sort.range_desc': 'Range',
+
+        'badge.hit': 'Bestseller',
+        'badge.new': 'New',
+        'badge.sale': 'Sale',
+        'stock.preorder': 'Made to order',
+        'stock.out_of_stock': 'Out of stock',
+        'feature.max_speed': '{value} km/h',
+        'feature.range': '{value} km range',
+        'feature.battery_ah': '{value} Ah battery',
+        'spec.max_speed': 'Top speed',
+        'spec.range': 'Range',
+        'spec.battery_ah': 'Battery capacity',
+        'spec.motor_power': 'Motor power',
+        'spec.weight': 'Weight',
+        'spec.max_load': 'Max load',
+        'spec.charge_time': 'Charging time',
+        'unit.kmh': 'km/h',
+        'unit.km': 'km',
+        'unit.ah': 'Ah',
+        'unit.w': 'W',
+        'unit.kg': 'kg',
+        'unit.h': 'h',
+        'product.photo': 'Photo {index}',
+        'product.calculate': 'Calculate',
+        'product.compare': 'Compare',
+        'product.inCompare': 'Comparing',
+        'product.delivery': 'Estimate delivery',
+        'installment.from': 'or from {amount}/mo in installments',
+        'installment.placeholder': 'The bank terms are examples and have not been confirmed yet.',
+
+        'cart.title': 'Cart',
+        'cart.label': 'Cart: {count} items',
+        'cart.empty': 'Your cart is empty',
+        'cart.added': '{name} added to cart',
+        'cart.decrease': 'Decrease quantity',
+        'cart.increase': 'Increase quantity',
+        'cart.quantity': 'Quantity',
+        'cart.remove': 'Remove',
+        'cart.total': 'Total:',
+        'cart.checkout': 'Checkout',
+        'checkout.title': 'Checkout',
+        'checkout.name': 'Name',
+        'checkout.phone': 'Phone',
+        'checkout.delivery': 'Delivery method',
+        'checkout.address': 'Delivery address',
+        'checkout.total': 'Total due:',
+        'checkout.submit': 'Place order',
+        'checkout.success': 'Order placed! A manager will contact you to confirm it.',
+        'checkout.queued': 'You are offline. The order is saved and will be sent automatically.',
+        'delivery.pickup': 'Store pickup',
+        'delivery.pickup.note': 'free in Minsk',
+        'delivery.minsk_courier': 'Courier delivery in Minsk',
+        'delivery.minsk_courier.note': 'on the day of order',
+        'delivery.belarus_shipping': 'Delivery across Belarus',
+        'delivery.belarus_shipping.note': 'from 1 day',
+        'delivery.cash_on_delivery': 'Pay on delivery',
+        'delivery.cash_on_delivery.note': 'after you receive and check the order',
+        'deliveryEstimate.title': 'Delivery cost and date',
+        'deliveryEstimate.model': 'Model',
+        'deliveryEstimate.city': 'City',
+        'deliveryEstimate.cityPlaceholder': 'e.g. Grodno',
+        'deliveryEstimate.region': 'Region',
+        'deliveryEstimate.region.minsk': 'Minsk',
+        'deliveryEstimate.region.minsk_region': 'Minsk Region',
+        'deliveryEstimate.region.brest': 'Brest Region',
+        'deliveryEstimate.region.vitebsk': 'Vitebsk Region',
+        'deliveryEstimate.region.gomel': 'Gomel Region',
+        'deliveryEstimate.region.grodno': 'Grodno Region',
+        'deliveryEstimate.region.mogilev': 'Mogilev Region',
+        'deliveryEstimate.unknownCity': 'City not listed — estimating for a town in {region}',
+        'deliveryEstimate.free': 'Free',
+        'deliveryEstimate.pickupDate': 'pick up {date}',
+        'deliveryEstimate.deliveryDate': 'delivered {date}',
+        'deliveryEstimate.size': 'Order size: {size}',
+        'deliveryEstimate.size.small': 'compact',
+        'deliveryEstimate.size.medium': 'medium',
+        'deliveryEstimate.size.large': 'large',
+        'deliveryEstimate.size.oversize': 'oversize',
+        'deliveryEstimate.unavailable': 'not available in the selected region',
+        'deliveryEstimate.error': 'Could not load delivery tariffs. Call us and we will work it out',
+        'deliveryEstimate.disclaimer': 'This is an estimate. A manager will confirm the exact cost and delivery date.',
+        'deliveryEstimate.placeholder': 'These tariffs are examples and have not been approved yet. A manager will confirm the cost and dates.',
+
+        'compare.title': 'Compare models',
+        'compare.tray': 'Compare ({count}/{max})',
+        'compare.open': 'Compare',
+        'compare.remove': 'Remove {name} from comparison',
+        'compare.clear': 'Clear',
+        'compare.limit': 'You can compare up to {max} models',
+        'compare.copied': 'Comparison link copied',
+        'compare.copyPrompt': 'Copy the comparison link:',
+        'compare.price': 'Price',
+        'compare.best': 'Best value',
+        'compare.share': 'Share link',
+
+        'validation.name.required': 'Enter your name',
+        'validation.name.short': 'The name is too short',
+        'validation.name.long': 'The name is too long',
+        'validation.name.pattern': 'The name may only contain letters, spaces and hyphens',
+        'validation.phone.required': 'Enter your phone number',
+        'validation.phone.format': 'The number must look like +375 (XX) XXX-XX-XX',
+        'validation.phone.code': 'Unknown operator code. Allowed codes: 25, 29, 33, 44 and 17',
+        'validation.address.required': 'Enter the delivery address',
+        'validation.purchaseDate.required': 'Enter the purchase date',
+        'validation.purchaseDate.future': 'The purchase date cannot be in the future',
+        'validation.serial.required': 'Enter the serial number',
+        'validation.serial.format': 'Latin letters, digits and hyphens, 4 to 30 characters',
+        'validation.fault.required': 'Choose the fault',
+        'validation.ticket.required': 'Enter the ticket number',
+        'validation.ticket.format': 'Ticket numbers look like SC-000000-XXXX',
+
+        'consultation.title': 'Need advice?',
+        'consultation.text': 'Leave a request and a manager will call you back within 10 minutes to answer all your questions',
+        'consultation.namePlaceholder': 'Your name',
+        'consultation.submit': 'Get advice',
+        'lead.sent': 'Request sent! We will contact you within 10 minutes.',
+        'lead.queued': 'You are offline. The request is saved and will be sent automatically.',
+        'lead.mailto': 'Not sent yet: we opened an e-mail in your mail app, please send it. If it did not open, give us a call.',
+        'lead.flushed': 'Back online. Your saved requests have been sent.',
+        'lead.confirm': 'Check your name and phone number, then press the button again to send the request.',
+
+        'payment.title': 'Installments and credit',
+        'payment.ideabank.title': 'Online installments from IdeaBank',
+        'payment.ideabank.text': 'Apply for installments right from your phone or computer without visiting a bank branch!',
+        'payment.ideabank.item1': 'online application',
+        'payment.ideabank.item2': 'installments from 2 to 4 months',
+        'payment.ideabank.item3': 'early repayment without restrictions',
+        'payment.vtb.title': 'Online installments from VTB Bank',
+        'payment.vtb.text': 'The "Portmone" card from VTB Bank gives you fast installments without guarantors.',
+        'payment.vtb.item1': 'installment term from 2 to 48 months',
+        'payment.vtb.item2': 'bank decision within 15 minutes',
+        'payment.vtb.item3': 'early repayment is possible',
+        'payment.halva.title': 'Installments with the Halva card',
+        'payment.halva.text': 'The Halva card offers installment options for every need.',
+        'payment.halva.item1': 'Halva MIX — 3 and 6 months',
+        'payment.halva.item2': 'Halva MAX — 5 and 8 months',
+        'payment.halva.item3': 'Turtle - 8 and 12 months',
+        'calculator.title': 'Installment calculator',
+        'calculator.model': 'Model',
+        'calculator.customAmount': 'Custom amount',
+        'calculator.amount': 'Purchase amount, BYN',
+        'calculator.error': 'Could not load the installment terms.',
+        'calculator.enterAmount': 'Enter the purchase amount.',
+        'calculator.noPlans': 'No installment plans are available for this amount.',
+        'calculator.term': 'Term',
+        'calculator.monthly': 'Monthly payment',
+        'calculator.overpayment': 'Overpayment',
+        'calculator.total': 'Total',
+        'calculator.months': '{count} mo.',
+        'calculator.noOverpayment': 'no overpayment',
+        'calculator.disclaimer': 'This is an estimate. The bank sets the exact terms and rates and decides on the application.',
+
+        'warranty.title': 'Warranty on our products',
+        'warranty.text': 'We offer our customers only quality products we are one hundred percent sure of. We aim to be the store you will want to recommend.',
+        'warranty.iconAlt': '100% warranty',
+        'warranty.discount': 'Our customers also get a lifetime discount on spare parts',
+        'warranty.toCatalog': 'To the catalog',
+        'warranty.imageAlt': 'Quality guarantee',
+        'service.request': 'Request a repair',
+        'service.statusCheck': 'Repair status',
+        'service.title': 'Service center request',
+        'service.device': 'Vehicle',
+        'service.model': 'Model',
+        'service.otherModel': 'Other model',
+        'service.purchaseDate': 'Purchase date',
+        'service.serial': 'Serial number',
+        'service.serialHint': 'The serial number is on the sticker on the frame or under the deck, and on the warranty card.',
+        'service.warranty.hint': 'Enter the purchase date and we will check the warranty ({months} months).',
+        'service.warranty.covered': 'Under warranty until {date}: the repair is free of charge.',
+        'service.warranty.expired': 'The warranty ended on {date}: the repair is paid, with discounted parts for our customers.',
+        'service.fault': 'Fault',
+        'service.faultType': 'What happened',
+        'service.faultPlaceholder': 'Choose the fault',
+        'service.description': 'Details (optional)',
+        'service.photos': 'Photos, up to {max}',
+        'service.photosHint': 'Show the fault and the serial number sticker. Photos are downsized before sending.',
+        'service.removePhoto': 'Remove photo {name}',
+        'service.photoLimit': 'You can attach up to {max} photos',
+        'service.photoError': 'Could not process photo {name}',
+        'service.contacts': 'Contacts',
+        'service.submit': 'Send request',
+        'service.createdTitle': 'Request received',
+        'service.ticket': 'Ticket number',
+        'service.created': 'Keep this number to check the repair status. A technician will call you to arrange the drop-off.',
+        'service.createdNoStatus': 'Keep this number and mention it when you call the service center. A technician will call you to arrange the drop-off.',
+        'service.queued': 'You are offline: the request will be sent automatically once you are back online. The ticket number is already valid.',
+        'service.address': 'Service center: {address}',
+        'service.checkStatus': 'Check status',
+        'service.done': 'Done',
+        'service.statusTitle': 'Repair status',
+        'service.statusPhone': 'Phone from the request',
+        'service.statusSubmit': 'Check',
+        'service.notFound': 'Ticket not found. Check the number and the phone.',
+        'service.statusError': 'Could not get the status. Try again later or give us a call.',
+        'service.updatedAt': 'Updated {date}',
+        'service.status.received': 'Received',
+        'service.status.diagnostics': 'Diagnostics',
+        'service.status.repair': 'Repair',
+        'service.status.ready': 'Ready for pickup',
+        'service.status.issued': 'Picked up',
+        'service.fault.battery': 'Battery and charging',
+        'service.fault.battery.not_charging': 'Does not charge',
+        'service.fault.battery.short_range': 'Short range on a full charge',
+        'service.fault.battery.shuts_down': 'Shuts down while riding',
+        'service.fault.motor': 'Motor',
+        'service.fault.motor.no_drive': 'Does not drive, motor does not turn',
+        'service.fault.motor.noise': 'Noise or vibration',
+        'service.fault.motor.jerks': 'Jerks when accelerating',
+        'service.fault.brakes': 'Brakes',
+        'service.fault.brakes.weak': 'Weak braking',
+        'service.fault.brakes.noise': 'Squeaking or grinding',
+        'service.fault.electronics': 'Electronics',
+        'service.fault.electronics.display': 'Display does not work',
+        'service.fault.electronics.error_code': 'Error code on the display',
+        'service.fault.electronics.lights': 'Lights do not work',
+        'service.fault.electronics.throttle': 'Throttle does not respond',
+        'service.fault.chassis': 'Frame, wheels, suspension',
+        'service.fault.chassis.puncture': 'Puncture or worn tyre',
+        'service.fault.chassis.folding': 'Play in the folding mechanism',
+        'service.fault.chassis.suspension': 'Knocking suspension',
+        'service.fault.other': 'Other',
+        'service.fault.other.other': 'Other fault',
+        'testDrive.title': 'Test drive',
+        'testDrive.text': 'Not sure which model to choose? Our consultants will help you pick the right product and explain the features, differences and advantages of each model. And to make you sure of your choice, we offer a "test drive" service.',
+        'testDrive.book': 'Book a ride',
+        'testDrive.catalogError': 'Could not load the catalog. Please try again later.',
+        'testDrive.heading': 'Book a test drive',
+        'testDrive.model': 'Model',
+        'testDrive.date': 'Date',
+        'testDrive.time': 'Time',
+        'testDrive.next': 'Next',
+        'testDrive.back': 'Back',
+        'testDrive.loading': 'Loading available times...',
+        'testDrive.scheduleError': 'Could not load the schedule. Please try again later or give us a call.',
+        'testDrive.dayFull': 'No free time left on this day. Please pick another date.',
+        'testDrive.preferredTime': 'Pick a time that suits you; a manager will call you back to confirm it.',
+        'testDrive.contactsTitle': 'Your contact details',
+        'testDrive.name': 'Name',
+        'testDrive.phone': 'Phone',
+        'testDrive.submit': 'Book',
+        'testDrive.slotTaken': 'This time has just been taken. Please pick another one.',
+        'testDrive.bookedTitle': 'You are booked!',
+        'testDrive.summary': 'Test drive: {product}',
+        'testDrive.queued': 'You are offline: the request will be sent automatically once you are back online.',
+        'testDrive.confirmation': 'A manager will call you back to confirm the booking.',
+        'testDrive.addToCalendar': 'Add to calendar',
+        'testDrive.done': 'Done',
+        'testDrive.calendarPhone': 'Phone: {phone}',
+
+        'deliveryInfo.title': 'Delivery and payment',
+        'deliveryInfo.pickupAlt': 'Pickup',
+        'deliveryInfo.pickupText': 'in Minsk - <strong>free</strong>',
+        'deliveryInfo.courier': 'Courier delivery',
+        'deliveryInfo.courierText': 'in Minsk - <strong>on the day of order</strong>',
+        'deliveryInfo.belarusText': '<strong>from 1 day</strong>',
+        'deliveryInfo.payment': 'Payment',
+        'deliveryInfo.paymentText': 'always only <strong>after you receive and check it!</strong>',
+        'deliveryInfo.courierImageAlt': 'Delivery courier',
+
+        'about.title': 'About our company',
+        'about.intro': 'Electro power is an online store specialising in <strong>e-scooters, e-bikes, electric mopeds and other electric vehicles</strong>, as well as the spare parts and accessories they need.',
+        'about.history': 'For 4 years now we have been delighting our customers with a wide range that suits absolutely everyone and with qualified staff, and our own service centre is our greatest pride!',
+        'about.scooter': 'E-scooter',
+        'about.scooterText': 'A compact and eco-friendly vehicle. It is not only an original but also a fast and economical way to cover short distances. Perfect for city life thanks to its agility.',
+        'about.bike': 'E-bike',
+        'about.bikeText': 'The perfect replacement for any two-wheeler: no parking or big costs, and it can ride both on the road and in pedestrian areas. A vehicle that is pure pleasure to ride.',
+        'about.moped': 'Electric moped',
+        'about.mopedText': 'A modern means of transport that is gaining popularity at all ages. An electric moped gets you to your destination quickly and comfortably. A great alternative to a car or a petrol moped.',
+        'about.slogan': 'Electric transport is the choice of the modern person! Travel in comfort and without harming the environment!',
+        'about.videoTitle': 'Electro Power company video',
+        'video.play': 'Watch: {title}',
+        'video.note': 'The video loads from youtube-nocookie.com',
+
+        'team.title': 'Our team',
+        'team.anastasia': 'Anastasia',
+        'team.anastasiaRole': 'Customer service specialist',
+        'team.nikolai': 'Nikolai',
+        'team.nikolaiRole': 'Maintenance technician',
+        'team.ivan': 'Ivan',
+        'team.ivanRole': 'Sales manager',
+        'team.ekaterina': 'Ekaterina',
+        'team.ekaterinaRole': 'Accountant',
+        'team.andrei': 'Andrei',
+        'team.andreiRole': 'Head of sales',
+        'team.vladislav': 'Vladislav',
+        'team.vladislavRole': 'Technical specialist',
+        'quiz.sectionTitle': 'Answer 5 questions and we will find exactly what you need!',
+        'quiz.start': 'Take the quiz',
+        'quiz.progress': 'Question {current} of {total}',
+        'quiz.finished': 'Done!',
+        'quiz.back': 'Back',
+        'quiz.next': 'Next',
+        'quiz.showResults': 'Show results',
+        'quiz.resultsTitle': 'Our picks for you',
+        'quiz.empty': 'No catalog model fits your answers; a manager will find an option for you.',
+        'quiz.restart': 'Start over',
+        'quiz.consult': 'Send answers to a manager',
+        'quiz.budget.question': 'What is your budget?',
+        'quiz.budget.up-to-700': 'Up to 700 BYN',
+        'quiz.budget.700-1500': '700–1500 BYN',
+        'quiz.budget.1500-3000': '1500–3000 BYN',
+        'quiz.budget.over-3000': 'Over 3000 BYN',
+        'quiz.distance.question': 'How many kilometres a day do you plan to ride?',
+        'quiz.distance.up-to-10': 'Up to 10 km',
+        'quiz.distance.10-30': '10–30 km',
+        'quiz.distance.30-60': '30–60 km',
+        'quiz.distance.over-60': 'Over 60 km',
+        'quiz.weight.question': 'How much does the rider weigh?',
+        'quiz.weight.up-to-80': 'Up to 80 kg',
+        'quiz.weight.80-100': '80–100 kg',
+        'quiz.weight.100-120': '100–120 kg',
+        'quiz.weight.over-120': 'Over 120 kg',
+        'quiz.terrain.question': 'What roads will you ride on?',
+        'quiz.terrain.asphalt': 'Smooth asphalt and bike lanes',
+        'quiz.terrain.city': 'City: curbs, cobblestones, potholes',
+        'quiz.terrain.offroad': 'Dirt roads, hills, suburbs',
+        'quiz.type.question': 'What kind of vehicle are you interested in?',
+        'quiz.type.scooters': 'Electric scooter',
+        'quiz.type.bikes': 'Electric bike',
+        'quiz.type.mopeds': 'Electric moped',
+        'quiz.type.any': 'Not sure yet',
+
+        'footer.description': 'Official electric vehicle dealer in Belarus. Over 4 years on the market, with our own service centre.',
+        'footer.address': 'Address:',
+        'footer.unp': 'Tax ID (UNP):',
+        'footer.tradeRegister': 'Trade register number:',
+        'footer.registeredOn': 'of',
+        'company.hours': 'Daily from {open} to {close}',
+        'company.hoursSplit': 'Weekdays {weekdays}, weekends {weekends}',
+        'footer.links': 'Useful links',
+        'footer.catalog': 'Product catalog',
+        'footer.warranty': 'Warranty and service',
+        'footer.testDrive': 'Test drive',
+        'footer.installments': 'Installments',
+        'footer.blog': 'Blog and articles',
+        'footer.social': 'Follow us',
+        'footer.rights': '© 2024 Electro Power. All rights reserved.',
+        'footer.tagline': 'Official electric vehicle dealer in Belarus',
+
+        'consent.settings': 'Cookie settings',
+        'consent.bannerLabel': 'Cookie consent',
+        'consent.bannerText': 'We use cookies and similar technologies: the necessary ones to run the site, the others for analytics and embedded video, only with your consent.',
+        'consent.acceptAll': 'Accept all',
+        'consent.rejectAll': 'Necessary only',
+        'consent.customize': 'Customize',
+        'consent.intro': 'Choose which data we may use. You can change your decision at any time using the link in the site footer.',
+        'consent.save': 'Save choice',
+        'consent.necessary': 'Necessary',
+        'consent.necessary.description': 'Cart, comparison, form drafts and sending requests. The site does not work without them.',
+        'consent.analytics': 'Analytics',
+        'consent.analytics.description': 'Google Analytics and Yandex Metrica help us understand which parts of the site are useful.',
+        'consent.media': 'Marketing and media',
+        'consent.media.description': 'YouTube videos and other embedded services that may set their own cookies.',
+        'consent.prompt.media.title': 'Play the YouTube video?',
+        'consent.prompt.media': 'The player loads from youtube-nocookie.com, and YouTube may set its own cookies. We will remember this for the Marketing and media category; you can change it in the cookie settings.',
+        'consent.prompt.allow': 'Allow',
+        'consent.prompt.cancel': 'Cancel'
+    }
+};
+
+const i18n = {
+    DEFAULT_LANGUAGE: 'ru',
+    STORAGE_KEY: 'electropower:lang',
+    lang: 'ru',
+
+    /**
+     * Pick the language: ?lang= link, stored choice, browser languages
+     */
+    detect: function() {
+        const candidates = [
+            new URLSearchParams(window.location.search).get('lang'),
+            utils.readStorage(this.STORAGE_KEY, null),
+            ...(navigator.languages || [navigator.language]).map(tag => String(tag).slice(0, 2).toLowerCase())
+        ];
+        return candidates.find(lang => I18N_LANGUAGES[lang]) || this.DEFAULT_LANGUAGE;
+    },
+
+    init: function() {
+        this.lang = this.detect();
+        document.documentElement.lang = this.lang;
+        this.apply();
+    },
+
+    getLocale: function() {
+        return I18N_LANGUAGES[this.lang].locale;
+    },
+
+    /**
+     * Translate a key, filling "{name}" placeholders from params
+     */
+    t: function(key, params = {}) {
+        const messages = I18N_MESSAGES[this.lang] || {};
+        const message = key in messages ? messages[key] : I18N_MESSAGES[this.DEFAULT_LANGUAGE][key];
+        if (message === undefined) return key;
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    },
+
+    formatNumber: function(value, options = {}) {
+        return new Intl.NumberFormat(this.getLocale(), options).format(value);
+    },
+
+    formatPrice: function(amount, currency = 'BYN') {
+        return this.formatNumber(amount, {
+            style: 'currency',
+            currency,
+            minimumFractionDigits: 0,
+            maximumFractionDigits: Number.isInteger(amount) ? 0 : 2
+        });
+    },
+
+    setLanguage: function(lang) {
+        if (!I18N_LANGUAGES[lang] || lang === this.lang) return;
+
+        this.lang = lang;
+        utils.writeStorage(this.STORAGE_KEY, lang);
+        document.documentElement.lang = lang;
+        this.apply();
+        document.dispatchEvent(new CustomEvent('i18n:change', { detail: { lang } }));
+    },
+
+    /**
+     * Translate static markup: data-i18n sets the text, data-i18n-html the
+     * markup (catalog strings only), data-i18n-attr="attr:key;attr:key"
+     * attributes
+     */
+    apply: function(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+
+        root.querySelectorAll('[data-i18n-html]').forEach(element => {
+            element.innerHTML = this.t(element.dataset.i18nHtml);
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) element.setAttribute(attribute, this.t(key));
+            });
+        });
+    }
+};
+
+class LanguageSwitcher {
     constructor() {
         this.init();
     }
 
     init() {
-        this.menuToggle = document.querySelector('.mobile-menu-toggle');
-        this.navList = document.querySelector('.nav-list');
-        this.navLinks = document.querySelectorAll('.nav-link');
-        
-        this.bindEvents();
+        this.container = document.querySelector('.lang-switcher');
+        if (!this.container) return;
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-lang]');
+            if (button) i18n.setLanguage(button.dataset.lang);
+        });
+
+        document.addEventListener('i18n:change', () => this.render());
+        this.render();
     }
 
-    bindEvents() {
-        if (this.menuToggle && this.navList) {
-            this.menuToggle.addEventListener('click', () => this.toggleMenu());
-            
-            // Close menu when clicking on nav links
-            this.navLinks.forEach(link => {
-                link.addEventListener('click', () => this.closeMenu());
-            });
-            
-            // Close menu when clicking outside
-            document.addEventListener('click', (e) => {
-                if (!e.target.closest('.main-nav') && !e.target.closest('.mobile-menu-toggle')) {
-                    this.closeMenu();
-                }
-            });
-        }
+    render() {
+        this.container.querySelectorAll('[data-lang]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.lang === i18n.lang));
+        });
     }
+}
 
-    toggleMenu() {
-        this.navList.classList.toggle('active');
-        this.menuToggle.classList.toggle('active');
-        
-        // Animate hamburger menu
-        this.animateHamburger();
+// ===================================
+// Phone Numbers & Form Validation
+// ===================================
+
+const phoneUtils = {
+    COUNTRY_CODE: '375',
+    MOBILE_CODES: ['25', '29', '33', '44'],
+    LANDLINE_CODES: ['17'],
+
+    /**
+     * Extract up to 9 national digits, accepting +375, 375 and 80 prefixes
+     */
+    getNationalDigits: function(value) {
+        let digits = String(value || '').replace(/\D/g, '');
+
+        if (digits.startsWith(this.COUNTRY_CODE)) {
+            digits = digits.slice(this.COUNTRY_CODE.length);
+        } else if (digits.startsWith('80')) {
+            digits = digits.slice(2);
+        }
+
+        return digits.slice(0, 9);
+    },
+
+    /**
+     * Format as "+375 (XX) XXX-XX-XX", leaving the tail open while typing
+     */
+    format: function(value) {
+        const digits = this.getNationalDigits(value);
+        if (!digits) return '';
+
+        let result = `+${this.COUNTRY_CODE} (${digits.slice(0, 2)}`;
+        if (digits.length >= 2) result += ')';
+        if (digits.length > 2) result += ` ${digits.slice(2, 5)}`;
+        if (digits.length > 5) result += `-${digits.slice(5, 7)}`;
+        if (digits.length > 7) result += `-${digits.slice(7, 9)}`;
+        return result;
+    },
+
+    /**
+     * Return an error message, or an empty string for a valid number
+     */
+    validate: function(value) {
+        const digits = this.getNationalDigits(value);
+
+        if (!digits) return i18n.t('validation.phone.required');
+        if (digits.length < 9) return i18n.t('validation.phone.format');
+
+        const code = digits.slice(0, 2);
+        if (!this.MOBILE_CODES.includes(code) && !this.LANDLINE_CODES.includes(code)) {
+            return i18n.t('validation.phone.code');
+        }
+        return '';
+    },
+
+    /**
+     * Normalize to E.164 (+375XXXXXXXXX), or null if the number is invalid
+     */
+    toE164: function(value) {
+        return this.validate(value) ? null : `+${this.COUNTRY_CODE}${this.getNationalDigits(value)}`;
+    }
+};
+
+const formValidation = {
+    NAME_PATTERN: /^\p{L}[\p{L}\s'’.-]*$/u,
+
+    validateName: function(value) {
+        const name = String(value || '').trim();
+
+        if (!name) return i18n.t('validation.name.required');
+        if (name.length < 2) return i18n.t('validation.name.short');
+        if (name.length > 50) return i18n.t('validation.name.long');
+        if (!this.NAME_PATTERN.test(name)) return i18n.t('validation.name.pattern');
+        return '';
+    },
+
+    /**
+     * Show an error under the field and link it for screen readers
+     */
+    showFieldError: function(input, message) {
+        let error = this.getErrorElement(input);
+
+        if (!error) {
+            error = document.createElement('span');
+            error.className = 'form-error';
+            error.id = `${input.name || 'field'}-error-${Math.random().toString(36).slice(2, 8)}`;
+            error.setAttribute('role', 'alert');
+            input.insertAdjacentElement('afterend', error);
+            input.setAttribute('aria-describedby', error.id);
+        }
+
+        error.textContent = message;
+        input.classList.add('is-invalid');
+        input.setAttribute('aria-invalid', 'true');
+    },
+
+    clearFieldError: function(input) {
+        const error = this.getErrorElement(input);
+        if (error) error.textContent = '';
+        input.classList.remove('is-invalid');
+        input.removeAttribute('aria-invalid');
+    },
+
+    getErrorElement: function(input) {
+        const id = input.getAttribute('aria-describedby');
+        return id ? document.getElementById(id) : null;
+    },
+
+    /**
+     * Run [input, validator] pairs; focuses the first
+     * invalid field and returns true when everything is valid
+     */
+    validateFields: function(fields) {
+        let firstInvalid = null;
+
+        fields.forEach(([input, validator]) => {
+            if (!input) return;
+            const message = validator(input.value);
+            if (message) {
+                this.showFieldError(input, message);
+                firstInvalid = firstInvalid || input;
+            } else {
+                this.clearFieldError(input);
+            }
+        });
+
+        if (firstInvalid) firstInvalid.focus();
+        return !firstInvalid;
+    },
+
+    /**
+     * Re-validate a field on blur, and clear its error as soon as it is fixed
+     */
+    bindLiveValidation: function(input, validator) {
+        if (!input) return;
+
+        input.addEventListener('blur', () => {
+            if (!input.value) return;
+            const message = validator(input.value);
+            if (message) this.showFieldError(input, message);
+        });
+
+        input.addEventListener('input', () => {
+            if (input.classList.contains('is-invalid') && !validator(input.value)) {
+                this.clearFieldError(input);
+            }
+        });
+    }
+};
+
+class PhoneMask {
+    constructor(input) {
+        this.input = input;
+        this.init();
+    }
+
+    init() {
+        this.input.setAttribute('inputmode', 'tel');
+        this.input.setAttribute('autocomplete', 'tel');
+        if (!this.input.placeholder) {
+            this.input.placeholder = '+375 (XX) XXX-XX-XX';
+        }
+
+        this.input.addEventListener('focus', () => {
+            if (!this.input.value) this.input.value = `+${phoneUtils.COUNTRY_CODE} (`;
+        });
+
+        this.input.addEventListener('blur', () => {
+            if (!phoneUtils.getNationalDigits(this.input.value)) this.input.value = '';
+        });
+
+        this.input.addEventListener('input', (e) => this.handleInput(e));
+    }
+
+    handleInput(e) {
+        const previousDigits = phoneUtils.getNationalDigits(this.previousValue);
+        let digits = phoneUtils.getNationalDigits(this.input.value);
+
+        // Backspace over a mask character ("-", ")" or " ") removes the digit before it
+        if (e.inputType === 'deleteContentBackward' && digits === previousDigits) {
+            digits = digits.slice(0, -1);
+        }
+
+        this.input.value = digits ? phoneUtils.format(phoneUtils.COUNTRY_CODE + digits) : '';
+        this.previousValue = this.input.value;
+    }
+}
+
+// ===================================
+// Auto Scroll Component
+// ===================================
+
+class AutoScroll {
+    constructor() {
+        this.init();
+    }
+
+    init() {
+        this.createScrollIndicator();
+        this.createBackToTopButton();
+        this.bindEvents();
+    }
+
+    /**
+     * Create scroll progress indicator
+     */
+    createScrollIndicator() {
+        const indicator = document.createElement('div');
+        indicator.className = 'scroll-indicator';
+        indicator.id = 'scrollIndicator';
+        document.body.appendChild(indicator);
+        this.scrollIndicator = indicator;
+    }
+
+    /**
+     * Create back to top button functionality
+     */
+    createBackToTopButton() {
+        this.backToTopBtn = document.getElementById('backToTop');
+        if (this.backToTopBtn) {
+            this.backToTopBtn.addEventListener('click', () => {
+                window.scrollTo({
+                    top: 0,
+                    behavior: utils.prefersReducedMotion() ? 'auto' : 'smooth'
+                });
+            });
+        }
+    }
+
+    /**
+     * Handle scroll events
+     */
+    handleScroll() {
+        const scrollPercent = utils.getScrollPercent();
+        
+        // Update scroll indicator
+        if (this.scrollIndicator) {
+            this.scrollIndicator.style.width = scrollPercent + '%';
+        }
+
+        // Show/hide back to top button
+        if (this.backToTopBtn) {
+            if (window.pageYOffset > 300) {
+                this.backToTopBtn.classList.add('show');
+            } else {
+                this.backToTopBtn.classList.remove('show');
+            }
+        }
+    }
+
+    /**
+     * Bind all scroll-related events
+     */
+    bindEvents() {
+        const throttledScroll = utils.throttle(() => this.handleScroll(), 16);
+        window.addEventListener('scroll', throttledScroll, { passive: true });
+    }
+}
+
+// ===================================
+// Scroll Spy & Hash Navigation
+// ===================================
+
+class ScrollSpy {
+    constructor() {
+        this.init();
+    }
+
+    init() {
+        // Nav links and the sections they point to; "#" stands for the top of the page
+        this.entries = Array.from(document.querySelectorAll('.nav-link'))
+            .map(link => {
+                const id = (link.getAttribute('href') || '').replace(/^#/, '');
+                return { link, id, section: id ? document.getElementById(id) : null };
+            })
+            .filter(entry => !entry.id || entry.section);
+
+        this.visible = new Set();
+        this.bindEvents();
+        this.observe();
+
+        // Cards and images above the target move it once they load
+        if (this.scrollToHash(true)) {
+            const settle = () => this.scrollToHash(true);
+            window.addEventListener('load', settle, { once: true });
+            document.addEventListener('catalog:render', settle, { once: true });
+        }
+    }
+
+    bindEvents() {
+        this.entries.forEach(entry => {
+            entry.link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.navigateTo(entry);
+            });
+        });
+
+        // In-page links outside the menu (footer, buttons) land below the header too
+        window.addEventListener('hashchange', () => this.scrollToHash());
+
+        // Ignore the sections passed on the way while a navigation scroll runs
+        this.releaseLock = utils.debounce(() => {
+            this.locked = false;
+            this.update();
+        }, 150);
+        window.addEventListener('scroll', () => {
+            if (this.locked) this.releaseLock();
+        }, { passive: true });
+    }
+
+    observe() {
+        if (!('IntersectionObserver' in window)) return;
+
+        // A section counts as current while it crosses the band between the
+        // header and the middle of the viewport
+        this.observer = new IntersectionObserver((observed) => {
+            observed.forEach(({ target, isIntersecting }) => {
+                if (isIntersecting) {
+                    this.visible.add(target);
+                } else {
+                    this.visible.delete(target);
+                }
+            });
+            if (!this.locked) this.update();
+        }, { rootMargin: `-${utils.getHeaderOffset()}px 0px -50% 0px` });
+
+        this.entries.forEach(entry => {
+            if (entry.section) this.observer.observe(entry.section);
+        });
+    }
+
+    update() {
+        const sections = this.entries.filter(entry => entry.section);
+        const offset = utils.getHeaderOffset();
+
+        // Sections come in page order, so the last visible one is the lowest
+        // on screen; between tracked sections stay on the last one scrolled past
+        const current = sections.filter(entry => this.visible.has(entry.section)).pop()
+            || sections.filter(entry => entry.section.getBoundingClientRect().top < offset).pop()
+            || this.entries.find(entry => !entry.id);
+
+        if (current) this.setActive(current);
+    }
+
+    setActive(entry) {
+        this.entries.forEach(({ link }) => {
+            const active = link === entry.link;
+            link.classList.toggle('active', active);
+            if (active) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+        this.syncHash(entry.id);
+    }
+
+    /**
+     * Mirror the current section in the address bar without adding history
+     * entries; product routes (#product/<id>) are left alone
+     */
+    syncHash(id) {
+        const hash = id ? `#${id}` : '';
+        if (window.location.hash === hash || /^#product\//.test(window.location.hash)) return;
+
+        window.history.replaceState(window.history.state, '', `${window.location.pathname}${window.location.search}${hash}`);
+    }
+
+    navigateTo(entry) {
+        this.locked = true;
+        this.setActive(entry);
+
+        if (entry.section) {
+            utils.smoothScrollTo(entry.section);
+        } else {
+            window.scrollTo({ top: 0, behavior: utils.prefersReducedMotion() ? 'auto' : 'smooth' });
+        }
+        this.releaseLock();
+    }
+
+    /**
+     * The browser's own jump to a hash ignores the sticky header
+     * @param {boolean} [instant] - jump without animating (page load)
+     * @returns {boolean} whether the hash pointed at a section
+     */
+    scrollToHash(instant = false) {
+        const id = window.location.hash.slice(1);
+        const entry = id && this.entries.find(item => item.id === id);
+        const section = entry ? entry.section : (id && !id.includes('/') ? document.getElementById(id) : null);
+        if (!section) return false;
+
+        this.locked = true;
+        if (entry) this.setActive(entry);
+
+        if (instant) {
+            const top = section.getBoundingClientRect().top + window.pageYOffset - utils.getHeaderOffset();
+            window.scrollTo({ top, behavior: 'instant' });
+        } else {
+            utils.smoothScrollTo(section);
+        }
+        this.releaseLock();
+        return true;
+    }
+}
+
+// ===================================
+// Scroll Reveal
+// ===================================
+
+/**
+ * Reveals elements marked with data-reveal as they scroll into view:
+ *   data-reveal="fade-up|fade|zoom|slide-left|slide-right" (empty = fade-up)
+ *   data-reveal-delay="200"      - ms before the animation starts
+ *   data-reveal-threshold="0.3"  - share of the element (or viewport, for
+ *                                  tall elements) that has to be visible
+ *   data-reveal-stagger="80"     - on a container: extra delay for each
+ *                                  child revealed together with the previous
+ */
+class RevealEngine {
+    constructor() {
+        this.defaultThreshold = 0.15;
+        this.init();
+    }
+
+    init() {
+        this.reducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)');
+
+        // Without the observer, or with reduced motion, content just stays visible
+        if (!('IntersectionObserver' in window) || utils.prefersReducedMotion()) return;
+
+        this.observer = new IntersectionObserver(
+            (entries) => this.handleIntersections(entries),
+            { threshold: [0, 0.1, 0.15, 0.2, 0.3, 0.5, 0.75, 1] }
+        );
+        document.documentElement.classList.add('reveal-ready');
+        this.observe(document);
+
+        // Product cards are replaced on every tab switch and filter change
+        document.addEventListener('catalog:render', () => this.observe(document.querySelector('.models-grid')));
+
+        if (this.reducedMotion) {
+            this.reducedMotion.addEventListener('change', () => {
+                if (this.reducedMotion.matches) this.disable();
+            });
+        }
+    }
+
+    /**
+     * Start watching the not yet revealed elements inside root
+     */
+    observe(root) {
+        if (!this.observer || !root) return;
+
+        root.querySelectorAll('[data-reveal]:not(.revealed)').forEach(element => this.observer.observe(element));
+    }
+
+    handleIntersections(entries) {
+        // Stagger only among the elements that come into view together, so
+        // cards further down a long grid don't wait for the ones above
+        const revealedIn = new Map();
+
+        entries.filter(entry => this.isVisibleEnough(entry)).forEach(({ target }) => {
+            const container = target.parentElement && target.parentElement.closest('[data-reveal-stagger]');
+            const index = revealedIn.get(container) || 0;
+            const stagger = container ? Number(container.dataset.revealStagger) || 0 : 0;
+
+            revealedIn.set(container, index + 1);
+            this.reveal(target, (Number(target.dataset.revealDelay) || 0) + stagger * index);
+        });
+    }
+
+    isVisibleEnough({ target, isIntersecting, intersectionRatio, intersectionRect }) {
+        if (!isIntersecting) return false;
+
+        const threshold = Number(target.dataset.revealThreshold) || this.defaultThreshold;
+        const viewportShare = intersectionRect.height / window.innerHeight;
+        return intersectionRatio >= threshold || viewportShare >= threshold;
+    }
+
+    reveal(element, delay) {
+        this.observer.unobserve(element);
+        element.style.setProperty('--reveal-delay', `${delay}ms`);
+        element.classList.add('revealed');
+
+        // Once the transition is over, hand the element back to its own
+        // styles (hover transforms, transitions)
+        setTimeout(() => {
+            element.removeAttribute('data-reveal');
+            element.classList.remove('revealed');
+            element.style.removeProperty('--reveal-delay');
+        }, delay + 700);
+    }
+
+    disable() {
+        this.observer.disconnect();
+        this.observer = null;
+        document.documentElement.classList.remove('reveal-ready');
+    }
+}
+
+// ===================================
+// Mobile Navigation
+// ===================================
+
+class MobileNav {
+    constructor() {
+        this.init();
+    }
+
+    init() {
+        this.menuToggle = document.querySelector('.mobile-menu-toggle');
+        this.navList = document.querySelector('.nav-list');
+        this.navLinks = document.querySelectorAll('.nav-link');
+        this.isOpen = false;
+
+        // Same breakpoint as the collapsed menu in responsive.css
+        this.mobileQuery = window.matchMedia('(max-width: 768px)');
+
+        if (this.menuToggle && this.navList) {
+            this.updateToggle();
+            this.bindEvents();
+        }
+    }
+
+    bindEvents() {
+        this.menuToggle.addEventListener('click', () => this.toggleMenu());
+
+        // Close menu when clicking on nav links
+        this.navLinks.forEach(link => {
+            link.addEventListener('click', () => this.closeMenu());
+        });
+
+        // Close menu when clicking outside
+        document.addEventListener('click', (e) => {
+            if (this.isOpen && !e.target.closest('.main-nav') && !e.target.closest('.mobile-menu-toggle')) {
+                this.closeMenu();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (!this.isOpen) return;
+
+            if (e.key === 'Escape') {
+                this.closeMenu({ restoreFocus: true });
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+            }
+        });
+
+        // Swipe the menu up or sideways to close it
+        this.navList.addEventListener('touchstart', (e) => {
+            const touch = e.changedTouches[0];
+            this.touchStart = { x: touch.clientX, y: touch.clientY };
+        }, { passive: true });
+
+        this.navList.addEventListener('touchend', (e) => {
+            if (!this.touchStart) return;
+
+            const touch = e.changedTouches[0];
+            const dx = touch.clientX - this.touchStart.x;
+            const dy = touch.clientY - this.touchStart.y;
+            this.touchStart = null;
+
+            if (dy < -50 || Math.abs(dx) > 80) {
+                this.closeMenu({ restoreFocus: true });
+            }
+        });
+
+        // The desktop layout always shows the links, so drop the open state
+        this.mobileQuery.addEventListener('change', () => {
+            if (!this.mobileQuery.matches) this.closeMenu();
+        });
+
+        document.addEventListener('i18n:change', () => this.updateToggle());
+    }
+
+    toggleMenu() {
+        if (this.isOpen) {
+            this.closeMenu({ restoreFocus: true });
+        } else {
+            this.openMenu();
+        }
+    }
+
+    openMenu() {
+        this.isOpen = true;
+        this.navList.classList.add('active');
+        this.menuToggle.classList.add('active');
+        document.body.classList.add('nav-open');
+        this.updateToggle();
+
+        if (this.navLinks.length) this.navLinks[0].focus();
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.restoreFocus] - move focus back to the toggle
+     */
+    closeMenu({ restoreFocus = false } = {}) {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.navList.classList.remove('active');
+        this.menuToggle.classList.remove('active');
+        document.body.classList.remove('nav-open');
+        this.updateToggle();
+
+        if (restoreFocus) this.menuToggle.focus();
+    }
+
+    updateToggle() {
+        this.menuToggle.setAttribute('aria-expanded', String(this.isOpen));
+        this.menuToggle.setAttribute('aria-label', i18n.t(this.isOpen ? 'nav.close' : 'nav.open'));
+    }
+
+    /**
+     * Keep Tab within the toggle and the menu links while the menu is open
+     */
+    trapFocus(e) {
+        const focusable = [this.menuToggle, ...this.navLinks];
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (!focusable.includes(document.activeElement)) {
+            e.preventDefault();
+            first.focus();
+        } else if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+// ===================================
+// Company Data
+// ===================================
+
+class CompanyData {
+    constructor(options = {}) {
+        this.dataUrl = options.dataUrl || utils.assetUrl('../company.json');
+        this.data = null;
+        this.loadPromise = null;
+    }
+
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = fetch(this.dataUrl)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(data => {
+                    this.data = data;
+                    return data;
+                });
+            this.loadPromise.catch(() => {
+                this.loadPromise = null;
+            });
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Read a value relative to the "company" object, e.g. "contacts.emails[0].email"
+     */
+    get(path, fallback) {
+        const value = this.data ? utils.getPath(this.data.company, path) : undefined;
+        return value === undefined ? fallback : value;
+    }
+
+    /**
+     * Opening hours for a date as { open: 'HH:MM', close: 'HH:MM' }
+     */
+    getWorkingHours(date) {
+        const day = date.getDay();
+        const isWeekend = day === 0 || day === 6;
+        const range = this.get(`contacts.working_hours.${isWeekend ? 'weekends' : 'weekdays'}`, '09:30-21:30');
+        const [open, close] = range.split('-').map(time => time.trim());
+        return { open, close };
+    }
+}
+
+// Links taken from company.json may only use these schemes
+const COMPANY_LINK_PATTERN = /^(https?:|tel:|mailto:|viber:)/i;
+
+// ISO 3166 codes for the countries in company.json addresses
+const COUNTRY_CODES = { Belarus: 'BY' };
+
+/**
+ * Fill company details into the markup, so company.json is the only place
+ * they are kept. data-company="contacts.phones[0]" sets the text (phones,
+ * e-mails, hours and dates are formatted; links also get a tel:/mailto:
+ * href), data-company-attr="href:social_media.telegram" sets attributes.
+ * The text in the markup stays as a fallback if company.json can't load.
+ */
+class CompanyBinding {
+    constructor(companyData) {
+        this.companyData = companyData;
+        this.init();
+    }
+
+    init() {
+        this.companyData.load()
+            .then(data => {
+                this.warnIfStale(data.metadata);
+                this.render();
+                this.renderStructuredData();
+                // Hours and dates are worded per language
+                document.addEventListener('i18n:change', () => this.render());
+            })
+            .catch(error => console.warn('company.json unavailable, keeping contacts from the markup:', error.message));
+    }
+
+    render(root = document) {
+        root.querySelectorAll('[data-company]').forEach(element => {
+            const binding = this.describe(this.companyData.get(element.dataset.company));
+            if (!binding) {
+                console.warn('No displayable company.json value at', element.dataset.company);
+                return;
+            }
+
+            element.textContent = binding.text;
+            if (binding.href && element.tagName === 'A') element.setAttribute('href', binding.href);
+        });
+
+        root.querySelectorAll('[data-company-attr]').forEach(element => {
+            element.dataset.companyAttr.split(';').forEach(pair => {
+                const [attribute, path] = pair.split(':').map(part => part.trim());
+                const value = path ? this.companyData.get(path) : undefined;
+                if (!attribute || typeof value !== 'string') return;
+                if (attribute === 'href' && !COMPANY_LINK_PATTERN.test(value)) return;
+                element.setAttribute(attribute, value);
+            });
+        });
+    }
+
+    /**
+     * Display text, and a link target where there is one, for a value from
+     * company.json; null for values that can't be shown as text
+     */
+    describe(value) {
+        if (value === undefined || value === null) return null;
+
+        if (typeof value === 'object') {
+            if (value.number) {
+                return { text: phoneUtils.format(value.number), href: `tel:${phoneUtils.toE164(value.number) || value.number}` };
+            }
+            if (value.email) {
+                return { text: value.email, href: `mailto:${value.email}` };
+            }
+            if (value.weekdays) {
+                return { text: this.formatHours(value) };
+            }
+            return null;
+        }
+
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return { text: new Intl.DateTimeFormat(i18n.getLocale()).format(new Date(`${value}T00:00:00`)) };
+        }
+        return { text: String(value) };
+    }
+
+    formatHours({ weekdays, weekends }) {
+        const short = range => range.split('-').map(time => time.trim().replace(/^0/, ''));
+
+        if (!weekends || weekends === weekdays) {
+            const [open, close] = short(weekdays);
+            return i18n.t('company.hours', { open, close });
+        }
+        return i18n.t('company.hoursSplit', {
+            weekdays: short(weekdays).join('–'),
+            weekends: short(weekends).join('–')
+        });
+    }
+
+    /**
+     * Console note for whoever maintains company.json; scripts/build-manifest.js
+     * also flags it on every build
+     */
+    warnIfStale(metadata) {
+        const due = metadata && Date.parse(metadata.next_verification);
+        if (due && due < Date.now()) {
+            console.warn(`company.json is overdue for verification: it was due ${metadata.next_verification.slice(0, 10)}, last updated ${String(metadata.last_updated).slice(0, 10)}`);
+        }
+    }
+
+    /**
+     * schema.org LocalBusiness built from company.json
+     */
+    buildStructuredData() {
+        const get = (path, fallback) => this.companyData.get(path, fallback);
+        const address = get('address.service_center') || get('address.legal') || {};
+        const hours = get('contacts.working_hours', {});
+        const phone = get('contacts.phones[0].number');
+        const website = get('verified_sources', []).find(source => source.type === 'official_website');
+
+        return {
+            '@context': 'https://schema.org',
+            '@type': 'LocalBusiness',
+            name: get('trade_name'),
+            legalName: get('full_name'),
+            description: get('certifications.dealer_status'),
+            url: SITE_BASE_URL,
+            logo: utils.assetUrl('images/logo.png'),
+            image: utils.assetUrl('images/logo.png'),
+            telephone: phone ? phoneUtils.toE164(phone) || phone : undefined,
+            email: get('contacts.emails[0].email'),
+            taxID: get('UNP'),
+            address: {
+                '@type': 'PostalAddress',
+                streetAddress: [address.street, address.office].filter(Boolean).join(', '),
+                addressLocality: address.city,
+                postalCode: address.postal_code,
+                addressCountry: COUNTRY_CODES[address.country] || address.country
+            },
+            geo: address.geo ? { '@type': 'GeoCoordinates', ...address.geo } : undefined,
+            openingHours: !hours.weekdays ? undefined : hours.weekends && hours.weekends !== hours.weekdays
+                ? [`Mo-Fr ${hours.weekdays}`, `Sa-Su ${hours.weekends}`]
+                : `Mo-Su ${hours.weekdays}`,
+            paymentAccepted: get('services.payment.methods', []).join(', '),
+            currenciesAccepted: 'BYN',
+            sameAs: [
+                // The official website, when this copy is served from elsewhere
+                ...(website && `https://${website.source}/` !== SITE_BASE_URL ? [`https://${website.source}/`] : []),
+                ...Object.values(get('social_media', {})).filter(url => /^https?:/.test(url))
+            ]
+        };
+    }
+
+    renderStructuredData() {
+        let script = document.querySelector('script[data-company-jsonld]');
+        if (!script) {
+            script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.dataset.companyJsonld = '';
+            document.head.appendChild(script);
+        }
+        // Keep "</script>" in the data from ending the element when serialized
+        script.textContent = JSON.stringify(this.buildStructuredData(), null, 2).replace(/</g, '\\u003c');
+    }
+}
+
+// ===================================
+// Product Catalog
+// ===================================
+
+const PRODUCT_SCHEMA = {
+    type: 'object',
+    required: ['id', 'category', 'name', 'price', 'currency', 'images', 'specs', 'stock'],
+    properties: {
+        id: { type: 'string' },
+        category: { type: 'string', enum: ['scooters', 'bikes', 'mopeds'] },
+        name: { type: 'string' },
+        brand: { type: 'string' },
+        price: { type: 'number', minimum: 0 },
+        currency: { type: 'string' },
+        images: { type: 'array', minItems: 1, items: { type: 'string' } },
+        specs: {
+            type: 'object',
+            properties: {
+                max_speed: { type: 'number', minimum: 0 },
+                range: { type: 'number', minimum: 0 },
+                battery_ah: { type: 'number', minimum: 0 },
+                motor_power: { type: 'number', minimum: 0 },
+                weight: { type: 'number', minimum: 0 },
+                max_load: { type: 'number', minimum: 0 },
+                charge_time: { type: 'number', minimum: 0 }
+            }
+        },
+        description: { type: 'string' },
+        stock: { type: 'string', enum: ['in_stock', 'preorder', 'out_of_stock'] },
+        badges: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+// Spec rows shown in the product detail view and the comparison table, in
+// display order; labels are "spec.<key>" messages, `unit` a message key and
+// `better` tells which end of the scale wins a comparison
+const PRODUCT_SPECS = [
+    { key: 'max_speed', unit: 'unit.kmh', better: 'max' },
+    { key: 'range', unit: 'unit.km', better: 'max' },
+    { key: 'battery_ah', unit: 'unit.ah', better: 'max' },
+    { key: 'motor_power', unit: 'unit.w', better: 'max' },
+    { key: 'weight', unit: 'unit.kg', better: 'min' },
+    { key: 'max_load', unit: 'unit.kg', better: 'max' },
+    { key: 'charge_time', unit: 'unit.h', better: 'min' }
+];
+
+/**
+ * Format a spec value with its unit, e.g. "45 км/ч"
+ */
+function formatSpec(spec, value) {
+    return `${i18n.formatNumber(value)} ${i18n.t(spec.unit)}`;
+}
+
+const CATALOG_SCHEMA = {
+    type: 'object',
+    required: ['version', 'currency', 'products'],
+    properties: {
+        version: { type: 'integer', minimum: 1 },
+        updated_at: { type: 'string' },
+        currency: { type: 'string' },
+        products: { type: 'array' }
+    }
+};
+
+class ProductCatalog {
+    constructor(options = {}) {
+        this.feedUrl = options.feedUrl || utils.assetUrl('data/products.json');
+        this.cacheKey = options.cacheKey || 'electropower:catalog';
+        this.cacheTtl = options.cacheTtl || 60 * 60 * 1000;
+        this.products = [];
+        this.version = null;
+        this.source = null;
+        this.loadPromise = null;
+    }
+
+    /**
+     * Load the catalog once: fresh localStorage cache, then the feed,
+     * then a stale cache, then the inline fallback data
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.resolveCatalog().then(({ feed, source }) => {
+                this.products = this.extractProducts(feed);
+                this.version = feed.version;
+                this.source = source;
+                return this.products;
+            });
+            // Allow a retry after a hard failure
+            this.loadPromise.catch(() => {
+                this.loadPromise = null;
+            });
+        }
+        return this.loadPromise;
+    }
+
+    async resolveCatalog() {
+        const cached = utils.readStorage(this.cacheKey);
+        const cacheIsValid = cached && this.validateFeed(cached.feed).length === 0;
+
+        if (cacheIsValid && Date.now() - cached.savedAt < this.cacheTtl) {
+            return { feed: cached.feed, source: 'cache' };
+        }
+
+        try {
+            const feed = await this.fetchFeed();
+
+            // Never let an older feed overwrite a newer cached one
+            if (cacheIsValid && cached.feed.version > feed.version) {
+                return { feed: cached.feed, source: 'cache' };
+            }
+
+            utils.writeStorage(this.cacheKey, { savedAt: Date.now(), feed });
+            return { feed, source: 'feed' };
+        } catch (error) {
+            console.warn('Product feed unavailable, using fallback data:', error.message);
+
+            if (cacheIsValid) {
+                return { feed: cached.feed, source: 'stale-cache' };
+            }
+
+            const fallback = this.getFallbackData();
+            const errors = this.validateFeed(fallback);
+            if (errors.length) {
+                throw new Error(`Fallback catalog is invalid: ${errors.join('; ')}`);
+            }
+            return { feed: fallback, source: 'fallback' };
+        }
+    }
+
+    async fetchFeed() {
+        const response = await fetch(this.feedUrl, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const feed = await response.json();
+        const errors = this.validateFeed(feed);
+        if (errors.length) {
+            throw new Error(`Invalid product feed: ${errors.join('; ')}`);
+        }
+        return feed;
+    }
+
+    validateFeed(feed) {
+        return utils.validateSchema(feed, CATALOG_SCHEMA);
+    }
+
+    /**
+     * Keep only the products that match the schema; one broken entry
+     * should not take the whole catalog down
+     */
+    extractProducts(feed) {
+        return feed.products.filter((product, index) => {
+            const errors = utils.validateSchema(product, PRODUCT_SCHEMA, `$.products[${index}]`);
+            if (errors.length) {
+                console.warn('Skipping invalid product:', errors);
+                return false;
+            }
+            return true;
+        }).map(product => ({
+            badges: [],
+            brand: '',
+            description: '',
+            ...product,
+            images: product.images.map(image => utils.assetUrl(image))
+        }));
+    }
+
+    getAll() {
+        return this.products;
+    }
+
+    getByCategory(category) {
+        return this.products.filter(product => product.category === category);
+    }
+
+    getById(id) {
+        return this.products.find(product => product.id === id) || null;
+    }
+
+    /**
+     * Inline catalog used when the feed cannot be loaded
+     */
+    getFallbackData() {
+        const product = (id, category, name, brand, price, image, specs) => ({
+            id, category, name, brand, price,
+            currency: 'BYN',
+            images: [`images/products/${image}.jpg`],
+            specs,
+            stock: 'in_stock',
+            badges: ['hit']
+        });
+
+        return {
+            version: 1,
+            currency: 'BYN',
+            products: [
+                product('kugoo-c1', 'scooters', 'Kugoo C1', 'Kugoo', 450, 'kugoo-c1', { max_speed: 25, range: 25, battery_ah: 7.5 }),
+                product('kugoo-m2', 'scooters', 'Kugoo M2', 'Kugoo', 650, 'kugoo-m2', { max_speed: 35, range: 35, battery_ah: 10.4 }),
+                product('kugoo-m4-pro', 'scooters', 'Kugoo M4 Pro', 'Kugoo', 850, 'kugoo-m4-pro', { max_speed: 45, range: 50, battery_ah: 18 }),
+                product('gt-v6', 'bikes', 'GT V6', 'GT', 1200, 'gt-v6', { max_speed: 25, range: 60, battery_ah: 13 }),
+                product('camry-35', 'bikes', 'CAMRY 3.5', 'CAMRY', 1500, 'camry-35', { max_speed: 25, range: 70, battery_ah: 16 }),
+                product('kugoo-kirin-c2', 'bikes', 'Kugoo Kirin C2', 'Kugoo', 1800, 'kugoo-kirin-c2', { max_speed: 25, range: 80, battery_ah: 20 }),
+                product('citycoco-gt-x11', 'mopeds', 'CityCoco GT X-11', 'CityCoco', 2500, 'citycoco-gt-x11', { max_speed: 45, range: 60, battery_ah: 20 }),
+                product('gt-ev3', 'mopeds', 'GT EV3', 'GT', 3200, 'gt-ev3', { max_speed: 60, range: 80, battery_ah: 32 }),
+                product('ikingi-x7-pro', 'mopeds', 'IKINGI X7 PRO', 'IKINGI', 4500, 'ikingi-x7-pro', { max_speed: 80, range: 120, battery_ah: 60 })
+            ]
+        };
+    }
+}
+
+// ===================================
+// Catalog Filters
+// ===================================
+
+// Numeric filters: URL parameter -> product field and comparison
+const CATALOG_FILTERS = [
+    { param: 'price_min', field: 'price', compare: 'min' },
+    { param: 'price_max', field: 'price', compare: 'max' },
+    { param: 'speed_min', field: 'specs.max_speed', compare: 'min' },
+    { param: 'range_min', field: 'specs.range', compare: 'min' },
+    { param: 'battery_min', field: 'specs.battery_ah', compare: 'min' }
+];
+
+const CATALOG_SORTS = {
+    price_asc: { field: 'price', direction: 1 },
+    price_desc: { field: 'price', direction: -1 },
+    speed_desc: { field: 'specs.max_speed', direction: -1 },
+    range_desc: { field: 'specs.range', direction: -1 }
+};
+
+class CatalogFilters {
+    /**
+     * @param {Function} onChange - called whenever the filter state changes
+     */
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.state = this.readUrl();
+        this.init();
+    }
+
+    init() {
+        this.form = document.querySelector('.catalog-filters');
+        if (!this.form) return;
+
+        this.count = this.form.querySelector('.catalog-filters-count');
+        this.fillForm();
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        const update = () => {
+            this.state = { ...this.readForm(), tab: this.state.tab };
+            this.writeUrl();
+            this.onChange();
+        };
+
+        // Typing is debounced, selects apply at once (they fire both events)
+        const debouncedUpdate = utils.debounce(update, 300);
+        this.form.addEventListener('input', (e) => {
+            if (e.target.tagName !== 'SELECT') debouncedUpdate();
+        });
+        this.form.addEventListener('change', (e) => {
+            if (e.target.tagName === 'SELECT') update();
+        });
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            update();
+        });
+        this.form.addEventListener('reset', () => {
+            // Let the browser clear the fields first
+            setTimeout(update, 0);
+        });
+    }
+
+    readUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const state = {
+            tab: params.get('tab') || '',
+            q: (params.get('q') || '').trim(),
+            sort: CATALOG_SORTS[params.get('sort')] ? params.get('sort') : ''
+        };
+
+        CATALOG_FILTERS.forEach(({ param }) => {
+            const value = parseFloat(params.get(param));
+            state[param] = Number.isFinite(value) ? value : null;
+        });
+
+        return state;
+    }
+
+    readForm() {
+        const elements = this.form.elements;
+        const state = {
+            q: (elements.q ? elements.q.value : '').trim(),
+            sort: elements.sort && CATALOG_SORTS[elements.sort.value] ? elements.sort.value : ''
+        };
+
+        CATALOG_FILTERS.forEach(({ param }) => {
+            const value = elements[param] ? parseFloat(elements[param].value) : NaN;
+            state[param] = Number.isFinite(value) ? value : null;
+        });
+
+        return state;
+    }
+
+    fillForm() {
+        if (!this.form) return;
+        const elements = this.form.elements;
+
+        if (elements.q) elements.q.value = this.state.q;
+        if (elements.sort) elements.sort.value = this.state.sort;
+        CATALOG_FILTERS.forEach(({ param }) => {
+            if (elements[param]) elements[param].value = this.state[param] === null ? '' : this.state[param];
+        });
+    }
+
+    /**
+     * Mirror the state in the query string so filtered views can be shared;
+     * the hash (e.g. an open product) is kept as is
+     */
+    writeUrl() {
+        const params = new URLSearchParams(window.location.search);
+
+        Object.entries(this.state).forEach(([key, value]) => {
+            if (value === null || value === '') {
+                params.delete(key);
+            } else {
+                params.set(key, value);
+            }
+        });
+
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    getTab() {
+        return this.state.tab;
+    }
+
+    setTab(tab) {
+        this.state.tab = tab;
+        this.writeUrl();
+    }
+
+    isActive() {
+        return Boolean(this.state.q || this.state.sort) || CATALOG_FILTERS.some(({ param }) => this.state[param] !== null);
+    }
+
+    reset() {
+        if (this.form) {
+            this.form.reset();
+        } else {
+            this.state = { tab: this.state.tab, q: '', sort: '' };
+            CATALOG_FILTERS.forEach(({ param }) => { this.state[param] = null; });
+            this.writeUrl();
+            this.onChange();
+        }
+    }
+
+    matches(product) {
+        if (this.state.q) {
+            const haystack = `${product.name} ${product.brand} ${product.description || ''}`.toLowerCase();
+            const words = this.state.q.toLowerCase().split(/\s+/);
+            if (!words.every(word => haystack.includes(word))) return false;
+        }
+
+        return CATALOG_FILTERS.every(({ param, field, compare }) => {
+            const limit = this.state[param];
+            if (limit === null) return true;
+
+            const value = utils.getPath(product, field);
+            if (typeof value !== 'number') return false;
+            return compare === 'min' ? value >= limit : value <= limit;
+        });
+    }
+
+    /**
+     * Filter and sort a product list; without a sort the feed order is kept,
+     * and products missing the sorted spec go last in feed order
+     */
+    apply(products) {
+        const result = products.filter(product => this.matches(product));
+        const sort = CATALOG_SORTS[this.state.sort];
+
+        if (sort) {
+            const valueOf = product => {
+                const value = utils.getPath(product, sort.field);
+                return typeof value === 'number' ? value : null;
+            };
+            result.sort((a, b) => {
+                const [valueA, valueB] = [valueOf(a), valueOf(b)];
+                if (valueA === null || valueB === null) {
+                    return (valueA === null) - (valueB === null);
+                }
+                return (valueA - valueB) * sort.direction;
+            });
+        }
+
+        return result;
+    }
+
+    updateCount(shown, total) {
+        if (this.count) {
+            this.count.textContent = this.isActive() ? i18n.t('catalog.count', { shown, total }) : '';
+        }
+    }
+}
+
+// ===================================
+// Product Tabs
+// ===================================
+
+class ProductTabs {
+    constructor(catalog, creditPlans) {
+        this.catalog = catalog || new ProductCatalog();
+        this.creditPlans = creditPlans;
+        this.init();
+    }
+
+    init() {
+        this.tabButtons = document.querySelectorAll('.tab-button');
+        this.filters = new CatalogFilters(() => this.loadTabContent(this.activeTab));
+        this.bindEvents();
+
+        document.addEventListener('i18n:change', () => {
+            if (this.activeTab) this.loadTabContent(this.activeTab);
+        });
+        this.loadDefaultTab();
+    }
+
+    bindEvents() {
+        this.tabButtons.forEach(button => {
+            button.addEventListener('click', () => this.switchTab(button));
+            button.addEventListener('keydown', (e) => this.handleTabKeydown(e));
+        });
+
+        // Cards are re-rendered on every tab switch, so listen on the grid
+        const modelsGrid = document.querySelector('.models-grid');
+        if (modelsGrid) {
+            modelsGrid.addEventListener('click', (e) => {
+                const detailsBtn = e.target.closest('[data-action="details"]');
+                if (detailsBtn) {
+                    // The link leads to the product page; here the view opens in place
+                    e.preventDefault();
+                    const card = detailsBtn.closest('.product-card');
+                    window.location.hash = `product/${card.dataset.productId}`;
+                }
+            });
+        }
+    }
+
+    switchTab(activeButton) {
+        const targetTab = activeButton.getAttribute('data-tab');
+        this.selectTab(activeButton);
+
+        // Keep the tab in the shareable URL
+        this.filters.setTab(targetTab);
+        trackEvent('tab_switch', { tab: targetTab });
+        
+        // Load content for the selected tab
+        return this.loadTabContent(targetTab);
+    }
+
+    /**
+     * Mark a tab as selected; only the selected tab is in the Tab order
+     * (roving tabindex, WAI-ARIA tabs pattern)
+     */
+    selectTab(activeButton) {
+        this.tabButtons.forEach(button => {
+            const selected = button === activeButton;
+            button.classList.toggle('active', selected);
+            button.setAttribute('aria-selected', String(selected));
+            button.tabIndex = selected ? 0 : -1;
+        });
+
+        const panel = document.querySelector('.models-grid');
+        if (panel && activeButton.id) {
+            panel.setAttribute('aria-labelledby', activeButton.id);
+        }
+    }
+
+    /**
+     * Arrow keys, Home and End move focus between tabs; Enter or Space
+     * selects the focused one (manual activation, so arrowing through
+     * doesn't reload the catalog on every key press)
+     */
+    handleTabKeydown(e) {
+        const buttons = Array.from(this.tabButtons);
+        const index = buttons.indexOf(e.currentTarget);
+        const targets = {
+            ArrowRight: buttons[(index + 1) % buttons.length],
+            ArrowLeft: buttons[(index - 1 + buttons.length) % buttons.length],
+            Home: buttons[0],
+            End: buttons[buttons.length - 1]
+        };
+
+        if (targets[e.key]) {
+            e.preventDefault();
+            targets[e.key].focus();
+        }
+    }
+
+    async loadTabContent(tabType) {
+        const modelsGrid = document.querySelector('.models-grid');
+        if (!modelsGrid) return;
+
+        // Ignore results of a previous tab if the user switched again meanwhile
+        const requestId = this.currentRequest = (this.currentRequest || 0) + 1;
+        this.activeTab = tabType;
+
+        // Cards prerendered by scripts/prerender.js stay visible while loading
+        const prerendered = modelsGrid.dataset.prerendered === tabType;
+        if (!prerendered) {
+            this.renderState(modelsGrid, 'loading', i18n.t('catalog.loading'));
+        }
+
+        try {
+            await Promise.all([
+                this.catalog.load(),
+                // Cards render without the installment line if plans fail to load
+                this.creditPlans ? this.creditPlans.load().catch(() => null) : null
+            ]);
+        } catch (error) {
+            if (requestId !== this.currentRequest) return;
+            console.error('Failed to load catalog:', error);
+            this.renderState(modelsGrid, 'error', i18n.t('catalog.error'), {
+                label: i18n.t('common.retry'),
+                handler: () => this.loadTabContent(tabType)
+            });
+            return;
+        }
+
+        if (requestId !== this.currentRequest) return;
+
+        const products = this.getProductData(tabType);
+        this.filters.updateCount(products.length, this.getCategoryProducts(tabType).length);
+
+        const hydrate = prerendered && this.matchesPrerendered(modelsGrid, products);
+        delete modelsGrid.dataset.prerendered;
+        if (hydrate) {
+            modelsGrid.removeAttribute('aria-busy');
+            document.dispatchEvent(new CustomEvent('catalog:render', { detail: { tab: tabType } }));
+            return;
+        }
+
+        if (!products.length) {
+            if (this.filters.isActive()) {
+                this.renderState(modelsGrid, 'empty', i18n.t('catalog.notFound'), {
+                    label: i18n.t('catalog.resetFilters'),
+                    handler: () => this.filters.reset()
+                });
+            } else {
+                this.renderState(modelsGrid, 'empty', i18n.t('catalog.empty'));
+            }
+            return;
+        }
+
+        modelsGrid.innerHTML = '';
+        modelsGrid.removeAttribute('aria-busy');
+        
+        products.forEach(product => {
+            const productCard = this.createProductCard(product);
+            modelsGrid.appendChild(productCard);
+        });
+
+        // Lets other components decorate the fresh cards
+        document.dispatchEvent(new CustomEvent('catalog:render', { detail: { tab: tabType } }));
+    }
+
+    /**
+     * Prerendered cards can be kept if they were built from this catalog
+     * version, in this language, for the same list of products
+     */
+    matchesPrerendered(modelsGrid, products) {
+        const cardIds = Array.from(modelsGrid.querySelectorAll('.product-card'), card => card.dataset.productId);
+
+        return modelsGrid.dataset.catalogVersion === String(this.catalog.version)
+            && modelsGrid.dataset.lang === i18n.lang
+            && cardIds.join() === products.map(product => product.id).join();
+    }
+
+    /**
+     * Show a loading, empty or error placeholder in the grid, optionally
+     * with an action button ({ label, handler })
+     */
+    renderState(container, state, message, action) {
+        container.innerHTML = '';
+        container.setAttribute('aria-busy', state === 'loading' ? 'true' : 'false');
+
+        const placeholder = document.createElement('div');
+        placeholder.className = `models-state models-state-${state}`;
+        placeholder.setAttribute('role', state === 'error' ? 'alert' : 'status');
+
+        const text = document.createElement('p');
+        text.textContent = message;
+        placeholder.appendChild(text);
+
+        if (action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.type = 'button';
+            actionBtn.className = 'btn btn-outline btn-small';
+            actionBtn.textContent = action.label;
+            actionBtn.addEventListener('click', action.handler);
+            placeholder.appendChild(actionBtn);
+        }
+
+        container.appendChild(placeholder);
+    }
+
+    getCategoryProducts(type) {
+        const categories = PRODUCT_SCHEMA.properties.category.enum;
+        return this.catalog.getByCategory(categories.includes(type) ? type : 'scooters');
+    }
+
+    getProductData(type) {
+        return this.filters.apply(this.getCategoryProducts(type));
+    }
+
+    getFeatureLabels(product) {
+        return ['max_speed', 'range', 'battery_ah']
+            .filter(key => typeof product.specs[key] === 'number')
+            .map(key => i18n.t(`feature.${key}`, { value: i18n.formatNumber(product.specs[key]) }));
+    }
+
+    formatPrice(product) {
+        return utils.formatPrice(product.price, product.currency);
+    }
+
+    /**
+     * Cards have no room for a caveat, so example bank terms
+     * (credit-plans.json "placeholder") don't get a figure here
+     */
+    renderInstallment(product) {
+        const label = this.creditPlans && this.creditPlans.isLoaded() && !this.creditPlans.placeholder
+            ? this.creditPlans.getInstallmentLabel(product.price, product.currency)
+            : '';
+        return label ? html`<div class="product-installment">${label}</div>` : '';
+    }
+
+    createProductCard(product) {
+        const template = document.createElement('template');
+        template.innerHTML = this.renderCard(product);
+        return template.content.firstElementChild;
+    }
+
+    /**
+     * Card markup; also used by scripts/prerender.js for the static pages
+     */
+    renderCard(product) {
+        const badgeCodes = ['hit', 'new', 'sale'];
+        const badgeCode = product.badges.find(code => badgeCodes.includes(code));
+        const badge = badgeCode ? i18n.t(`badge.${badgeCode}`) : '';
+        const stockLabel = product.stock === 'in_stock' ? '' : i18n.t(`stock.${product.stock}`);
+
+        return html`
+            <div class="product-card" data-product-id="${product.id}" data-reveal="fade-up">
+                <div class="product-image">
+                    <img src="${utils.safeUrl(product.images[0])}" alt="${product.name}" loading="lazy">
+                    ${badge ? html`<div class="product-badge">${badge}</div>` : ''}
+                </div>
+                <div class="product-content">
+                    <h3 class="product-title">${product.name}</h3>
+                    <div class="product-features">
+                        ${this.getFeatureLabels(product).map(feature => html`<span class="feature">${feature}</span>`)}
+                    </div>
+                    <div class="product-price">${this.formatPrice(product)}</div>
+                    ${this.renderInstallment(product)}
+                    ${stockLabel ? html`<div class="product-stock product-stock-${product.stock}">${stockLabel}</div>` : ''}
+                    <div class="product-actions">
+                        <button class="btn btn-primary btn-small" data-action="add-to-cart" data-product-id="${product.id}"${product.stock === 'out_of_stock' ? ' disabled' : ''}>${i18n.t('common.buy')}</button>
+                        <a class="btn btn-outline btn-small" href="${utils.productUrl(product.id)}" data-action="details">${i18n.t('common.details')}</a>
+                    </div>
+                    <button type="button" class="product-compare-toggle" data-action="compare" data-product-id="${product.id}" aria-pressed="false">${i18n.t('product.compare')}</button>
+                </div>
+            </div>
+        `;
+    }
+
+    loadDefaultTab() {
+        // A tab from a shared URL wins over the one marked up as active
+        const urlTab = this.filters.getTab();
+        const urlButton = urlTab && Array.from(this.tabButtons).find(button => button.dataset.tab === urlTab);
+
+        if (urlButton) {
+            this.selectTab(urlButton);
+            this.loadTabContent(urlTab);
+            return;
+        }
+
+        const defaultButton = document.querySelector('.tab-button.active');
+        if (defaultButton) {
+            this.selectTab(defaultButton);
+            this.loadTabContent(defaultButton.getAttribute('data-tab'));
+            return;
+        }
+
+        // Category pages have a single prerendered grid and no tabs
+        const modelsGrid = document.querySelector('.models-grid[data-prerendered]');
+        if (modelsGrid) {
+            this.loadTabContent(modelsGrid.dataset.prerendered);
+        }
+    }
+}
+
+// ===================================
+// Modal Dialog
+// ===================================
+
+class Modal {
+    /**
+     * @param {Object} options
+     * @param {string} [options.className] - extra class for sizing/styling
+     * @param {string} [options.labelledBy] - id of the element that titles the dialog
+     * @param {Function} [options.onRequestClose] - called instead of close() on
+     *   Escape, backdrop and close-button clicks, for owners that need to do
+     *   more than hide the dialog (e.g. update the URL)
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.init();
+    }
+
+    init() {
+        const modal = document.createElement('div');
+        modal.className = ['modal', this.options.className].filter(Boolean).join(' ');
+        modal.hidden = true;
+        modal.innerHTML = html`
+            <div class="modal-backdrop" data-close></div>
+            <div class="modal-dialog" role="dialog" aria-modal="true" tabindex="-1">
+                <button type="button" class="modal-close" aria-label="${i18n.t('common.close')}" data-i18n-attr="aria-label:common.close" data-close>&times;</button>
+                <div class="modal-body"></div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        this.element = modal;
+        this.dialog = modal.querySelector('.modal-dialog');
+        this.body = modal.querySelector('.modal-body');
+
+        if (this.options.labelledBy) {
+            this.dialog.setAttribute('aria-labelledby', this.options.labelledBy);
+        }
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.element.addEventListener('click', (e) => {
+            if (e.target.closest('[data-close]')) {
+                this.requestClose();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            // Only the topmost dialog reacts to Escape
+            if (e.key === 'Escape' && this.isOpen() && Modal.stack[Modal.stack.length - 1] === this) {
+                this.requestClose();
+            }
+        });
+    }
+
+    setContent(markup) {
+        this.body.innerHTML = markup;
+    }
+
+    isOpen() {
+        return !this.element.hidden;
+    }
+
+    open() {
+        if (!this.isOpen()) {
+            this.previousFocus = document.activeElement;
+            this.element.hidden = false;
+            Modal.stack.push(this);
+            document.body.classList.add('modal-open');
+        }
+        this.dialog.focus();
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        this.element.hidden = true;
+        Modal.stack = Modal.stack.filter(modal => modal !== this);
+        if (!Modal.stack.length) {
+            document.body.classList.remove('modal-open');
+        }
+
+        if (this.previousFocus && typeof this.previousFocus.focus === 'function') {
+            this.previousFocus.focus();
+        }
+    }
+
+    requestClose() {
+        if (this.options.onRequestClose) {
+            this.options.onRequestClose();
+        } else {
+            this.close();
+        }
+    }
+}
+
+// Open dialogs, topmost last
+Modal.stack = [];
+
+// ===================================
+// Notifications
+// ===================================
+
+// How long each kind of toast stays on screen, in ms
+const TOAST_DURATIONS = {
+    info: 5000,
+    success: 5000,
+    warning: 7000,
+    error: 8000
+};
+
+/**
+ * Show a toast from any component; ToastManager picks it up, so callers
+ * don't need a reference to it
+ * @param {string} message - shown as plain text, never parsed as HTML
+ * @param {string|Object} [options] - a type name or the options of ToastManager.show()
+ */
+function showToast(message, options = {}) {
+    const detail = typeof options === 'string' ? { type: options } : options;
+    document.dispatchEvent(new CustomEvent('toast:show', { detail: { ...detail, message } }));
+}
+
+class ToastManager {
+    constructor(maxVisible = 3) {
+        this.maxVisible = maxVisible;
+        this.init();
+    }
+
+    init() {
+        this.visible = [];
+        this.queue = [];
+
+        // Live regions must already be in the page when a message is added,
+        // otherwise screen readers may skip the first announcement
+        this.container = document.createElement('div');
+        this.container.className = 'toast-container';
+        this.container.innerHTML = `
+            <div class="toast-region" role="status" aria-live="polite"></div>
+            <div class="toast-region" role="alert" aria-live="assertive"></div>
+        `;
+        document.body.appendChild(this.container);
+
+        this.politeRegion = this.container.querySelector('[role="status"]');
+        this.assertiveRegion = this.container.querySelector('[role="alert"]');
+
+        document.addEventListener('toast:show', (e) => this.show(e.detail));
+    }
+
+    /**
+     * @param {Object} options
+     * @param {string} options.message
+     * @param {string} [options.type] - info, success, warning or error
+     * @param {number} [options.duration] - ms on screen; 0 keeps the toast until dismissed
+     * @param {{label: string, handler: Function}} [options.action] - button shown in the toast
+     * @returns {Object} the toast, to pass to dismiss()
+     */
+    show({ message, type = 'info', duration, action = null }) {
+        const key = `${type}:${message}`;
+
+        // Repeating the same message just keeps the current toast around
+        const shown = this.visible.find(toast => toast.key === key);
+        if (shown) {
+            this.restart(shown);
+            return shown;
+        }
+
+        const queued = this.queue.find(toast => toast.key === key);
+        if (queued) return queued;
+
+        const kind = TOAST_DURATIONS[type] ? type : 'info';
+
+        // Leave enough time to reach the action button from the keyboard
+        const defaultDuration = action ? Math.max(TOAST_DURATIONS[kind], 10000) : TOAST_DURATIONS[kind];
+
+        const toast = {
+            key,
+            message,
+            type: kind,
+            action,
+            duration: duration ?? defaultDuration
+        };
+
+        if (this.visible.length >= this.maxVisible) {
+            this.queue.push(toast);
+        } else {
+            this.render(toast);
+        }
+        return toast;
+    }
+
+    render(toast) {
+        const element = document.createElement('div');
+        element.className = `toast toast-${toast.type}`;
+
+        const message = document.createElement('p');
+        message.className = 'toast-message';
+        message.textContent = toast.message;
+        element.appendChild(message);
+
+        if (toast.action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.type = 'button';
+            actionBtn.className = 'toast-action';
+            actionBtn.textContent = toast.action.label;
+            actionBtn.addEventListener('click', () => {
+                this.dismiss(toast);
+                toast.action.handler();
+            });
+            element.appendChild(actionBtn);
+        }
+
+        const closeBtn = document.createElement('button');
+        closeBtn.type = 'button';
+        closeBtn.className = 'toast-close';
+        closeBtn.setAttribute('aria-label', i18n.t('common.close'));
+        closeBtn.innerHTML = '&times;';
+        closeBtn.addEventListener('click', () => this.dismiss(toast));
+        element.appendChild(closeBtn);
+
+        // Hold the toast while the visitor reads or tabs into it
+        element.addEventListener('mouseenter', () => this.pause(toast, 'hovered'));
+        element.addEventListener('mouseleave', () => this.resume(toast, 'hovered'));
+        element.addEventListener('focusin', () => this.pause(toast, 'focused'));
+        element.addEventListener('focusout', (e) => {
+            if (!element.contains(e.relatedTarget)) this.resume(toast, 'focused');
+        });
+        element.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.dismiss(toast);
+        });
+
+        toast.element = element;
+        toast.remaining = toast.duration;
+        this.visible.push(toast);
+
+        const region = toast.type === 'error' ? this.assertiveRegion : this.politeRegion;
+        region.appendChild(element);
+        this.start(toast);
+    }
+
+    start(toast) {
+        if (!toast.duration || toast.hovered || toast.focused) return;
+
+        toast.startedAt = Date.now();
+        toast.timer = setTimeout(() => this.dismiss(toast), toast.remaining);
+    }
+
+    restart(toast) {
+        clearTimeout(toast.timer);
+        toast.remaining = toast.duration;
+        this.start(toast);
+    }
+
+    pause(toast, reason) {
+        if (!toast.hovered && !toast.focused && toast.timer) {
+            clearTimeout(toast.timer);
+            toast.timer = null;
+            toast.remaining -= Date.now() - toast.startedAt;
+        }
+        toast[reason] = true;
+    }
+
+    resume(toast, reason) {
+        toast[reason] = false;
+        if (this.visible.includes(toast)) this.start(toast);
+    }
+
+    dismiss(toast) {
+        if (!this.visible.includes(toast)) {
+            this.queue = this.queue.filter(item => item !== toast);
+            return;
+        }
+
+        clearTimeout(toast.timer);
+        this.visible = this.visible.filter(item => item !== toast);
+
+        // Don't strand keyboard focus on a removed element
+        if (toast.element.contains(document.activeElement)) {
+            document.activeElement.blur();
+        }
+
+        toast.element.classList.add('toast-leaving');
+        setTimeout(() => toast.element.remove(), 300);
+
+        if (this.queue.length) {
+            this.render(this.queue.shift());
+        }
+    }
+}
+
+// ===================================
+// Product Detail View
+// ===================================
+
+class ProductDetail {
+    constructor(catalog, formHandler, creditPlans) {
+        this.catalog = catalog;
+        this.formHandler = formHandler;
+        this.creditPlans = creditPlans;
+        this.init();
+    }
+
+    init() {
+        this.modal = new Modal({
+            className: 'product-modal',
+            labelledBy: 'productModalTitle',
+            onRequestClose: () => this.close()
+        });
+        // Prerendered product pages carry the view's markup in the page itself
+        this.page = document.querySelector('.product-page[data-product-id]');
+        if (this.page) {
+            Promise.all([
+                this.catalog.load(),
+                this.creditPlans ? this.creditPlans.load().catch(() => null) : null
+            ]).then(() => this.renderPage(), () => null);
+        }
+
+        this.bindEvents();
+        this.handleRoute();
+    }
+
+    bindEvents() {
+        window.addEventListener('hashchange', () => this.handleRoute(true));
+
+        document.addEventListener('i18n:change', () => {
+            if (this.isOpen()) this.modal.setContent(this.renderProduct(this.product));
+            if (this.page) this.renderPage();
+        });
+
+        this.modal.body.addEventListener('click', (e) => this.handleClick(e, this.modal.body, this.product));
+
+        if (this.page) {
+            this.page.addEventListener('click', (e) => {
+                this.handleClick(e, this.page, this.catalog.getById(this.page.dataset.productId));
+            });
+        }
+    }
+
+    handleClick(e, container, product) {
+        if (!product) return;
+
+        const thumb = e.target.closest('.product-gallery-thumb');
+        if (thumb) {
+            this.selectImage(container, product, Number(thumb.dataset.index));
+            return;
+        }
+
+        const action = e.target.closest('[data-action]');
+        if (action) {
+            this.handleAction(action.dataset.action, product);
+        }
+    }
+
+    /**
+     * Parse the product id from a `#product/<id>` hash
+     */
+    getRouteProductId() {
+        const match = window.location.hash.match(/^#product\/([\w-]+)$/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Open or close the view to match the hash. Views reached through a
+     * hashchange have a page history entry behind them and close with
+     * history.back(); deep links opened on page load only clear the hash.
+     */
+    async handleRoute(fromNavigation = false) {
+        const productId = this.getRouteProductId();
+
+        if (!productId) {
+            if (this.isOpen()) this.hide();
+            return;
+        }
+
+        try {
+            await Promise.all([
+                this.catalog.load(),
+                this.creditPlans ? this.creditPlans.load().catch(() => null) : null
+            ]);
+        } catch (error) {
+            console.error('Failed to load catalog for product view:', error);
+            return;
+        }
+
+        const product = this.catalog.getById(productId);
+        if (!product) {
+            this.clearRoute();
+            return;
+        }
+
+        if (!this.isOpen()) {
+            this.openedInPage = fromNavigation;
+        }
+        this.show(product);
+    }
+
+    /**
+     * Navigate to the product route; the hashchange handler opens the view
+     */
+    open(productId) {
+        window.location.hash = `product/${productId}`;
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        if (this.openedInPage) {
+            window.history.back();
+        } else {
+            this.clearRoute();
+        }
+    }
+
+    /**
+     * Drop the product hash without adding a history entry
+     */
+    clearRoute() {
+        const url = window.location.pathname + window.location.search;
+        window.history.replaceState(null, '', url);
+        this.hide();
+    }
+
+    isOpen() {
+        return this.modal.isOpen();
+    }
+
+    show(product) {
+        if (!this.product || this.product.id !== product.id) {
+            trackEvent('product_view', { product_id: product.id, category: product.category, price: product.price });
+        }
+
+        this.product = product;
+        this.modal.setContent(this.renderProduct(product));
+        this.modal.open();
+        document.dispatchEvent(new CustomEvent('product:open', { detail: { product } }));
+    }
+
+    hide() {
+        this.product = null;
+        this.modal.close();
+        document.dispatchEvent(new CustomEvent('product:close'));
+    }
+
+    /**
+     * @param {Object} product
+     * @param {string} [titleId] - prerendered pages use their own, so the
+     *   modal's heading id stays unique
+     */
+    renderProduct(product, titleId = 'productModalTitle') {
+        const thumbs = product.images.length > 1
+            ? html`<div class="product-gallery-thumbs">
+                    ${product.images.map((image, index) => html`
+                        <button type="button" class="product-gallery-thumb${index === 0 ? ' active' : ''}" data-index="${index}" aria-label="${i18n.t('product.photo', { index: index + 1 })}">
+                            <img src="${utils.safeUrl(image)}" alt="">
+                        </button>
+                    `)}
+               </div>`
+            : '';
+
+        const specRows = PRODUCT_SPECS.map(spec => {
+            const value = product.specs[spec.key];
+            return html`
+                <tr>
+                    <th scope="row">${i18n.t(`spec.${spec.key}`)}</th>
+                    <td>${typeof value === 'number' ? formatSpec(spec, value) : '—'}</td>
+                </tr>
+            `;
+        });
+
+        return html`
+            <div class="product-detail">
+                <div class="product-gallery">
+                    <div class="product-gallery-main">
+                        <img src="${utils.safeUrl(product.images[0])}" alt="${product.name}">
+                    </div>
+                    ${thumbs}
+                </div>
+                <div class="product-detail-info">
+                    <h2 class="product-detail-title" id="${titleId}">${product.name}</h2>
+                    <div class="product-price">${utils.formatPrice(product.price, product.currency)}</div>
+                    ${this.renderInstallment(product)}
+                    <div class="product-delivery">
+                        <button type="button" class="product-installment-link" data-action="delivery">${i18n.t('product.delivery')}</button>
+                    </div>
+                    ${product.description ? html`<p class="product-detail-description">${product.description}</p>` : ''}
+                    <table class="product-specs">
+                        <tbody>${specRows}</tbody>
+                    </table>
+                    <div class="product-actions">
+                        <button type="button" class="btn btn-primary btn-small" data-action="add-to-cart" data-product-id="${product.id}"${product.stock === 'out_of_stock' ? ' disabled' : ''}>${i18n.t('common.buy')}</button>
+                        <button type="button" class="btn btn-outline btn-small" data-action="consult">${i18n.t('common.consultation')}</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderInstallment(product) {
+        const label = this.creditPlans && this.creditPlans.isLoaded()
+            ? this.creditPlans.getInstallmentLabel(product.price, product.currency)
+            : '';
+        if (!label) return '';
+
+        return html`
+            <div class="product-installment">
+                ${label}
+                <button type="button" class="product-installment-link" data-action="calculate">${i18n.t('product.calculate')}</button>
+                ${this.creditPlans.placeholder ? html`<p class="product-installment-note">${i18n.t('installment.placeholder')}</p>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Rebuild a prerendered product page if it was built in another language
+     */
+    renderPage() {
+        const product = this.catalog.getById(this.page.dataset.productId);
+        const container = this.page.querySelector('.product-page-detail');
+        if (!product || !container || this.page.dataset.lang === i18n.lang) return;
+
+        container.innerHTML = this.renderProduct(product, 'productPageTitle');
+        this.page.dataset.lang = i18n.lang;
+    }
+
+    selectImage(container, product, index) {
+        const image = product.images[index];
+        if (!image) return;
+
+        container.querySelector('.product-gallery-main img').src = utils.safeUrl(image);
+        container.querySelectorAll('.product-gallery-thumb').forEach((thumb, i) => {
+            thumb.classList.toggle('active', i === index);
+        });
+    }
+
+    handleAction(action, product) {
+        if (action === 'calculate') {
+            // Product pages have no calculator of their own
+            if (!document.getElementById('credit-calculator')) {
+                window.location.href = new URL('index.html#credit-calculator', SITE_BASE_URL).href;
+                return;
+            }
+            this.close();
+            document.dispatchEvent(new CustomEvent('credit:calculate', { detail: { productId: product.id } }));
+        }
+
+        if (action === 'delivery') {
+            // Opens over the product view
+            document.dispatchEvent(new CustomEvent('delivery:estimate', { detail: { productId: product.id } }));
+        }
+
+        if (action === 'consult') {
+            this.close();
+            if (this.formHandler) {
+                this.formHandler.openConsultationModal({ product: product.name, intent: action });
+            }
+        }
+    }
+}
+
+// ===================================
+// Product Structured Data
+// ===================================
+
+// schema.org availability for the feed's stock values
+const STOCK_AVAILABILITY = {
+    in_stock: 'https://schema.org/InStock',
+    preorder: 'https://schema.org/PreOrder',
+    out_of_stock: 'https://schema.org/OutOfStock'
+};
+
+/**
+ * Product/Offer JSON-LD with an ItemList per category tab, plus title,
+ * description and OG/Twitter tags for the open product view
+ */
+class ProductMetadata {
+    constructor(catalog, companyData) {
+        this.catalog = catalog;
+        this.companyData = companyData;
+        this.product = null;
+        this.init();
+    }
+
+    init() {
+        // Page-level values to restore when the product view closes
+        this.defaults = {};
+        this.getMetaTags().forEach(([attribute, name]) => {
+            const meta = this.findMeta(attribute, name);
+            this.defaults[name] = meta ? meta.getAttribute('content') : null;
+        });
+
+        document.addEventListener('product:open', (e) => this.showProduct(e.detail.product));
+        document.addEventListener('product:close', () => this.restore());
+        document.addEventListener('i18n:change', () => {
+            this.renderStructuredData();
+            // i18n.apply() has just reset the title to the page one
+            if (this.product) this.showProduct(this.product);
+        });
+
+        Promise.all([this.catalog.load(), this.companyData.load().catch(() => null)])
+            .then(() => this.renderStructuredData())
+            .catch(error => console.warn('Product structured data skipped:', error.message));
+    }
+
+    getMetaTags() {
+        return [
+            ['name', 'description'],
+            ['property', 'og:title'],
+            ['property', 'og:description'],
+            ['property', 'og:type'],
+            ['property', 'og:url'],
+            ['property', 'og:image'],
+            ['property', 'product:price:amount'],
+            ['property', 'product:price:currency'],
+            ['name', 'twitter:title'],
+            ['name', 'twitter:description'],
+            ['name', 'twitter:image']
+        ];
+    }
+
+    findMeta(attribute, name) {
+        return document.head.querySelector(`meta[${attribute}="${name}"]`);
+    }
+
+    /**
+     * Set a meta tag's content, creating the tag if needed; null removes it
+     */
+    setMeta(attribute, name, content) {
+        let meta = this.findMeta(attribute, name);
+
+        if (content === null || content === undefined) {
+            if (meta) meta.remove();
+            return;
+        }
+        if (!meta) {
+            meta = document.createElement('meta');
+            meta.setAttribute(attribute, name);
+            document.head.appendChild(meta);
+        }
+        meta.setAttribute('content', content);
+    }
+
+    getProductUrl(product) {
+        return utils.productUrl(product.id);
+    }
+
+    /**
+     * Prefer the spelling of the brands the company is a dealer for
+     */
+    getBrand(product) {
+        const brands = this.companyData.get('services.sales.brands', []);
+        const name = (product.brand || '').toLowerCase();
+        const known = brands.find(brand => name
+            ? brand.toLowerCase() === name
+            : product.name.toLowerCase().startsWith(brand.toLowerCase()));
+        return known || product.brand || undefined;
+    }
+
+    buildProduct(product) {
+        const url = this.getProductUrl(product);
+        const brand = this.getBrand(product);
+
+        return {
+            '@type': 'Product',
+            '@id': url,
+            name: product.name,
+            description: product.description || undefined,
+            image: product.images,
+            sku: product.id,
+            category: i18n.t(`category.${product.category}`),
+            brand: brand ? { '@type': 'Brand', name: brand } : undefined,
+            offers: {
+                '@type': 'Offer',
+                url,
+                price: product.price,
+                priceCurrency: product.currency,
+                availability: STOCK_AVAILABILITY[product.stock],
+                itemCondition: 'https://schema.org/NewCondition',
+                seller: { '@type': 'Organization', name: this.companyData.get('trade_name', 'Electro Power') }
+            }
+        };
+    }
+
+    buildItemList(category) {
+        const products = this.catalog.getByCategory(category);
+
+        return {
+            '@type': 'ItemList',
+            '@id': new URL(`category/${category}.html`, SITE_BASE_URL).href,
+            name: i18n.t(`category.${category}`),
+            numberOfItems: products.length,
+            itemListElement: products.map((product, index) => ({
+                '@type': 'ListItem',
+                position: index + 1,
+                url: this.getProductUrl(product),
+                item: { '@id': this.getProductUrl(product) }
+            }))
+        };
+    }
+
+    /**
+     * Every product plus an ItemList per category; scripts/prerender.js
+     * writes the same data into the static pages
+     */
+    buildStructuredData() {
+        const categories = PRODUCT_SCHEMA.properties.category.enum;
+
+        return {
+            '@context': 'https://schema.org',
+            '@graph': [
+                ...this.catalog.products.map(product => this.buildProduct(product)),
+                ...categories
+                    .filter(category => this.catalog.getByCategory(category).length)
+                    .map(category => this.buildItemList(category))
+            ]
+        };
+    }
+
+    renderStructuredData() {
+        if (!this.catalog.products.length) return;
+
+        let script = document.querySelector('script[data-catalog-jsonld]');
+        if (!script) {
+            script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.dataset.catalogJsonld = '';
+            document.head.appendChild(script);
+        }
+        script.textContent = JSON.stringify(this.buildStructuredData(), null, 2).replace(/</g, '\\u003c');
+    }
+
+    /**
+     * Title, description and preview image for sharing a product
+     */
+    getShareData(product) {
+        const price = utils.formatPrice(product.price, product.currency);
+
+        return {
+            title: i18n.t('meta.productTitle', {
+                name: product.name,
+                price,
+                company: this.companyData.get('trade_name', 'Electro Power')
+            }),
+            description: product.description || i18n.t('meta.productDescription', { name: product.name, price }),
+            image: product.images[0] ? new URL(product.images[0], window.location.href).href : null
+        };
+    }
+
+    showProduct(product) {
+        this.product = product;
+
+        const share = this.getShareData(product);
+        const { title, description } = share;
+        const image = share.image || this.defaults['og:image'];
+
+        document.title = title;
+        this.setMeta('name', 'description', description);
+        this.setMeta('property', 'og:title', title);
+        this.setMeta('property', 'og:description', description);
+        this.setMeta('property', 'og:type', 'product');
+        this.setMeta('property', 'og:url', this.getProductUrl(product));
+        this.setMeta('property', 'og:image', image);
+        this.setMeta('property', 'product:price:amount', String(product.price));
+        this.setMeta('property', 'product:price:currency', product.currency);
+        this.setMeta('name', 'twitter:title', title);
+        this.setMeta('name', 'twitter:description', description);
+        this.setMeta('name', 'twitter:image', image);
+    }
+
+    restore() {
+        if (!this.product) return;
+        this.product = null;
+
+        document.title = i18n.t('meta.title');
+        this.getMetaTags().forEach(([attribute, name]) => this.setMeta(attribute, name, this.defaults[name]));
+    }
+}
+
+// ===================================
+// Shopping Cart
+// ===================================
+
+// Delivery options offered at checkout, matching the .delivery-item blocks;
+// labels are "delivery.<id>" and "delivery.<id>.note" messages
+const DELIVERY_METHODS = [
+    { id: 'pickup', needsAddress: false },
+    { id: 'minsk_courier', needsAddress: true },
+    { id: 'belarus_shipping', needsAddress: true },
+    { id: 'cash_on_delivery', needsAddress: true }
+];
+
+class ShoppingCart {
+    constructor(catalog, formHandler, deliveryTariffs = null) {
+        this.catalog = catalog;
+        this.formHandler = formHandler;
+        this.deliveryTariffs = deliveryTariffs;
+        this.storageKey = 'electropower:cart';
+        this.maxQuantity = 99;
+        this.items = this.restore();
+        this.init();
+    }
+
+    init() {
+        this.container = document.querySelector('.mini-cart');
+        if (this.container) {
+            this.toggleBtn = this.container.querySelector('.mini-cart-toggle');
+            this.badge = this.container.querySelector('.mini-cart-badge');
+            this.panel = this.container.querySelector('.mini-cart-panel');
+        }
+
+        this.checkout = new Checkout(this, this.formHandler, this.deliveryTariffs);
+        this.bindEvents();
+
+        // Render once the catalog is there, dropping products that no longer exist
+        this.catalog.load().then(() => {
+            this.items = this.items.filter(item => this.catalog.getById(item.id));
+            this.persist();
+            this.render();
+        }).catch(() => this.render());
+    }
+
+    bindEvents() {
+        // Any "add to cart" button on the page, including ones rendered later
+        document.addEventListener('click', (e) => {
+            const addBtn = e.target.closest('[data-action="add-to-cart"]');
+            if (addBtn && addBtn.dataset.productId) {
+                this.add(addBtn.dataset.productId);
+            }
+        });
+
+        if (!this.container) return;
+
+        this.toggleBtn.addEventListener('click', () => this.togglePanel());
+
+        this.panel.addEventListener('click', (e) => {
+            const control = e.target.closest('[data-cart-action]');
+            if (!control) return;
+
+            const id = control.closest('[data-product-id]')?.dataset.productId;
+            const action = control.dataset.cartAction;
+
+            if (action === 'increase') this.setQuantity(id, this.getQuantity(id) + 1);
+            if (action === 'decrease') this.setQuantity(id, this.getQuantity(id) - 1);
+            if (action === 'remove') this.remove(id);
+            if (action === 'checkout') {
+                this.closePanel();
+                this.checkout.open();
+            }
+        });
+
+        this.panel.addEventListener('change', (e) => {
+            const input = e.target.closest('.mini-cart-qty');
+            if (input) {
+                const id = input.closest('[data-product-id]').dataset.productId;
+                this.setQuantity(id, parseInt(input.value, 10) || 0);
+            }
+        });
+
+        // Close when clicking outside or pressing Escape
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.mini-cart') && !e.target.closest('[data-action="add-to-cart"]')) {
+                this.closePanel();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isPanelOpen()) {
+                this.closePanel();
+                this.toggleBtn.focus();
+            }
+        });
+
+        // Keep several open tabs in sync
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) {
+                this.items = this.restore();
+                this.render();
+            }
+        });
+
+        document.addEventListener('i18n:change', () => this.render());
+    }
+
+    restore() {
+        const stored = utils.readStorage(this.storageKey, []);
+        if (!Array.isArray(stored)) return [];
+
+        return stored.filter(item => (
+            item && typeof item.id === 'string' && Number.isInteger(item.quantity) && item.quantity > 0
+        ));
+    }
+
+    persist() {
+        utils.writeStorage(this.storageKey, this.items);
+    }
+
+    add(productId, quantity = 1) {
+        const product = this.catalog.getById(productId);
+        if (!product || product.stock === 'out_of_stock') return;
+
+        this.setQuantity(productId, this.getQuantity(productId) + quantity);
+
+        showToast(i18n.t('cart.added', { name: product.name }), {
+            type: 'success',
+            action: { label: i18n.t('cart.checkout'), handler: () => this.checkout.open() }
+        });
+    }
+
+    remove(productId) {
+        this.items = this.items.filter(item => item.id !== productId);
+        this.update();
+    }
+
+    setQuantity(productId, quantity) {
+        if (quantity <= 0) {
+            this.remove(productId);
+            return;
+        }
+
+        const clamped = Math.min(quantity, this.maxQuantity);
+        const item = this.items.find(entry => entry.id === productId);
+
+        if (item) {
+            item.quantity = clamped;
+        } else {
+            this.items.push({ id: productId, quantity: clamped });
+        }
+        this.update();
+    }
+
+    getQuantity(productId) {
+        const item = this.items.find(entry => entry.id === productId);
+        return item ? item.quantity : 0;
+    }
+
+    clear() {
+        this.items = [];
+        this.update();
+    }
+
+    /**
+     * Cart lines joined with current catalog data
+     */
+    getLines() {
+        return this.items
+            .map(item => ({ product: this.catalog.getById(item.id), quantity: item.quantity }))
+            .filter(line => line.product)
+            .map(line => ({ ...line, subtotal: line.product.price * line.quantity }));
+    }
+
+    getCount() {
+        return this.items.reduce((sum, item) => sum + item.quantity, 0);
+    }
+
+    getTotal() {
+        return this.getLines().reduce((sum, line) => sum + line.subtotal, 0);
+    }
+
+    update() {
+        this.persist();
+        this.render();
+        document.dispatchEvent(new CustomEvent('cart:change', {
+            detail: { count: this.getCount(), total: this.getTotal() }
+        }));
+    }
+
+    render() {
+        if (!this.container) return;
+
+        const count = this.getCount();
+        this.badge.textContent = count;
+        this.badge.hidden = count === 0;
+        this.toggleBtn.setAttribute('aria-label', i18n.t('cart.label', { count }));
+
+        const lines = this.getLines();
+
+        if (!lines.length) {
+            this.panel.innerHTML = html`<p class="mini-cart-empty">${i18n.t('cart.empty')}</p>`;
+            return;
+        }
+
+        this.panel.innerHTML = html`
+            <ul class="mini-cart-list">
+                ${lines.map(({ product, quantity, subtotal }) => html`
+                    <li class="mini-cart-item" data-product-id="${product.id}">
+                        <img src="${utils.safeUrl(product.images[0])}" alt="" class="mini-cart-image">
+                        <div class="mini-cart-info">
+                            <span class="mini-cart-name">${product.name}</span>
+                            <span class="mini-cart-price">${utils.formatPrice(subtotal, product.currency)}</span>
+                        </div>
+                        <div class="mini-cart-controls">
+                            <button type="button" data-cart-action="decrease" aria-label="${i18n.t('cart.decrease')}">&minus;</button>
+                            <input type="number" class="mini-cart-qty" min="1" max="${this.maxQuantity}" value="${quantity}" aria-label="${i18n.t('cart.quantity')}">
+                            <button type="button" data-cart-action="increase" aria-label="${i18n.t('cart.increase')}">+</button>
+                            <button type="button" data-cart-action="remove" class="mini-cart-remove" aria-label="${i18n.t('cart.remove')}">&times;</button>
+                        </div>
+                    </li>
+                `)}
+            </ul>
+            <div class="mini-cart-footer">
+                <div class="mini-cart-total">
+                    <span>${i18n.t('cart.total')}</span>
+                    <strong>${utils.formatPrice(this.getTotal())}</strong>
+                </div>
+                <button type="button" class="btn btn-primary btn-small" data-cart-action="checkout">${i18n.t('cart.checkout')}</button>
+            </div>
+        `;
+    }
+
+    isPanelOpen() {
+        return this.panel && !this.panel.hidden;
+    }
+
+    togglePanel() {
+        if (this.isPanelOpen()) {
+            this.closePanel();
+        } else {
+            this.panel.hidden = false;
+            this.toggleBtn.setAttribute('aria-expanded', 'true');
+        }
+    }
+
+    closePanel() {
+        if (!this.isPanelOpen()) return;
+        this.panel.hidden = true;
+        this.toggleBtn.setAttribute('aria-expanded', 'false');
+    }
+}
+
+// ===================================
+// Checkout
+// ===================================
+
+class Checkout {
+    constructor(cart, formHandler, deliveryTariffs = null) {
+        this.cart = cart;
+        this.formHandler = formHandler;
+        this.deliveryTariffs = deliveryTariffs;
+        this.init();
+    }
+
+    init() {
+        this.modal = new Modal({ className: 'checkout-modal', labelledBy: 'checkoutTitle' });
+
+        this.modal.body.addEventListener('change', (e) => {
+            if (e.target.name === 'delivery') {
+                this.toggleAddress();
+            }
+        });
+
+        this.modal.body.addEventListener('submit', (e) => this.handleSubmit(e));
+    }
+
+    open() {
+        if (!this.cart.getLines().length) {
+            showToast(i18n.t('cart.empty'), 'warning');
+            return;
+        }
+
+        this.modal.setContent(this.renderForm());
+        this.form = this.modal.body.querySelector('.checkout-form');
+        this.toggleAddress();
+
+        new PhoneMask(this.form.elements.phone);
+        formValidation.bindLiveValidation(this.form.elements.name, value => formValidation.validateName(value));
+        formValidation.bindLiveValidation(this.form.elements.phone, value => phoneUtils.validate(value));
+
+        this.estimateForm = null;
+        this.renderEstimate();
+        this.modal.open();
+    }
+
+    /**
+     * Cost and date of each delivery option for the visitor's city; the
+     * order goes through without them if the tariffs can't load
+     */
+    async renderEstimate() {
+        const container = this.form.querySelector('.checkout-estimate');
+        if (!this.deliveryTariffs || !container) return;
+
+        try {
+            await this.deliveryTariffs.load();
+        } catch (error) {
+            console.warn('Delivery estimates unavailable:', error.message);
+            container.hidden = true;
+            return;
+        }
+        if (!container.isConnected) return;
+
+        this.estimateForm = new DeliveryEstimateForm(container, this.deliveryTariffs, {
+            compact: true,
+            getOrder: () => ({
+                products: this.cart.getLines().map(line => line.product),
+                total: this.cart.getTotal()
+            }),
+            onChange: form => this.renderDeliveryNotes(form)
+        });
+    }
+
+    renderDeliveryNotes(estimateForm) {
+        this.form.querySelectorAll('input[name="delivery"]').forEach(input => {
+            const note = input.closest('.checkout-option').querySelector('small');
+            const estimate = estimateForm.getEstimate(input.value);
+
+            if (estimate) {
+                note.textContent = `${estimateForm.formatCost(estimate)}, ${estimateForm.formatDates(estimate)}`;
+            } else if (this.deliveryTariffs.data.methods[input.value]) {
+                note.textContent = i18n.t('deliveryEstimate.unavailable');
+            } else {
+                note.textContent = i18n.t(`delivery.${input.value}.note`);
+            }
+        });
+    }
+
+    renderForm() {
+        const lines = this.cart.getLines();
+
+        return html`
+            <h2 class="checkout-title" id="checkoutTitle">${i18n.t('checkout.title')}</h2>
+            <ul class="checkout-summary">
+                ${lines.map(({ product, quantity, subtotal }) => html`
+                    <li>
+                        <span>${product.name} &times; ${quantity}</span>
+                        <strong>${utils.formatPrice(subtotal, product.currency)}</strong>
+                    </li>
+                `)}
+            </ul>
+            <form class="checkout-form" novalidate>
+                <label class="checkout-field">
+                    <span>${i18n.t('checkout.name')}</span>
+                    <input type="text" name="name" autocomplete="name" required>
+                </label>
+                <label class="checkout-field">
+                    <span>${i18n.t('checkout.phone')}</span>
+                    <input type="tel" name="phone" autocomplete="tel" required>
+                </label>
+                <fieldset class="checkout-delivery">
+                    <legend>${i18n.t('checkout.delivery')}</legend>
+                    ${DELIVERY_METHODS.map((method, index) => html`
+                        <label class="checkout-option">
+                            <input type="radio" name="delivery" value="${method.id}"${index === 0 ? ' checked' : ''}>
+                            <span>${i18n.t(`delivery.${method.id}`)} <small>${i18n.t(`delivery.${method.id}.note`)}</small></span>
+                        </label>
+                    `)}
+                </fieldset>
+                ${this.deliveryTariffs ? html`<div class="checkout-estimate"></div>` : ''}
+                <label class="checkout-field checkout-address">
+                    <span>${i18n.t('checkout.address')}</span>
+                    <textarea name="address" rows="2" autocomplete="street-address"></textarea>
+                </label>
+                <div class="checkout-total">
+                    <span>${i18n.t('checkout.total')}</span>
+                    <strong>${utils.formatPrice(this.cart.getTotal())}</strong>
+                </div>
+                <button type="submit" class="btn btn-primary">${i18n.t('checkout.submit')}</button>
+            </form>
+        `;
+    }
+
+    getDeliveryMethod() {
+        const selected = this.form.querySelector('input[name="delivery"]:checked');
+        return DELIVERY_METHODS.find(method => method.id === (selected && selected.value)) || DELIVERY_METHODS[0];
+    }
+
+    toggleAddress() {
+        const addressField = this.form.querySelector('.checkout-address');
+        const needsAddress = this.getDeliveryMethod().needsAddress;
+        addressField.hidden = !needsAddress;
+        addressField.querySelector('textarea').required = needsAddress;
+    }
+
+    async handleSubmit(e) {
+        e.preventDefault();
+
+        const { elements } = this.form;
+        const delivery = this.getDeliveryMethod();
+
+        const isValid = formValidation.validateFields([
+            [elements.name, value => formValidation.validateName(value)],
+            [elements.phone, value => phoneUtils.validate(value)],
+            [delivery.needsAddress ? elements.address : null, value => (value.trim() ? '' : i18n.t('validation.address.required'))]
+        ]);
+        if (!isValid) return;
+
+        const name = elements.name.value.trim();
+        const phone = phoneUtils.toE164(elements.phone.value);
+        const address = elements.address.value.trim();
+
+        const order = {
+            customer: { name, phone },
+            delivery: {
+                method: delivery.id,
+                address: delivery.needsAddress ? address : null,
+                estimate: this.estimateForm ? this.estimateForm.describe(delivery.id) : null
+            },
+            items: this.cart.getLines().map(({ product, quantity }) => ({
+                id: product.id,
+                name: product.name,
+                price: product.price,
+                quantity
+            })),
+            total: this.cart.getTotal(),
+            currency: 'BYN'
+        };
+
+        const submitBtn = this.form.querySelector('button[type="submit"]');
+        const originalText = submitBtn.textContent;
+        submitBtn.textContent = i18n.t('common.sending');
+        submitBtn.disabled = true;
+
+        try {
+            const result = await this.formHandler.sendRequest('order', order);
+            this.cart.clear();
+            this.modal.close();
+            if (result.queued) {
+                showToast(i18n.t('checkout.queued'), 'warning');
+            } else if (result.via === 'mailto') {
+                showToast(i18n.t('lead.mailto'), 'warning');
+            } else {
+                showToast(i18n.t('checkout.success'), 'success');
+            }
+        } catch (error) {
+            showToast(i18n.t('common.error'), 'error');
+        } finally {
+            submitBtn.textContent = originalText;
+            submitBtn.disabled = false;
+        }
+    }
+}
+
+// ===================================
+// Delivery Estimate
+// ===================================
+
+// Override with window.ELECTRO_POWER_CONFIG = { delivery: { ... } }
+const DELIVERY_CONFIG = {
+    tariffsUrl: utils.assetUrl('data/delivery-tariffs.json'),
+    // Cut-off times are shop-local; Minsk has no DST, so the offset is fixed at UTC+3
+    utcOffsetMinutes: 180,
+    // Last city and region picked, shared by the section, product views and checkout
+    locationKey: 'electropower:delivery-location',
+    ...(window.ELECTRO_POWER_CONFIG && window.ELECTRO_POWER_CONFIG.delivery)
+};
+
+/**
+ * Tariffs from delivery-tariffs.json: cost and expected dates of each
+ * delivery method by region, size class of the goods and order time
+ */
+class DeliveryTariffs {
+    constructor(companyData, options = {}) {
+        this.companyData = companyData;
+        this.dataUrl = options.dataUrl || DELIVERY_CONFIG.tariffsUrl;
+        this.utcOffsetMinutes = options.utcOffsetMinutes !== undefined ? options.utcOffsetMinutes : DELIVERY_CONFIG.utcOffsetMinutes;
+        this.data = null;
+        // Example tariffs, not the shop's rates: the estimator says so
+        this.placeholder = false;
+        this.loadPromise = null;
+    }
+
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = Promise.all([
+                fetch(this.dataUrl).then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                }),
+                // Cut-offs fall back to 09:30-21:30 hours if company.json is unavailable
+                this.companyData.load().catch(() => null)
+            ]).then(([data]) => {
+                if (!Array.isArray(data.regions) || !data.regions.length || !data.methods) {
+                    throw new Error('delivery-tariffs.json has no regions or methods');
+                }
+                this.data = data;
+                this.placeholder = data.placeholder === true;
+                return data;
+            });
+            this.loadPromise.catch(() => {
+                this.loadPromise = null;
+            });
+        }
+        return this.loadPromise;
+    }
+
+    isLoaded() {
+        return Boolean(this.data);
+    }
+
+    getRegions() {
+        return this.data.regions;
+    }
+
+    getRegion(id) {
+        return this.data.regions.find(region => region.id === id) || null;
+    }
+
+    /**
+     * Find a city by its name or an alias, ignoring case and е/ё
+     */
+    findCity(query) {
+        const normalize = value => String(value || '').trim().toLowerCase().replace(/ё/g, 'е');
+        const name = normalize(query);
+        if (!name) return null;
+
+        for (const region of this.data.regions) {
+            const city = region.cities.find(item => [item.name, ...(item.aliases || [])].some(alias => normalize(alias) === name));
+            if (city) return { region, city };
+        }
+        return null;
+    }
+
+    /**
+     * Size class by weight, or by category for products without one
+     */
+    getSizeClass(product) {
+        const classes = this.data.size_classes;
+        const weight = product.specs && product.specs.weight;
+
+        if (typeof weight === 'number') {
+            const match = classes.find(sizeClass => sizeClass.max_weight === undefined || weight <= sizeClass.max_weight);
+            if (match) return match.id;
+        }
+        return this.data.category_size_classes[product.category] || classes[classes.length - 1].id;
+    }
+
+    /**
+     * An order ships as its bulkiest item
+     */
+    getOrderSizeClass(products) {
+        const ids = this.data.size_classes.map(sizeClass => sizeClass.id);
+        return products
+            .map(product => this.getSizeClass(product))
+            .reduce((largest, id) => (ids.indexOf(id) > ids.indexOf(largest) ? id : largest), ids[0]);
+    }
+
+    /**
+     * The current time at the shop, as a Date whose local fields read Minsk time
+     */
+    getShopTime(now = new Date()) {
+        return utils.shopTime(this.utcOffsetMinutes, now);
+    }
+
+    /**
+     * The day an order is handed over: today if it comes in before the
+     * method's cut-off, which never runs past closing time, otherwise the
+     * next day; shipping only leaves on its dispatch days
+     */
+    getDispatchDate(method, shopTime) {
+        const toMinutes = time => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+
+        const day = new Date(shopTime);
+        day.setHours(0, 0, 0, 0);
+
+        const { close } = this.companyData.getWorkingHours(day);
+        const cutoff = Math.min(toMinutes(method.cutoff || close), toMinutes(close));
+        if (shopTime.getHours() * 60 + shopTime.getMinutes() >= cutoff) {
+            day.setDate(day.getDate() + 1);
+        }
+
+        while (method.dispatch_days && !method.dispatch_days.includes(day.getDay())) {
+            day.setDate(day.getDate() + 1);
+        }
+        return day;
+    }
+
+    /**
+     * Estimates for the methods that serve the region, as
+     * [{ method, sizeClass, cost, free, from, to }] with shop-local dates.
+     * Cities outside the tariffs get the region's whole transit range.
+     * @param {Object} order
+     * @param {Object} order.region - a region from the tariffs
+     * @param {Object} [order.city] - a city of that region
+     * @param {Array} order.products
+     * @param {number} [order.total] - order value, for free delivery thresholds
+     * @param {Date} [order.now]
+     */
+    estimate({ region, city = null, products, total = 0, now = new Date() }) {
+        const sizeClass = this.getOrderSizeClass(products);
+        const shopTime = this.getShopTime(now);
+        const addDays = (date, days) => {
+            const result = new Date(date);
+            result.setDate(result.getDate() + days);
+            return result;
+        };
+
+        return Object.entries(this.data.methods)
+            .filter(([, method]) => method.zones.includes(region.zone))
+            .map(([id, method]) => {
+                const costs = method.zone_cost ? method.zone_cost[region.zone] : method.cost;
+                if (!costs || costs[sizeClass] === undefined) return null;
+
+                const transit = method.transit_days ? method.transit_days[region.zone] : { hub: 0, other: 0 };
+                const [fastest, slowest] = city
+                    ? Array(2).fill(city.hub ? transit.hub : transit.other)
+                    : [transit.hub, transit.other];
+                const extraDays = (method.extra_days && method.extra_days[sizeClass]) || 0;
+                const dispatch = this.getDispatchDate(method, shopTime);
+                const free = Boolean(method.free_from) && total >= method.free_from;
+
+                return {
+                    method: id,
+                    sizeClass,
+                    cost: free ? 0 : costs[sizeClass],
+                    free,
+                    from: addDays(dispatch, extraDays + fastest),
+                    to: addDays(dispatch, extraDays + slowest)
+                };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * "сегодня", "завтра" or a weekday and date; a range when the dates differ
+     */
+    formatDates(estimate, now = new Date()) {
+        const today = this.getShopTime(now);
+        today.setHours(0, 0, 0, 0);
+
+        const formatDay = (date) => {
+            const days = Math.round((date - today) / 86400000);
+            if (days <= 1) {
+                return new Intl.RelativeTimeFormat(i18n.getLocale(), { numeric: 'auto' }).format(days, 'day');
+            }
+            return new Intl.DateTimeFormat(i18n.getLocale(), { weekday: 'short', day: 'numeric', month: 'long' }).format(date);
+        };
+
+        const from = formatDay(estimate.from);
+        return estimate.to > estimate.from ? `${from} – ${formatDay(estimate.to)}` : from;
+    }
+}
+
+/**
+ * City and region fields with delivery estimates for a set of products,
+ * rendered into `container`. A city from the tariffs selects its region;
+ * any other city is estimated by the region picked.
+ */
+class DeliveryEstimateForm {
+    /**
+     * @param {HTMLElement} container
+     * @param {DeliveryTariffs} tariffs - loaded
+     * @param {Object} options
+     * @param {Function} options.getOrder - returns { products, total }
+     * @param {Function} [options.onChange] - receives the form after every update
+     * @param {boolean} [options.compact] - leave the estimates to onChange instead of listing them
+     */
+    constructor(container, tariffs, options) {
+        this.container = container;
+        this.tariffs = tariffs;
+        this.options = options;
+        this.estimates = [];
+        this.init();
+    }
+
+    init() {
+        const saved = utils.readStorage(DELIVERY_CONFIG.locationKey, null) || {};
+        const match = this.tariffs.findCity(saved.city);
+
+        this.city = match ? match.city : null;
+        this.cityName = saved.city || '';
+        this.region = (match && match.region) || this.tariffs.getRegion(saved.region) || this.tariffs.getRegions()[0];
+
+        this.render();
+
+        this.container.addEventListener('input', (e) => {
+            if (e.target.name === 'city') this.selectCity(e.target.value);
+        });
+        this.container.addEventListener('change', (e) => {
+            if (e.target.name === 'region') this.selectRegion(e.target.value);
+        });
+    }
+
+    render() {
+        const listId = `delivery-cities-${Math.random().toString(36).slice(2, 8)}`;
+        const regions = this.tariffs.getRegions();
+
+        this.container.innerHTML = html`
+            ${this.tariffs.placeholder ? html`<p class="delivery-estimate-placeholder">${i18n.t('deliveryEstimate.placeholder')}</p>` : ''}
+            <div class="booking-fields delivery-estimate-fields">
+                <label class="checkout-field">
+                    <span>${i18n.t('deliveryEstimate.city')}</span>
+                    <input type="text" name="city" list="${listId}" value="${this.cityName}" autocomplete="address-level2" placeholder="${i18n.t('deliveryEstimate.cityPlaceholder')}">
+                </label>
+                <label class="checkout-field">
+                    <span>${i18n.t('deliveryEstimate.region')}</span>
+                    <select name="region">
+                        ${regions.map(region => html`
+                            <option value="${region.id}"${region === this.region ? ' selected' : ''}>${i18n.t(`deliveryEstimate.region.${region.id}`)}</option>
+                        `)}
+                    </select>
+                </label>
+            </div>
+            <datalist id="${listId}">
+                ${regions.map(region => region.cities.map(city => html`<option value="${city.name}"></option>`))}
+            </datalist>
+            <p class="delivery-estimate-note" aria-live="polite"></p>
+            ${this.options.compact ? '' : html`<ul class="delivery-estimate-results" aria-live="polite"></ul>`}
+        `;
+
+        this.update();
+    }
+
+    selectCity(name) {
+        const match = this.tariffs.findCity(name);
+        this.cityName = name.trim();
+        this.city = match ? match.city : null;
+
+        if (match) {
+            this.region = match.region;
+            this.container.querySelector('[name="region"]').value = match.region.id;
+        }
+        this.update();
+    }
+
+    selectRegion(id) {
+        this.region = this.tariffs.getRegion(id) || this.region;
+
+        // A known city from another region no longer applies
+        if (this.city && !this.region.cities.includes(this.city)) {
+            this.city = null;
+            this.cityName = '';
+            this.container.querySelector('[name="city"]').value = '';
+        }
+        this.update();
+    }
+
+    update() {
+        const order = this.options.getOrder();
+        const note = this.container.querySelector('.delivery-estimate-note');
+
+        this.estimates = order.products.length
+            ? this.tariffs.estimate({ region: this.region, city: this.city, products: order.products, total: order.total })
+            : [];
+
+        note.textContent = this.cityName && !this.city
+            ? i18n.t('deliveryEstimate.unknownCity', { region: i18n.t(`deliveryEstimate.region.${this.region.id}`) })
+            : '';
+
+        utils.writeStorage(DELIVERY_CONFIG.locationKey, { region: this.region.id, city: this.cityName });
+
+        if (!this.options.compact) this.renderResults();
+        if (this.options.onChange) this.options.onChange(this);
+    }
+
+    renderResults() {
+        const list = this.container.querySelector('.delivery-estimate-results');
+        const sizeClass = this.estimates.length ? this.estimates[0].sizeClass : null;
+
+        list.innerHTML = html`
+            ${this.estimates.map(estimate => html`
+                <li class="delivery-estimate-item">
+                    <span class="delivery-estimate-method">${i18n.t(`delivery.${estimate.method}`)}</span>
+                    <strong class="delivery-estimate-cost">${this.formatCost(estimate)}</strong>
+                    <span class="delivery-estimate-date">${this.formatDates(estimate)}</span>
+                </li>
+            `)}
+            ${sizeClass ? html`<li class="delivery-estimate-size">${i18n.t('deliveryEstimate.size', { size: i18n.t(`deliveryEstimate.size.${sizeClass}`) })}</li>` : ''}
+        `;
+    }
+
+    formatCost(estimate) {
+        return estimate.cost === 0
+            ? i18n.t('deliveryEstimate.free')
+            : utils.formatPrice(estimate.cost, this.tariffs.data.currency);
+    }
+
+    formatDates(estimate) {
+        const key = estimate.method === 'pickup' ? 'deliveryEstimate.pickupDate' : 'deliveryEstimate.deliveryDate';
+        return i18n.t(key, { date: this.tariffs.formatDates(estimate) });
+    }
+
+    getEstimate(methodId) {
+        return this.estimates.find(estimate => estimate.method === methodId) || null;
+    }
+
+    /**
+     * Location and estimate for the order payload
+     */
+    describe(methodId) {
+        const estimate = this.getEstimate(methodId);
+
+        return {
+            region: this.region.id,
+            city: this.cityName || null,
+            cost: estimate ? estimate.cost : null,
+            from: estimate ? utils.toISODate(estimate.from) : null,
+            to: estimate ? utils.toISODate(estimate.to) : null
+        };
+    }
+}
+
+/**
+ * The estimator in the delivery section, with a model picker, and in a
+ * dialog for the product views (the delivery:estimate event)
+ */
+class DeliveryEstimator {
+    constructor(catalog, tariffs) {
+        this.catalog = catalog;
+        this.tariffs = tariffs;
+        this.init();
+    }
+
+    init() {
+        this.modal = new Modal({ className: 'delivery-modal', labelledBy: 'deliveryEstimateTitle' });
+        this.section = document.querySelector('[data-delivery-estimator]');
+        if (this.section) this.renderSection();
+
+        document.addEventListener('delivery:estimate', (e) => this.open(e.detail.productId));
+
+        document.addEventListener('i18n:change', () => {
+            if (this.section) this.renderSection();
+            if (this.modal.isOpen() && this.productId) this.open(this.productId);
+        });
+    }
+
+    async renderSection() {
+        try {
+            await Promise.all([this.catalog.load(), this.tariffs.load()]);
+        } catch (error) {
+            // The section keeps its static text about delivery terms
+            console.error('Delivery estimator unavailable:', error);
+            return;
+        }
+
+        const categories = PRODUCT_SCHEMA.properties.category.enum;
+        const selected = this.section.querySelector('[name="model"]');
+        const productId = selected ? selected.value : '';
+
+        this.section.innerHTML = html`
+            <h3 class="delivery-estimator-title">${i18n.t('deliveryEstimate.title')}</h3>
+            <label class="checkout-field">
+                <span>${i18n.t('deliveryEstimate.model')}</span>
+                <select name="model">
+                    ${categories.map(category => html`
+                        <optgroup label="${i18n.t(`category.${category}`)}">
+                            ${this.catalog.getByCategory(category).map(product => html`
+                                <option value="${product.id}"${product.id === productId ? ' selected' : ''}>${product.name}</option>
+                            `)}
+                        </optgroup>
+                    `)}
+                </select>
+            </label>
+            <div class="delivery-estimate"></div>
+            <p class="delivery-estimate-disclaimer">${i18n.t('deliveryEstimate.disclaimer')}</p>
+        `;
+
+        const model = this.section.querySelector('[name="model"]');
+        const form = new DeliveryEstimateForm(this.section.querySelector('.delivery-estimate'), this.tariffs, {
+            getOrder: () => this.getOrder(model.value)
+        });
+        model.addEventListener('change', () => form.update());
+    }
+
+    getOrder(productId) {
+        const product = this.catalog.getById(productId);
+        return product ? { products: [product], total: product.price } : { products: [], total: 0 };
+    }
+
+    async open(productId) {
+        try {
+            await Promise.all([this.catalog.load(), this.tariffs.load()]);
+        } catch (error) {
+            showToast(i18n.t('deliveryEstimate.error'), 'error');
+            return;
+        }
+
+        const product = this.catalog.getById(productId);
+        if (!product) return;
+        this.productId = productId;
+
+        this.modal.setContent(html`
+            <h2 class="booking-title" id="deliveryEstimateTitle">${i18n.t('deliveryEstimate.title')}</h2>
+            <p class="booking-summary">${product.name}, ${utils.formatPrice(product.price, product.currency)}</p>
+            <div class="delivery-estimate"></div>
+            <p class="delivery-estimate-disclaimer">${i18n.t('deliveryEstimate.disclaimer')}</p>
+        `);
+
+        new DeliveryEstimateForm(this.modal.body.querySelector('.delivery-estimate'), this.tariffs, {
+            getOrder: () => this.getOrder(productId)
+        });
+        this.modal.open();
+    }
+}
+
+// ===================================
+// Product Comparison
+// ===================================
+
+class ProductComparison {
+    constructor(catalog) {
+        this.catalog = catalog;
+        this.storageKey = 'electropower:compare';
+        this.urlParam = 'compare';
+        this.maxItems = 4;
+        this.items = this.restore();
+        this.init();
+    }
+
+    init() {
+        this.tray = document.getElementById('compareTray');
+        this.modal = new Modal({ className: 'compare-modal', labelledBy: 'compareTitle' });
+        this.bindEvents();
+
+        this.catalog.load().then(() => {
+            this.items = this.items.filter(id => this.catalog.getById(id));
+            const shared = this.readSharedIds();
+            if (shared.length) {
+                this.items = shared;
+            }
+            this.persist();
+            this.render();
+
+            if (shared.length) {
+                this.clearSharedIds();
+                this.open();
+            }
+        }).catch(() => this.render());
+    }
+
+    bindEvents() {
+        // "Сравнить" toggles on cards, including ones rendered later
+        document.addEventListener('click', (e) => {
+            const toggle = e.target.closest('[data-action="compare"]');
+            if (toggle && toggle.dataset.productId) {
+                this.toggle(toggle.dataset.productId);
+            }
+        });
+
+        document.addEventListener('catalog:render', () => this.syncToggles());
+
+        document.addEventListener('i18n:change', () => {
+            this.render();
+            if (this.modal.isOpen()) this.renderTable();
+        });
+
+        if (this.tray) {
+            this.tray.addEventListener('click', (e) => this.handleAction(e));
+        }
+        this.modal.body.addEventListener('click', (e) => this.handleAction(e));
+
+        // Keep several open tabs in sync
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) {
+                this.items = this.restore();
+                this.render();
+            }
+        });
+    }
+
+    handleAction(e) {
+        const control = e.target.closest('[data-compare-action]');
+        if (!control) return;
+
+        const action = control.dataset.compareAction;
+        const id = control.closest('[data-product-id]')?.dataset.productId;
+
+        if (action === 'remove') this.remove(id);
+        if (action === 'clear') this.clear();
+        if (action === 'open') this.open();
+        if (action === 'share') this.share();
+        if (action === 'details') this.modal.close();
+    }
+
+    restore() {
+        const stored = utils.readStorage(this.storageKey, []);
+        if (!Array.isArray(stored)) return [];
+
+        return stored.filter(id => typeof id === 'string').slice(0, this.maxItems);
+    }
+
+    persist() {
+        utils.writeStorage(this.storageKey, this.items);
+    }
+
+    /**
+     * Product ids from a shared `?compare=a,b` link
+     */
+    readSharedIds() {
+        const value = new URLSearchParams(window.location.search).get(this.urlParam);
+        if (!value) return [];
+
+        const ids = value.split(',').filter(id => this.catalog.getById(id));
+        return [...new Set(ids)].slice(0, this.maxItems);
+    }
+
+    clearSharedIds() {
+        const params = new URLSearchParams(window.location.search);
+        params.delete(this.urlParam);
+
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    getShareUrl() {
+        const url = new URL(window.location.href);
+        url.hash = '';
+        url.searchParams.set(this.urlParam, this.items.join(','));
+        return url.toString();
+    }
+
+    has(productId) {
+        return this.items.includes(productId);
+    }
+
+    toggle(productId) {
+        if (this.has(productId)) {
+            this.remove(productId);
+        } else {
+            this.add(productId);
+        }
+    }
+
+    add(productId) {
+        if (this.has(productId) || !this.catalog.getById(productId)) return;
+
+        if (this.items.length >= this.maxItems) {
+            showToast(i18n.t('compare.limit', { max: this.maxItems }), 'warning');
+            return;
+        }
+
+        this.items.push(productId);
+        this.update();
+    }
+
+    remove(productId) {
+        this.items = this.items.filter(id => id !== productId);
+        this.update();
+
+        if (this.modal.isOpen()) {
+            if (this.items.length) {
+                this.renderTable();
+            } else {
+                this.modal.close();
+            }
+        }
+    }
+
+    clear() {
+        this.items = [];
+        this.update();
+        this.modal.close();
+    }
+
+    update() {
+        this.persist();
+        this.render();
+    }
+
+    getProducts() {
+        return this.items.map(id => this.catalog.getById(id)).filter(Boolean);
+    }
+
+    open() {
+        if (!this.items.length) return;
+
+        this.renderTable();
+        this.modal.open();
+    }
+
+    async share() {
+        const url = this.getShareUrl();
+
+        try {
+            await navigator.clipboard.writeText(url);
+            showToast(i18n.t('compare.copied'), 'success');
+        } catch (error) {
+            // No clipboard access (insecure origin, denied permission)
+            window.prompt(i18n.t('compare.copyPrompt'), url);
+        }
+    }
+
+    render() {
+        this.syncToggles();
+        if (!this.tray) return;
+
+        const products = this.getProducts();
+        this.tray.hidden = products.length === 0;
+        if (!products.length) {
+            this.tray.innerHTML = '';
+            return;
+        }
+
+        this.tray.innerHTML = html`
+            <span class="compare-tray-title">${i18n.t('compare.tray', { count: products.length, max: this.maxItems })}</span>
+            <ul class="compare-tray-list">
+                ${products.map(product => html`
+                    <li class="compare-tray-item" data-product-id="${product.id}">
+                        <img src="${utils.safeUrl(product.images[0])}" alt="">
+                        <span>${product.name}</span>
+                        <button type="button" data-compare-action="remove" aria-label="${i18n.t('compare.remove', { name: product.name })}">&times;</button>
+                    </li>
+                `)}
+            </ul>
+            <div class="compare-tray-actions">
+                <button type="button" class="btn btn-primary btn-small" data-compare-action="open"${products.length < 2 ? ' disabled' : ''}>${i18n.t('compare.open')}</button>
+                <button type="button" class="compare-tray-clear" data-compare-action="clear">${i18n.t('compare.clear')}</button>
+            </div>
+        `;
+    }
+
+    syncToggles() {
+        document.querySelectorAll('[data-action="compare"]').forEach(toggle => {
+            const selected = this.has(toggle.dataset.productId);
+            toggle.setAttribute('aria-pressed', String(selected));
+            toggle.textContent = i18n.t(selected ? 'product.inCompare' : 'product.compare');
+        });
+    }
+
+    /**
+     * Values that win a row: the highest or lowest number, unless every
+     * product has the same value
+     */
+    getBestValue(values, better) {
+        const numbers = values.filter(value => typeof value === 'number');
+        if (numbers.length < 2 || new Set(numbers).size === 1) return null;
+
+        return better === 'min' ? Math.min(...numbers) : Math.max(...numbers);
+    }
+
+    renderRow(label, values, better, format) {
+        const best = this.getBestValue(values, better);
+
+        return html`
+            <tr>
+                <th scope="row">${label}</th>
+                ${values.map(value => {
+                    const text = typeof value === 'number' ? format(value) : '—';
+                    return html`<td${value === best ? html` class="compare-best"` : ''}>${text}</td>`;
+                })}
+            </tr>
+        `;
+    }
+
+    renderTable() {
+        const products = this.getProducts();
+
+        const head = products.map(product => html`
+            <th scope="col" data-product-id="${product.id}">
+                <img src="${utils.safeUrl(product.images[0])}" alt="" class="compare-image">
+                <a href="#product/${product.id}" class="compare-name" data-compare-action="details">${product.name}</a>
+                <button type="button" class="compare-remove" data-compare-action="remove" aria-label="${i18n.t('compare.remove', { name: product.name })}">&times;</button>
+            </th>
+        `);
+
+        const priceRow = this.renderRow(
+            i18n.t('compare.price'),
+            products.map(product => product.price),
+            'min',
+            value => utils.formatPrice(value, products[0].currency)
+        );
+
+        const specRows = PRODUCT_SPECS.map(spec => this.renderRow(
+            i18n.t(`spec.${spec.key}`),
+            products.map(product => product.specs[spec.key]),
+            spec.better,
+            value => formatSpec(spec, value)
+        ));
+
+        const buyRow = products.map(product => html`
+            <td>
+                <button type="button" class="btn btn-primary btn-small" data-action="add-to-cart" data-product-id="${product.id}"${product.stock === 'out_of_stock' ? ' disabled' : ''}>${i18n.t('common.buy')}</button>
+            </td>
+        `);
+
+        this.modal.setContent(html`
+            <h2 class="compare-title" id="compareTitle">${i18n.t('compare.title')}</h2>
+            <div class="compare-table-wrapper">
+                <table class="compare-table">
+                    <thead>
+                        <tr><td></td>${head}</tr>
+                    </thead>
+                    <tbody>
+                        ${priceRow}
+                        ${specRows}
+                        <tr><td></td>${buyRow}</tr>
+                    </tbody>
+                </table>
+            </div>
+            <div class="compare-footer">
+                <span class="compare-legend"><span class="compare-best-marker"></span> ${i18n.t('compare.best')}</span>
+                <button type="button" class="btn btn-outline btn-small" data-compare-action="share">${i18n.t('compare.share')}</button>
+            </div>
+        `);
+    }
+}
+
+// ===================================
+// Installment Calculator
+// ===================================
+
+class CreditPlans {
+    constructor(options = {}) {
+        this.dataUrl = options.dataUrl || utils.assetUrl('data/credit-plans.json');
+        this.plans = [];
+        this.placeholder = false;
+        this.loadPromise = null;
+    }
+
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = fetch(this.dataUrl)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(data => {
+                    this.plans = (data.plans || []).filter(plan => Array.isArray(plan.terms) && plan.terms.length);
+                    // Example terms until the banks' real ones are filled in
+                    this.placeholder = Boolean(data.placeholder);
+                    return this.plans;
+                });
+            this.loadPromise.catch(() => {
+                this.loadPromise = null;
+            });
+        }
+        return this.loadPromise;
+    }
+
+    isLoaded() {
+        return this.plans.length > 0;
+    }
+
+    isAvailable(plan, amount) {
+        return amount > 0
+            && (plan.minAmount === undefined || amount >= plan.minAmount)
+            && (plan.maxAmount === undefined || amount <= plan.maxAmount);
+    }
+
+    /**
+     * Monthly payment, total and overpayment for one plan term. A one-off
+     * commission is added to the amount; a non-zero annual rate turns the
+     * plan into an annuity loan.
+     */
+    calculate(amount, term) {
+        const principal = amount * (1 + (term.commission || 0) / 100);
+        const monthlyRate = (term.annualRate || 0) / 12 / 100;
+
+        const monthly = monthlyRate > 0
+            ? principal * monthlyRate / (1 - Math.pow(1 + monthlyRate, -term.months))
+            : principal / term.months;
+
+        const round = value => Math.round(value * 100) / 100;
+        const total = round(monthly * term.months);
+
+        return {
+            months: term.months,
+            monthly: round(monthly),
+            total,
+            overpayment: round(total - amount),
+            interestFree: !term.annualRate && !term.commission
+        };
+    }
+
+    /**
+     * All available plans with a calculation for each of their terms
+     */
+    calculateAll(amount) {
+        return this.plans
+            .filter(plan => this.isAvailable(plan, amount))
+            .map(plan => ({
+                plan,
+                options: plan.terms.map(term => this.calculate(amount, term))
+            }));
+    }
+
+    /**
+     * Lowest monthly payment over the interest- and commission-free terms,
+     * for "в рассрочку от X BYN/мес"; loans don't count as рассрочка
+     */
+    getLowestMonthlyPayment(amount) {
+        let best = null;
+
+        this.calculateAll(amount).forEach(({ plan, options }) => {
+            options.filter(option => option.interestFree).forEach(option => {
+                if (!best || option.monthly < best.monthly) {
+                    best = { ...option, plan };
+                }
+            });
+        });
+
+        return best;
+    }
+
+    /**
+     * Short label for product cards, or an empty string when no plan fits
+     */
+    getInstallmentLabel(amount, currency = 'BYN') {
+        const best = this.getLowestMonthlyPayment(amount);
+        return best ? i18n.t('installment.from', { amount: utils.formatPrice(Math.ceil(best.monthly), currency) }) : '';
+    }
+}
+
+class InstallmentCalculator {
+    constructor(catalog, creditPlans) {
+        this.catalog = catalog;
+        this.creditPlans = creditPlans;
+        this.init();
+    }
+
+    init() {
+        this.container = document.querySelector('.credit-calculator');
+        if (!this.container) return;
+
+        this.productSelect = this.container.querySelector('.credit-product');
+        this.amountInput = this.container.querySelector('.credit-amount');
+        this.results = this.container.querySelector('.credit-calculator-results');
+        this.note = this.container.querySelector('.credit-calculator-note');
+
+        this.bindEvents();
+
+        Promise.all([this.catalog.load(), this.creditPlans.load()])
+            .then(() => {
+                this.loaded = true;
+                this.renderAll();
+            })
+            .catch(error => {
+                console.error('Failed to load installment plans:', error);
+                this.results.innerHTML = html`<p class="credit-calculator-error">${i18n.t('calculator.error')}</p>`;
+            });
+    }
+
+    renderAll() {
+        this.populateProducts();
+        this.note.textContent = this.creditPlans.placeholder
+            ? `${i18n.t('installment.placeholder')} ${i18n.t('calculator.disclaimer')}`
+            : i18n.t('calculator.disclaimer');
+        this.render();
+    }
+
+    bindEvents() {
+        this.productSelect.addEventListener('change', () => {
+            const product = this.catalog.getById(this.productSelect.value);
+            if (product) this.amountInput.value = product.price;
+            this.render();
+        });
+
+        this.amountInput.addEventListener('input', utils.debounce(() => {
+            // A typed amount no longer belongs to the selected model
+            const product = this.catalog.getById(this.productSelect.value);
+            if (product && Number(this.amountInput.value) !== product.price) {
+                this.productSelect.value = '';
+            }
+            this.render();
+        }, 250));
+
+        // "Рассчитать" buttons elsewhere on the page (e.g. the product view)
+        document.addEventListener('credit:calculate', (e) => this.selectProduct(e.detail.productId));
+
+        document.addEventListener('i18n:change', () => {
+            if (this.loaded) this.renderAll();
+        });
+    }
+
+    populateProducts() {
+        const selected = this.productSelect.value;
+
+        this.productSelect.innerHTML = html`
+            <option value="">${i18n.t('calculator.customAmount')}</option>
+            ${PRODUCT_SCHEMA.properties.category.enum.map(category => html`
+                <optgroup label="${i18n.t(`category.${category}`)}">
+                    ${this.catalog.getByCategory(category).map(product => html`
+                        <option value="${product.id}"${product.id === selected ? ' selected' : ''}>${product.name} — ${utils.formatPrice(product.price, product.currency)}</option>
+                    `)}
+                </optgroup>
+            `)}
+        `;
+    }
+
+    selectProduct(productId) {
+        const product = this.catalog.getById(productId);
+        if (!product || !this.container) return;
+
+        this.productSelect.value = product.id;
+        this.amountInput.value = product.price;
+        this.render();
+        utils.smoothScrollTo(this.container);
+    }
+
+    render() {
+        if (!this.creditPlans.isLoaded()) return;
+
+        const amount = Number(this.amountInput.value);
+        if (!(amount > 0)) {
+            this.results.innerHTML = html`<p class="credit-calculator-empty">${i18n.t('calculator.enterAmount')}</p>`;
+            return;
+        }
+
+        const calculations = this.creditPlans.calculateAll(amount);
+        if (!calculations.length) {
+            this.results.innerHTML = html`<p class="credit-calculator-empty">${i18n.t('calculator.noPlans')}</p>`;
+            return;
+        }
+
+        this.results.innerHTML = html`${calculations.map(({ plan, options }) => html`
+            <div class="credit-plan">
+                <h4 class="credit-plan-title">${plan.bank} — ${plan.name}</h4>
+                <table class="credit-plan-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">${i18n.t('calculator.term')}</th>
+                            <th scope="col">${i18n.t('calculator.monthly')}</th>
+                            <th scope="col">${i18n.t('calculator.overpayment')}</th>
+                            <th scope="col">${i18n.t('calculator.total')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${options.map(option => html`
+                            <tr>
+                                <td>${i18n.t('calculator.months', { count: option.months })}</td>
+                                <td><strong>${utils.formatPrice(option.monthly)}</strong></td>
+                                <td>${option.overpayment > 0 ? utils.formatPrice(option.overpayment) : i18n.t('calculator.noOverpayment')}</td>
+                                <td>${utils.formatPrice(option.total)}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            </div>
+        `)}`;
+    }
+}
+
+// ===================================
+// Product Picker Quiz
+// ===================================
+
+// Quiz steps; each option carries the criteria used to score catalog models.
+// Texts are "quiz.<step>.question" and "quiz.<step>.<option>" messages
+const QUIZ_STEPS = [
+    {
+        id: 'budget',
+        options: [
+            { value: 'up-to-700', criteria: { maxPrice: 700 } },
+            { value: '700-1500', criteria: { maxPrice: 1500 } },
+            { value: '1500-3000', criteria: { maxPrice: 3000 } },
+            { value: 'over-3000', criteria: {} }
+        ]
+    },
+    {
+        id: 'distance',
+        options: [
+            { value: 'up-to-10', criteria: { minRange: 10 } },
+            { value: '10-30', criteria: { minRange: 30 } },
+            { value: '30-60', criteria: { minRange: 60 } },
+            { value: 'over-60', criteria: { minRange: 90 } }
+        ]
+    },
+    {
+        id: 'weight',
+        options: [
+            { value: 'up-to-80', criteria: { minLoad: 80 } },
+            { value: '80-100', criteria: { minLoad: 100 } },
+            { value: '100-120', criteria: { minLoad: 120 } },
+            { value: 'over-120', criteria: { minLoad: 150 } }
+        ]
+    },
+    {
+        id: 'terrain',
+        options: [
+            { value: 'asphalt', criteria: {} },
+            { value: 'city', criteria: { minPower: 350 } },
+            { value: 'offroad', criteria: { minPower: 500 } }
+        ]
+    },
+    {
+        id: 'type',
+        options: [
+            { value: 'scooters', criteria: { category: 'scooters' } },
+            { value: 'bikes', criteria: { category: 'bikes' } },
+            { value: 'mopeds', criteria: { category: 'mopeds' } },
+            { value: 'any', criteria: {} }
+        ]
+    }
+];
+
+class ProductQuiz {
+    constructor(catalog, formHandler, steps = QUIZ_STEPS) {
+        this.catalog = catalog;
+        this.formHandler = formHandler;
+        this.steps = steps;
+        this.storageKey = 'electropower:quiz';
+        this.resultsCount = 3;
+        this.init();
+    }
+
+    init() {
+        const saved = utils.readStorage(this.storageKey, {});
+        this.answers = saved.answers && typeof saved.answers === 'object' ? saved.answers : {};
+        this.currentStep = Number.isInteger(saved.step) ? Math.min(Math.max(saved.step, 0), this.steps.length) : 0;
+
+        this.modal = new Modal({ className: 'quiz-modal', labelledBy: 'quizTitle' });
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        document.querySelectorAll('.quiz-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.open());
+        });
+
+        this.modal.body.addEventListener('change', (e) => {
+            if (e.target.name === 'quiz-answer') {
+                this.answers[this.steps[this.currentStep].id] = e.target.value;
+                this.save();
+                this.modal.body.querySelector('[data-quiz-action="next"]').disabled = false;
+            }
+        });
+
+        document.addEventListener('i18n:change', () => {
+            if (this.modal.isOpen()) this.render();
+        });
+
+        this.modal.body.addEventListener('click', (e) => {
+            const control = e.target.closest('[data-quiz-action]');
+            if (!control) return;
+
+            const action = control.dataset.quizAction;
+            if (action === 'next') this.goTo(this.currentStep + 1);
+            if (action === 'back') this.goTo(this.currentStep - 1);
+            if (action === 'restart') this.restart();
+            if (action === 'consult') this.requestConsultation();
+            if (action === 'product') this.modal.close();
+        });
+    }
+
+    open() {
+        this.render();
+        this.modal.open();
+    }
+
+    goTo(step) {
+        this.currentStep = Math.min(Math.max(step, 0), this.steps.length);
+        this.save();
+        this.render();
+
+        const current = this.steps[this.currentStep];
+        trackEvent('quiz_step', { step: this.currentStep + 1, question: current ? current.id : 'result' });
+    }
+
+    restart() {
+        this.answers = {};
+        this.goTo(0);
+    }
+
+    save() {
+        utils.writeStorage(this.storageKey, { step: this.currentStep, answers: this.answers, updatedAt: Date.now() });
+    }
+
+    isComplete() {
+        return this.steps.every(step => this.answers[step.id]);
+    }
+
+    async render() {
+        if (this.currentStep >= this.steps.length && this.isComplete()) {
+            await this.renderResults();
+        } else {
+            // Resume at the first unanswered question if the saved step is past it
+            const firstOpen = this.steps.findIndex(step => !this.answers[step.id]);
+            if (this.currentStep >= this.steps.length) this.currentStep = firstOpen;
+            this.renderStep();
+        }
+
+        const focusTarget = this.modal.body.querySelector('input:checked, input, .btn');
+        if (focusTarget && this.modal.isOpen()) focusTarget.focus();
+    }
+
+    renderProgress(stepIndex) {
+        const total = this.steps.length;
+        const percent = Math.round((stepIndex / total) * 100);
+
+        return html`
+            <div class="quiz-progress">
+                <span class="quiz-progress-label">${stepIndex < total ? i18n.t('quiz.progress', { current: stepIndex + 1, total }) : i18n.t('quiz.finished')}</span>
+                <div class="quiz-progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="${total}" aria-valuenow="${stepIndex}">
+                    <span style="width: ${percent}%"></span>
+                </div>
+            </div>
+        `;
+    }
+
+    renderStep() {
+        const step = this.steps[this.currentStep];
+        const answer = this.answers[step.id];
+
+        this.modal.setContent(html`
+            ${this.renderProgress(this.currentStep)}
+            <fieldset class="quiz-step">
+                <legend class="quiz-question" id="quizTitle">${i18n.t(`quiz.${step.id}.question`)}</legend>
+                ${step.options.map(option => html`
+                    <label class="quiz-option">
+                        <input type="radio" name="quiz-answer" value="${option.value}"${option.value === answer ? ' checked' : ''}>
+                        <span>${i18n.t(`quiz.${step.id}.${option.value}`)}</span>
+                    </label>
+                `)}
+            </fieldset>
+            <div class="quiz-nav">
+                <button type="button" class="btn btn-outline btn-small" data-quiz-action="back"${this.currentStep === 0 ? ' disabled' : ''}>${i18n.t('quiz.back')}</button>
+                <button type="button" class="btn btn-primary btn-small" data-quiz-action="next"${answer ? '' : ' disabled'}>
+                    ${i18n.t(this.currentStep === this.steps.length - 1 ? 'quiz.showResults' : 'quiz.next')}
+                </button>
+            </div>
+        `);
+    }
+
+    async renderResults() {
+        let recommendations = [];
+        try {
+            await this.catalog.load();
+            recommendations = this.recommend();
+        } catch (error) {
+            console.error('Failed to load catalog for quiz results:', error);
+        }
+
+        this.modal.setContent(html`
+            ${this.renderProgress(this.steps.length)}
+            <h2 class="quiz-question" id="quizTitle">${i18n.t('quiz.resultsTitle')}</h2>
+            ${recommendations.length ? html`
+                <ul class="quiz-results">
+                    ${recommendations.map(({ product }) => html`
+                        <li class="quiz-result">
+                            <img src="${utils.safeUrl(product.images[0])}" alt="" class="quiz-result-image">
+                            <div class="quiz-result-info">
+                                <a href="#product/${product.id}" class="quiz-result-name" data-quiz-action="product">${product.name}</a>
+                                <span class="quiz-result-price">${utils.formatPrice(product.price, product.currency)}</span>
+                            </div>
+                        </li>
+                    `)}
+                </ul>
+            ` : html`<p class="quiz-empty">${i18n.t('quiz.empty')}</p>`}
+            <div class="quiz-nav">
+                <button type="button" class="btn btn-outline btn-small" data-quiz-action="restart">${i18n.t('quiz.restart')}</button>
+                <button type="button" class="btn btn-primary btn-small" data-quiz-action="consult">${i18n.t('quiz.consult')}</button>
+            </div>
+        `);
+    }
+
+    /**
+     * Merge the criteria of all chosen options into one object
+     */
+    getCriteria() {
+        return this.steps.reduce((criteria, step) => {
+            const option = step.options.find(opt => opt.value === this.answers[step.id]);
+            return option ? { ...criteria, ...option.criteria } : criteria;
+        }, {});
+    }
+
+    /**
+     * Score a product against the criteria; each satisfied requirement adds
+     * points, each missed one subtracts, unknown specs are neutral. The
+     * category is not scored: recommend() only ranks the chosen one.
+     */
+    scoreProduct(product, criteria) {
+        const { specs } = product;
+        let score = 0;
+
+        const compare = (value, required, weight, isMaximum = false) => {
+            if (typeof value !== 'number' || typeof required !== 'number') return;
+            const ok = isMaximum ? value <= required : value >= required;
+            score += ok ? weight : -weight;
+        };
+
+        compare(product.price, criteria.maxPrice, 3, true);
+        compare(specs.range, criteria.minRange, 2);
+        compare(specs.max_load, criteria.minLoad, 2);
+        compare(specs.motor_power, criteria.minPower, 1);
+
+        if (product.stock === 'out_of_stock') score -= 2;
+
+        return score;
+    }
+
+    recommend() {
+        const criteria = this.getCriteria();
+        const products = criteria.category ? this.catalog.getByCategory(criteria.category) : this.catalog.getAll();
+
+        // Within the category, drop models that miss more than they meet
+        return products
+            .map(product => ({ product, score: this.scoreProduct(product, criteria) }))
+            .filter(entry => entry.score >= 0)
+            .sort((a, b) => b.score - a.score || a.product.price - b.product.price)
+            .slice(0, this.resultsCount);
+    }
+
+    /**
+     * Human-readable answers, e.g. for the consultation request
+     */
+    getAnswersSummary() {
+        return this.steps.map(step => {
+            const option = step.options.find(opt => opt.value === this.answers[step.id]);
+            return {
+                question: i18n.t(`quiz.${step.id}.question`),
+                answer: option ? i18n.t(`quiz.${step.id}.${option.value}`) : '—'
+            };
+        });
+    }
+
+    requestConsultation() {
+        const recommended = this.recommend().map(({ product }) => product.name);
+
+        this.modal.close();
+        if (this.formHandler) {
+            this.formHandler.openConsultationModal({
+                intent: 'quiz',
+                quiz: this.getAnswersSummary(),
+                product: recommended.length ? recommended.join(', ') : undefined
+            });
+        }
+    }
+}
+
+// ===================================
+// Test Drive Booking
+// ===================================
+
+// Override with window.ELECTRO_POWER_CONFIG = { testDrive: { ... } }
+const TEST_DRIVE_CONFIG = {
+    // GET <slotsEndpoint>?date=YYYY-MM-DD&model=<id> -> { "taken": ["10:30", ...] };
+    // without an endpoint visitors pick a preferred time within working hours
+    // and only the slots booked from this browser (bookingsKey) are taken
+    slotsEndpoint: null,
+    bookingsKey: 'electropower:test-drive-bookings',
+    slotDuration: 60,
+    daysAhead: 14,
+    // Earliest slot today, in minutes from now
+    leadTime: 60,
+    // Minsk has no DST, so the offset is fixed at UTC+3
+    utcOffsetMinutes: 180,
+    ...(window.ELECTRO_POWER_CONFIG && window.ELECTRO_POWER_CONFIG.testDrive)
+};
+
+class JsonSlotsProvider {
+    constructor(url) {
+        this.url = url;
+    }
+
+    async getTakenSlots(date, productId) {
+        const url = new URL(this.url, window.location.href);
+        url.searchParams.set('date', date);
+        url.searchParams.set('model', productId);
+
+        const response = await fetch(url.href, { cache: 'no-cache' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const data = await response.json();
+        return Array.isArray(data.taken) ? data.taken : [];
+    }
+
+    async reserve() {
+        // The backend marks the slot as taken when it receives the booking
+    }
+}
+
+/**
+ * Stand-in for a booking backend: slots booked from this browser are taken,
+ * nothing else is known about the schedule. The rest of the working hours
+ * are offered as preferred times, which the manager confirms by phone.
+ */
+class LocalStorageSlotsProvider {
+    constructor(storageKey) {
+        this.storageKey = storageKey;
+        this.confirmsByPhone = true;
+    }
+
+    getBookings() {
+        const bookings = utils.readStorage(this.storageKey, []);
+        return Array.isArray(bookings) ? bookings : [];
+    }
+
+    async getTakenSlots(date, productId) {
+        return this.getBookings()
+            .filter(booking => booking.date === date && booking.productId === productId)
+            .map(booking => booking.time);
+    }
+
+    async reserve({ date, time, productId }) {
+        // Past days are of no use to the schedule
+        const today = utils.toISODate(utils.shopTime(TEST_DRIVE_CONFIG.utcOffsetMinutes));
+        const bookings = this.getBookings().filter(booking => booking.date >= today);
+
+        bookings.push({ date, time, productId });
+        utils.writeStorage(this.storageKey, bookings);
+    }
+}
+
+class TestDriveBooking {
+    constructor(catalog, companyData, formHandler, config = TEST_DRIVE_CONFIG) {
+        this.catalog = catalog;
+        this.companyData = companyData;
+        this.formHandler = formHandler;
+        this.config = config;
+        this.provider = config.slotsEndpoint
+            ? new JsonSlotsProvider(config.slotsEndpoint)
+            : new LocalStorageSlotsProvider(config.bookingsKey);
+        this.init();
+    }
+
+    init() {
+        this.modal = new Modal({ className: 'test-drive-modal', labelledBy: 'testDriveTitle' });
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        document.querySelectorAll('.test-drive-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.open(btn.dataset.productId);
+            });
+        });
+
+        this.modal.body.addEventListener('change', (e) => {
+            if (e.target.name === 'model' || e.target.name === 'date') {
+                this.booking.time = null;
+                this.booking[e.target.name === 'model' ? 'productId' : 'date'] = e.target.value;
+                this.loadSlots();
+            }
+        });
+
+        this.modal.body.addEventListener('click', (e) => {
+            const slot = e.target.closest('[data-slot]');
+            if (slot && !slot.disabled) {
+                this.booking.time = slot.dataset.slot;
+                this.modal.body.querySelectorAll('[data-slot]').forEach(btn => {
+                    btn.setAttribute('aria-pressed', String(btn === slot));
+                });
+                this.modal.body.querySelector('[data-booking-action="contacts"]').disabled = false;
+                return;
+            }
+
+            const control = e.target.closest('[data-booking-action]');
+            if (!control) return;
+
+            const action = control.dataset.bookingAction;
+            if (action === 'contacts') this.renderContacts();
+            if (action === 'back') this.renderSchedule();
+            if (action === 'ics') this.downloadIcs();
+            if (action === 'done') this.modal.close();
+        });
+
+        this.modal.body.addEventListener('submit', (e) => this.handleSubmit(e));
+
+        document.addEventListener('i18n:change', () => {
+            if (this.modal.isOpen()) this.rerender();
+        });
+    }
+
+    /**
+     * Redraw the current step in the new language, keeping typed contacts
+     */
+    rerender() {
+        if (this.view === 'schedule') this.renderSchedule();
+        if (this.view === 'confirmation') this.renderConfirmation(...this.confirmed);
+
+        if (this.view === 'contacts') {
+            const { name, phone } = this.modal.body.querySelector('.booking-form').elements;
+            const values = { name: name.value, phone: phone.value };
+            this.renderContacts();
+
+            const { elements } = this.modal.body.querySelector('.booking-form');
+            elements.name.value = values.name;
+            elements.phone.value = values.phone;
+        }
+    }
+
+    async open(productId) {
+        try {
+            await this.catalog.load();
+        } catch (error) {
+            showToast(i18n.t('testDrive.catalogError'), 'error');
+            return;
+        }
+        // Working hours fall back to 09:30-21:30 if company.json is unavailable
+        await this.companyData.load().catch(() => null);
+
+        const dates = this.getAvailableDates();
+        const firstProduct = this.catalog.getById(productId) || this.catalog.getAll()[0];
+
+        this.booking = {
+            productId: firstProduct ? firstProduct.id : '',
+            date: dates.length ? utils.toISODate(dates[0]) : '',
+            time: null
+        };
+
+        this.renderSchedule();
+        this.modal.open();
+    }
+
+    /**
+     * The next `daysAhead` days that still have at least one slot left
+     */
+    getAvailableDates() {
+        const dates = [];
+        const day = utils.shopTime(this.config.utcOffsetMinutes);
+        day.setHours(0, 0, 0, 0);
+
+        for (let i = 0; i < this.config.daysAhead; i++) {
+            const date = new Date(day);
+            date.setDate(day.getDate() + i);
+            if (this.getDaySlots(date).length) dates.push(date);
+        }
+        return dates;
+    }
+
+    /**
+     * Slot start times ("HH:MM") within the working hours of a date; dates
+     * and "now" are both in shop time
+     */
+    getDaySlots(date) {
+        const { open, close } = this.companyData.getWorkingHours(date);
+        const toMinutes = time => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+        const toTime = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+        const now = utils.shopTime(this.config.utcOffsetMinutes);
+        const isToday = utils.toISODate(date) === utils.toISODate(now);
+        const earliest = isToday ? now.getHours() * 60 + now.getMinutes() + this.config.leadTime : 0;
+
+        const slots = [];
+        for (let start = toMinutes(open); start + this.config.slotDuration <= toMinutes(close); start += this.config.slotDuration) {
+            if (start >= earliest) slots.push(toTime(start));
+        }
+        return slots;
+    }
+
+    renderSchedule() {
+        const dates = this.getAvailableDates();
+        const dateFormat = new Intl.DateTimeFormat(i18n.getLocale(), { weekday: 'short', day: 'numeric', month: 'long' });
+
+        this.view = 'schedule';
+        this.modal.setContent(html`
+            <h2 class="booking-title" id="testDriveTitle">${i18n.t('testDrive.heading')}</h2>
+            <div class="booking-fields">
+                <label class="checkout-field">
+                    <span>${i18n.t('testDrive.model')}</span>
+                    <select name="model">
+                        ${PRODUCT_SCHEMA.properties.category.enum.map(category => html`
+                            <optgroup label="${i18n.t(`category.${category}`)}">
+                                ${this.catalog.getByCategory(category).map(product => html`
+                                    <option value="${product.id}"${product.id === this.booking.productId ? ' selected' : ''}>${product.name}</option>
+                                `)}
+                            </optgroup>
+                        `)}
+                    </select>
+                </label>
+                <label class="checkout-field">
+                    <span>${i18n.t('testDrive.date')}</span>
+                    <select name="date">
+                        ${dates.map(date => {
+                            const value = utils.toISODate(date);
+                            return html`<option value="${value}"${value === this.booking.date ? ' selected' : ''}>${dateFormat.format(date)}</option>`;
+                        })}
+                    </select>
+                </label>
+            </div>
+            <fieldset class="booking-slots">
+                <legend>${i18n.t('testDrive.time')}</legend>
+                <div class="booking-slots-grid" aria-live="polite"></div>
+            </fieldset>
+            <div class="quiz-nav">
+                <button type="button" class="btn btn-primary btn-small" data-booking-action="contacts" disabled>${i18n.t('testDrive.next')}</button>
+            </div>
+        `);
+
+        this.loadSlots();
+    }
+
+    async loadSlots() {
+        const grid = this.modal.body.querySelector('.booking-slots-grid');
+        const nextBtn = this.modal.body.querySelector('[data-booking-action="contacts"]');
+        if (!grid) return;
+
+        const { date, productId } = this.booking;
+        const requestKey = this.slotsRequest = `${date}:${productId}`;
+
+        nextBtn.disabled = true;
+        grid.innerHTML = html`<p class="booking-slots-note">${i18n.t('testDrive.loading')}</p>`;
+
+        let taken;
+        try {
+            taken = await this.provider.getTakenSlots(date, productId);
+        } catch (error) {
+            if (requestKey !== this.slotsRequest) return;
+            console.error('Failed to load test drive slots:', error);
+            grid.innerHTML = html`<p class="booking-slots-note">${i18n.t('testDrive.scheduleError')}</p>`;
+            return;
+        }
+
+        // A newer date/model was picked while this request was running
+        if (requestKey !== this.slotsRequest) return;
+
+        const slots = this.getDaySlots(new Date(`${date}T00:00:00`));
+        const free = slots.filter(time => !taken.includes(time));
+
+        if (!free.length) {
+            grid.innerHTML = html`<p class="booking-slots-note">${i18n.t('testDrive.dayFull')}</p>`;
+            return;
+        }
+
+        // A slot picked before going back or switching language stays picked
+        if (!free.includes(this.booking.time)) this.booking.time = null;
+        nextBtn.disabled = !this.booking.time;
+
+        grid.innerHTML = html`${slots.map(time => html`
+            <button type="button" class="booking-slot" data-slot="${time}" aria-pressed="${String(time === this.booking.time)}"${taken.includes(time) ? ' disabled' : ''}>${time}</button>
+        `)}${this.provider.confirmsByPhone ? html`<p class="booking-slots-note">${i18n.t('testDrive.preferredTime')}</p>` : ''}`;
+    }
+
+    renderContacts() {
+        const product = this.catalog.getById(this.booking.productId);
+
+        this.view = 'contacts';
+        this.modal.setContent(html`
+            <h2 class="booking-title" id="testDriveTitle">${i18n.t('testDrive.contactsTitle')}</h2>
+            <p class="booking-summary">${product.name}, ${this.formatSlot()}</p>
+            <form class="checkout-form booking-form" novalidate>
+                <label class="checkout-field">
+                    <span>${i18n.t('testDrive.name')}</span>
+                    <input type="text" name="name" autocomplete="name" required>
+                </label>
+                <label class="checkout-field">
+                    <span>${i18n.t('testDrive.phone')}</span>
+                    <input type="tel" name="phone" required>
+                </label>
+                <div class="quiz-nav">
+                    <button type="button" class="btn btn-outline btn-small" data-booking-action="back">${i18n.t('testDrive.back')}</button>
+                    <button type="submit" class="btn btn-primary btn-small">${i18n.t('testDrive.submit')}</button>
+                </div>
+            </form>
+        `);
+
+        const form = this.modal.body.querySelector('.booking-form');
+        new PhoneMask(form.elements.phone);
+        formValidation.bindLiveValidation(form.elements.name, value => formValidation.validateName(value));
+        formValidation.bindLiveValidation(form.elements.phone, value => phoneUtils.validate(value));
+        form.elements.name.focus();
+    }
+
+    formatSlot() {
+        const date = new Date(`${this.booking.date}T00:00:00`);
+        const dateLabel = new Intl.DateTimeFormat(i18n.getLocale(), { weekday: 'long', day: 'numeric', month: 'long' }).format(date);
+        return `${dateLabel}, ${this.booking.time}`;
+    }
+
+    async handleSubmit(e) {
+        e.preventDefault();
+        const form = e.target;
+        const { elements } = form;
+
+        const isValid = formValidation.validateFields([
+            [elements.name, value => formValidation.validateName(value)],
+            [elements.phone, value => phoneUtils.validate(value)]
+        ]);
+        if (!isValid) return;
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        const product = this.catalog.getById(this.booking.productId);
+
+        try {
+            // Someone may have taken the slot while the form was open
+            const taken = await this.provider.getTakenSlots(this.booking.date, this.booking.productId);
+            if (taken.includes(this.booking.time)) {
+                showToast(i18n.t('testDrive.slotTaken'), 'warning');
+                this.renderSchedule();
+                return;
+            }
+
+            this.booking.name = elements.name.value.trim();
+            this.booking.phone = phoneUtils.toE164(elements.phone.value);
+
+            const result = await this.formHandler.sendRequest('test_drive', {
+                name: this.booking.name,
+                phone: this.booking.phone,
+                product: product.name,
+                productId: product.id,
+                date: this.booking.date,
+                time: this.booking.time
+            });
+            await this.provider.reserve(this.booking);
+
+            this.renderConfirmation(product, result);
+        } catch (error) {
+            console.error('Test drive booking failed:', error);
+            showToast(i18n.t('common.error'), 'error');
+            submitBtn.disabled = false;
+        }
+    }
+
+    renderConfirmation(product, result) {
+        this.view = 'confirmation';
+        this.confirmed = [product, result];
+        this.modal.setContent(html`
+            <h2 class="booking-title" id="testDriveTitle">${i18n.t('testDrive.bookedTitle')}</h2>
+            <p class="booking-summary">
+                ${i18n.t('testDrive.summary', { product: product.name })}<br>
+                ${this.formatSlot()}<br>
+                ${this.companyData.get('address.service_center.full_address', '')}
+            </p>
+            <p class="booking-note">
+                ${i18n.t(result.queued ? 'testDrive.queued' : result.via === 'mailto' ? 'lead.mailto' : 'testDrive.confirmation')}
+            </p>
+            <div class="quiz-nav">
+                <button type="button" class="btn btn-outline btn-small" data-booking-action="ics">
+                    <i class="fas fa-calendar-plus"></i>
+                    ${i18n.t('testDrive.addToCalendar')}
+                </button>
+                <button type="button" class="btn btn-primary btn-small" data-booking-action="done">${i18n.t('testDrive.done')}</button>
+            </div>
+        `);
+    }
+
+    /**
+     * iCalendar (RFC 5545) text for the booked slot
+     */
+    createIcs() {
+        const product = this.catalog.getById(this.booking.productId);
+        const [hours, minutes] = this.booking.time.split(':').map(Number);
+        const [year, month, day] = this.booking.date.split('-').map(Number);
+
+        // Slot times are shop-local; convert to UTC for the calendar
+        const startUtc = Date.UTC(year, month - 1, day, hours, minutes) - this.config.utcOffsetMinutes * 60000;
+        const endUtc = startUtc + this.config.slotDuration * 60000;
+        const toIcsDate = time => new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        const escape = text => String(text).replace(/\\/g, '\\\\').replace(/[,;]/g, match => `\\${match}`).replace(/\n/g, '\\n');
+
+        const tradeName = this.companyData.get('trade_name', 'Electro Power');
+        const phone = this.companyData.get('contacts.phones[0].number', '');
+
+        return [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Electro Power//Test Drive//RU',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'BEGIN:VEVENT',
+            `UID:test-drive-${this.booking.date}-${this.booking.time.replace(':', '')}-${product.id}@electro-power.by`,
+            `DTSTAMP:${toIcsDate(Date.now())}`,
+            `DTSTART:${toIcsDate(startUtc)}`,
+            `DTEND:${toIcsDate(endUtc)}`,
+            `SUMMARY:${escape(`${i18n.t('testDrive.summary', { product: product.name })} — ${tradeName}`)}`,
+            `LOCATION:${escape(this.companyData.get('address.service_center.full_address', ''))}`,
+            `DESCRIPTION:${escape(`${i18n.t('testDrive.summary', { product: product.name })}.\n${i18n.t('testDrive.calendarPhone', { phone })}`)}`,
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ].map(line => this.foldIcsLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * RFC 5545 folding: content lines longer than 75 octets continue on the
+     * next line after CRLF and a space. Counted in UTF-8 and split only
+     * between characters, so Cyrillic text stays intact.
+     */
+    foldIcsLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let octets = 0;
+
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            // Continuation lines spend one octet on the leading space
+            const limit = parts.length ? 74 : 75;
+            if (octets + size > limit) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+
+    downloadIcs() {
+        utils.downloadFile(`test-drive-${this.booking.date}.ics`, this.createIcs(), 'text/calendar;charset=utf-8');
+    }
+}
+
+// ===================================
+// Service Requests
+// ===================================
+
+// Override with window.ELECTRO_POWER_CONFIG = { service: { ... } }
+const SERVICE_CONFIG = {
+    // GET <statusEndpoint>?ticket=<number>&phone=<E.164> ->
+    //   { "ticket": "...", "status": "repair", "product": "...", "updatedAt": "...", "note": "..." },
+    // 404 for an unknown ticket; without an endpoint the status lookup is hidden
+    statusEndpoint: null,
+    // Demo only: simulate progress for tickets sent from this browser when
+    // there is no status endpoint. Never enable on the live site.
+    localStatus: false,
+    // Used when company.json does not state the warranty period
+    warrantyMonths: 12,
+    maxPhotos: 4,
+    // Photos are scaled down to fit this box and re-encoded as JPEG
+    photoMaxSize: 1280,
+    photoQuality: 0.8,
+    // Last ticket sent from this browser, to prefill the status lookup
+    ticketKey: 'electropower:service-ticket',
+    ...(window.ELECTRO_POWER_CONFIG && window.ELECTRO_POWER_CONFIG.service)
+};
+
+// Fault categories and their symptoms; labels are service.fault.<category>[.<symptom>]
+const SERVICE_FAULTS = {
+    battery: ['not_charging', 'short_range', 'shuts_down'],
+    motor: ['no_drive', 'noise', 'jerks'],
+    brakes: ['weak', 'noise'],
+    electronics: ['display', 'error_code', 'lights', 'throttle'],
+    chassis: ['puncture', 'folding', 'suspension'],
+    other: ['other']
+};
+
+// Repair stages in order; labels are service.status.<id>
+const SERVICE_STATUSES = ['received', 'diagnostics', 'repair', 'ready', 'issued'];
+
+const SERVICE_TICKET_PATTERN = /^SC-\d{6}-[A-Z0-9]{4}$/;
+
+/**
+ * Scale an image file down to fit `maxSize` and re-encode it as JPEG, so
+ * phone photos don't blow up the request
+ */
+function resizeImage(file, maxSize, quality) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(image.naturalWidth * scale);
+            canvas.height = Math.round(image.naturalHeight * scale);
+
+            // JPEG has no transparency: put PNGs on white instead of black
+            const context = canvas.getContext('2d');
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+            resolve(canvas.toDataURL('image/jpeg', quality));
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(`Not a readable image: ${file.name}`));
+        };
+        image.src = url;
+    });
+}
+
+class JsonRepairStatusProvider {
+    constructor(url) {
+        this.url = url;
+    }
+
+    /**
+     * Resolves with null when the service desk has no such ticket
+     */
+    async getStatus(ticket, phone) {
+        const url = new URL(this.url, window.location.href);
+        url.searchParams.set('ticket', ticket);
+        url.searchParams.set('phone', phone);
+
+        const response = await fetch(url.href, { cache: 'no-cache' });
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        return response.json();
+    }
+
+    async register() {
+        // The backend opens the ticket when it receives the request
+    }
+}
+
+/**
+ * Demo stand-in for the service desk (SERVICE_CONFIG.localStatus): tickets
+ * sent from this browser move through the repair stages as the days pass
+ */
+class LocalRepairStatusProvider {
+    constructor(storageKey = 'electropower:service-tickets') {
+        this.storageKey = storageKey;
+        // Days after the request at which each stage starts
+        this.stageDays = [0, 1, 2, 4];
+    }
+
+    async getStatus(ticket, phone) {
+        const entry = utils.readStorage(this.storageKey, [])
+            .find(item => item.ticket === ticket && item.phone === phone);
+        if (!entry) return null;
+
+        const createdAt = Date.parse(entry.createdAt);
+        const days = (Date.now() - createdAt) / 86400000;
+        const stage = this.stageDays.filter(day => days >= day).length - 1;
+
+        return {
+            ticket,
+            product: entry.product,
+            status: SERVICE_STATUSES[stage],
+            updatedAt: new Date(createdAt + this.stageDays[stage] * 86400000).toISOString()
+        };
+    }
+
+    async register(request) {
+        const tickets = utils.readStorage(this.storageKey, []);
+        tickets.push({
+            ticket: request.ticket,
+            phone: request.phone,
+            product: request.product,
+            createdAt: new Date().toISOString()
+        });
+        utils.writeStorage(this.storageKey, tickets);
+    }
+}
+
+class ServiceRequest {
+    constructor(catalog, companyData, formHandler, config = SERVICE_CONFIG) {
+        this.catalog = catalog;
+        this.companyData = companyData;
+        this.formHandler = formHandler;
+        this.config = config;
+        this.provider = this.createStatusProvider(config);
+        this.init();
+    }
+
+    /**
+     * The status lookup needs a real source; null hides it
+     */
+    createStatusProvider(config) {
+        if (config.statusEndpoint) return new JsonRepairStatusProvider(config.statusEndpoint);
+        if (config.localStatus) return new LocalRepairStatusProvider();
+        return null;
+    }
+
+    /**
+     * Photos only reach the service desk through the JSON endpoint; the
+     * webhook and mail transports send text
+     */
+    acceptsPhotos() {
+        return this.formHandler.submitter.acceptsAttachments();
+    }
+
+    init() {
+        this.modal = new Modal({ className: 'service-modal', labelledBy: 'serviceTitle' });
+        this.photos = [];
+        this.photosReady = Promise.resolve();
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        document.querySelectorAll('.service-request-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.open(btn.dataset.productId);
+            });
+        });
+
+        document.querySelectorAll('.repair-status-btn').forEach(btn => {
+            btn.hidden = !this.provider;
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.openStatus();
+            });
+        });
+
+        this.modal.body.addEventListener('change', (e) => {
+            if (e.target.name === 'purchaseDate') this.renderWarranty();
+            if (e.target.name === 'photos') this.addPhotos(e.target);
+        });
+
+        this.modal.body.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-remove-photo]');
+            if (removeBtn) {
+                this.photos.splice(Number(removeBtn.dataset.removePhoto), 1);
+                this.renderPhotos();
+                return;
+            }
+
+            const control = e.target.closest('[data-service-action]');
+            if (!control) return;
+
+            const action = control.dataset.serviceAction;
+            if (action === 'status') this.openStatus(control.dataset.ticket);
+            if (action === 'done') this.modal.close();
+        });
+
+        this.modal.body.addEventListener('submit', (e) => {
+            if (e.target.classList.contains('service-status-form')) {
+                this.handleStatusSubmit(e);
+            } else {
+                this.handleSubmit(e);
+            }
+        });
+    }
+
+    async open(productId) {
+        // Without the catalog the visitor can still pick "Other model"
+        await Promise.all([
+            this.catalog.load().catch(() => null),
+            this.companyData.load().catch(() => null)
+        ]);
+
+        this.photos = [];
+        this.photosReady = Promise.resolve();
+        this.modal.setContent(this.renderForm(productId));
+
+        const form = this.modal.body.querySelector('.service-form');
+        new PhoneMask(form.elements.phone);
+        formValidation.bindLiveValidation(form.elements.purchaseDate, value => this.validatePurchaseDate(value));
+        formValidation.bindLiveValidation(form.elements.serial, value => this.validateSerial(value));
+        formValidation.bindLiveValidation(form.elements.name, value => formValidation.validateName(value));
+        formValidation.bindLiveValidation(form.elements.phone, value => phoneUtils.validate(value));
+
+        this.renderWarranty();
+        this.renderPhotos();
+        this.modal.open();
+    }
+
+    renderForm(productId) {
+        const categories = PRODUCT_SCHEMA.properties.category.enum;
+
+        return html`
+            <h2 class="booking-title" id="serviceTitle">${i18n.t('service.title')}</h2>
+            <form class="checkout-form service-form" novalidate>
+                <fieldset class="service-fieldset">
+                    <legend>${i18n.t('service.device')}</legend>
+                    <label class="checkout-field">
+                        <span>${i18n.t('service.model')}</span>
+                        <select name="model">
+                            ${categories.map(category => html`
+                                <optgroup label="${i18n.t(`category.${category}`)}">
+                                    ${this.catalog.getByCategory(category).map(product => html`
+                                        <option value="${product.id}"${product.id === productId ? ' selected' : ''}>${product.name}</option>
+                                    `)}
+                                </optgroup>
+                            `)}
+                            <option value="">${i18n.t('service.otherModel')}</option>
+                        </select>
+                    </label>
+                    <div class="booking-fields">
+                        <label class="checkout-field">
+                            <span>${i18n.t('service.purchaseDate')}</span>
+                            <input type="date" name="purchaseDate" max="${utils.toISODate(new Date())}" required>
+                        </label>
+                        <label class="checkout-field">
+                            <span>${i18n.t('service.serial')}</span>
+                            <input type="text" name="serial" autocomplete="off" autocapitalize="characters" spellcheck="false" required>
+                        </label>
+                    </div>
+                    <p class="service-hint">${i18n.t('service.serialHint')}</p>
+                    <p class="service-warranty" aria-live="polite"></p>
+                </fieldset>
+                <fieldset class="service-fieldset">
+                    <legend>${i18n.t('service.fault')}</legend>
+                    <label class="checkout-field">
+                        <span>${i18n.t('service.faultType')}</span>
+                        <select name="fault" required>
+                            <option value="">${i18n.t('service.faultPlaceholder')}</option>
+                            ${Object.entries(SERVICE_FAULTS).map(([category, symptoms]) => html`
+                                <optgroup label="${i18n.t(`service.fault.${category}`)}">
+                                    ${symptoms.map(symptom => html`
+                                        <option value="${category}.${symptom}">${i18n.t(`service.fault.${category}.${symptom}`)}</option>
+                                    `)}
+                                </optgroup>
+                            `)}
+                        </select>
+                    </label>
+                    <label class="checkout-field">
+                        <span>${i18n.t('service.description')}</span>
+                        <textarea name="description" rows="3" maxlength="1000"></textarea>
+                    </label>
+                    ${this.acceptsPhotos() ? html`
+                        <label class="checkout-field">
+                            <span>${i18n.t('service.photos', { max: this.config.maxPhotos })}</span>
+                            <input type="file" name="photos" accept="image/*" multiple>
+                        </label>
+                        <p class="service-hint">${i18n.t('service.photosHint')}</p>
+                        <ul class="service-photos"></ul>
+                    ` : ''}
+                </fieldset>
+                <fieldset class="service-fieldset">
+                    <legend>${i18n.t('service.contacts')}</legend>
+                    <div class="booking-fields">
+                        <label class="checkout-field">
+                            <span>${i18n.t('checkout.name')}</span>
+                            <input type="text" name="name" autocomplete="name" required>
+                        </label>
+                        <label class="checkout-field">
+                            <span>${i18n.t('checkout.phone')}</span>
+                            <input type="tel" name="phone" autocomplete="tel" required>
+                        </label>
+                    </div>
+                </fieldset>
+                <button type="submit" class="btn btn-primary">${i18n.t('service.submit')}</button>
+            </form>
+        `;
+    }
+
+    /**
+     * Warranty period in months, from "12 месяцев" in company.json
+     */
+    getWarrantyMonths() {
+        const months = parseInt(this.companyData.get('services.warranty.standard_warranty', ''), 10);
+        return months > 0 ? months : this.config.warrantyMonths;
+    }
+
+    /**
+     * The warranty covers repairs until the same date `months` after the purchase
+     */
+    checkWarranty(purchaseDate) {
+        const expires = new Date(`${purchaseDate}T00:00:00`);
+        expires.setMonth(expires.getMonth() + this.getWarrantyMonths());
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        return { covered: today < expires, expires };
+    }
+
+    validatePurchaseDate(value) {
+        const date = new Date(`${value}T00:00:00`);
+
+        if (!value || Number.isNaN(date.getTime())) return i18n.t('validation.purchaseDate.required');
+        if (value > utils.toISODate(new Date())) return i18n.t('validation.purchaseDate.future');
+        return '';
+    }
+
+    validateSerial(value) {
+        const serial = String(value || '').trim();
+
+        if (!serial) return i18n.t('validation.serial.required');
+        if (!/^[A-Za-z0-9-]{4,30}$/.test(serial)) return i18n.t('validation.serial.format');
+        return '';
+    }
+
+    renderWarranty() {
+        const output = this.modal.body.querySelector('.service-warranty');
+        const { value } = this.modal.body.querySelector('.service-form').elements.purchaseDate;
+
+        output.classList.remove('service-warranty-covered', 'service-warranty-expired');
+        if (this.validatePurchaseDate(value)) {
+            output.textContent = i18n.t('service.warranty.hint', { months: this.getWarrantyMonths() });
+            return;
+        }
+
+        const { covered, expires } = this.checkWarranty(value);
+        output.classList.add(covered ? 'service-warranty-covered' : 'service-warranty-expired');
+        output.textContent = i18n.t(covered ? 'service.warranty.covered' : 'service.warranty.expired', {
+            date: this.formatDate(expires)
+        });
+    }
+
+    formatDate(date) {
+        return new Intl.DateTimeFormat(i18n.getLocale(), { day: 'numeric', month: 'long', year: 'numeric' }).format(date);
+    }
+
+    /**
+     * Resize the picked photos in the background; submit waits for them
+     */
+    addPhotos(input) {
+        const files = Array.from(input.files || []).filter(file => file.type.startsWith('image/'));
+        const free = this.config.maxPhotos - this.photos.length;
+        input.value = '';
+
+        if (files.length > free) {
+            showToast(i18n.t('service.photoLimit', { max: this.config.maxPhotos }), 'warning');
+        }
+
+        this.photosReady = this.photosReady.then(() => Promise.all(files.slice(0, free).map(async (file) => {
+            try {
+                const dataUrl = await resizeImage(file, this.config.photoMaxSize, this.config.photoQuality);
+                this.photos.push({ name: file.name, dataUrl });
+            } catch (error) {
+                console.warn('Photo skipped:', error.message);
+                showToast(i18n.t('service.photoError', { name: file.name }), 'error');
+            }
+        }))).then(() => this.renderPhotos());
+    }
+
+    renderPhotos() {
+        const list = this.modal.body.querySelector('.service-photos');
+        const input = this.modal.body.querySelector('input[name="photos"]');
+        if (!list) return;
+
+        list.innerHTML = html`${this.photos.map((photo, index) => html`
+            <li class="service-photo">
+                <img src="${photo.dataUrl}" alt="${photo.name}">
+                <button type="button" class="service-photo-remove" data-remove-photo="${index}" aria-label="${i18n.t('service.removePhoto', { name: photo.name })}">&times;</button>
+            </li>
+        `)}`;
+        input.disabled = this.photos.length >= this.config.maxPhotos;
+    }
+
+    /**
+     * Ticket numbers are made here, so the visitor gets one even when the
+     * request is queued offline: SC-<YYMMDD>-<4 characters>
+     */
+    createTicketNumber() {
+        const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        const suffix = Array.from({ length: 4 }, () => alphabet[Math.floor(Math.random() * alphabet.length)]).join('');
+        return `SC-${utils.toISODate(new Date()).slice(2).replace(/-/g, '')}-${suffix}`;
+    }
+
+    async handleSubmit(e) {
+        e.preventDefault();
+        const form = e.target;
+        const { elements } = form;
+
+        const isValid = formValidation.validateFields([
+            [elements.purchaseDate, value => this.validatePurchaseDate(value)],
+            [elements.serial, value => this.validateSerial(value)],
+            [elements.fault, value => (value ? '' : i18n.t('validation.fault.required'))],
+            [elements.name, value => formValidation.validateName(value)],
+            [elements.phone, value => phoneUtils.validate(value)]
+        ]);
+        if (!isValid) return;
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const originalText = submitBtn.textContent;
+        submitBtn.textContent = i18n.t('common.sending');
+        submitBtn.disabled = true;
+
+        await this.photosReady;
+
+        const product = this.catalog.getById(elements.model.value);
+        const warranty = this.checkWarranty(elements.purchaseDate.value);
+        const request = {
+            ticket: this.createTicketNumber(),
+            name: elements.name.value.trim(),
+            phone: phoneUtils.toE164(elements.phone.value),
+            product: product ? product.name : i18n.t('service.otherModel'),
+            productId: product ? product.id : null,
+            serial: elements.serial.value.trim().toUpperCase(),
+            purchaseDate: elements.purchaseDate.value,
+            warranty: { covered: warranty.covered, expires: utils.toISODate(warranty.expires) },
+            fault: elements.fault.value,
+            description: elements.description.value.trim(),
+            photos: this.photos.map(photo => photo.dataUrl)
+        };
+
+        try {
+            const result = await this.formHandler.sendRequest('service_request', request);
+            if (this.provider) await this.provider.register(request);
+            utils.writeStorage(this.config.ticketKey, { ticket: request.ticket, phone: request.phone });
+
+            this.renderConfirmation(request, result);
+        } catch (error) {
+            console.error('Service request failed:', error);
+            showToast(i18n.t('common.error'), 'error');
+            submitBtn.textContent = originalText;
+            submitBtn.disabled = false;
+        }
+    }
+
+    renderConfirmation(request, result) {
+        const address = this.companyData.get('address.service_center.full_address', '');
+
+        this.modal.setContent(html`
+            <h2 class="booking-title" id="serviceTitle">${i18n.t('service.createdTitle')}</h2>
+            <p class="service-ticket">
+                <span>${i18n.t('service.ticket')}</span>
+                <strong>${request.ticket}</strong>
+            </p>
+            <p class="booking-summary">
+                ${request.product}, ${request.serial}<br>
+                ${i18n.t(request.warranty.covered ? 'service.warranty.covered' : 'service.warranty.expired', {
+                    date: this.formatDate(new Date(`${request.warranty.expires}T00:00:00`))
+                })}
+            </p>
+            <p class="booking-note">${i18n.t(result.queued ? 'service.queued' : result.via === 'mailto' ? 'lead.mailto' : this.provider ? 'service.created' : 'service.createdNoStatus')}</p>
+            ${address ? html`<p class="booking-note">${i18n.t('service.address', { address })}</p>` : ''}
+            <div class="quiz-nav">
+                ${this.provider ? html`<button type="button" class="btn btn-outline btn-small" data-service-action="status" data-ticket="${request.ticket}">${i18n.t('service.checkStatus')}</button>` : ''}
+                <button type="button" class="btn btn-primary btn-small" data-service-action="done">${i18n.t('service.done')}</button>
+            </div>
+        `);
+    }
+
+    /**
+     * Status lookup by ticket number and the phone given in the request;
+     * prefilled with the last ticket sent from this browser
+     */
+    openStatus(ticket) {
+        const last = utils.readStorage(this.config.ticketKey, null) || {};
+
+        this.modal.setContent(html`
+            <h2 class="booking-title" id="serviceTitle">${i18n.t('service.statusTitle')}</h2>
+            <form class="checkout-form service-status-form" novalidate>
+                <div class="booking-fields">
+                    <label class="checkout-field">
+                        <span>${i18n.t('service.ticket')}</span>
+                        <input type="text" name="ticket" value="${ticket || last.ticket || ''}" placeholder="SC-000000-XXXX" autocomplete="off" autocapitalize="characters" spellcheck="false" required>
+                    </label>
+                    <label class="checkout-field">
+                        <span>${i18n.t('service.statusPhone')}</span>
+                        <input type="tel" name="phone" value="${phoneUtils.format(last.phone || '')}" autocomplete="tel" required>
+                    </label>
+                </div>
+                <button type="submit" class="btn btn-primary">${i18n.t('service.statusSubmit')}</button>
+            </form>
+            <div class="service-status-result" aria-live="polite"></div>
+        `);
+
+        const form = this.modal.body.querySelector('.service-status-form');
+        new PhoneMask(form.elements.phone);
+        formValidation.bindLiveValidation(form.elements.ticket, value => this.validateTicket(value));
+        formValidation.bindLiveValidation(form.elements.phone, value => phoneUtils.validate(value));
+
+        this.modal.open();
+    }
+
+    validateTicket(value) {
+        const ticket = String(value || '').trim().toUpperCase();
+
+        if (!ticket) return i18n.t('validation.ticket.required');
+        if (!SERVICE_TICKET_PATTERN.test(ticket)) return i18n.t('validation.ticket.format');
+        return '';
+    }
+
+    async handleStatusSubmit(e) {
+        e.preventDefault();
+        const form = e.target;
+        const { elements } = form;
+        const result = this.modal.body.querySelector('.service-status-result');
+
+        const isValid = formValidation.validateFields([
+            [elements.ticket, value => this.validateTicket(value)],
+            [elements.phone, value => phoneUtils.validate(value)]
+        ]);
+        if (!isValid) return;
+
+        const ticket = elements.ticket.value.trim().toUpperCase();
+        const phone = phoneUtils.toE164(elements.phone.value);
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        try {
+            const status = await this.provider.getStatus(ticket, phone);
+            result.innerHTML = status
+                ? this.renderStatus(status)
+                : html`<p class="booking-slots-note">${i18n.t('service.notFound')}</p>`;
+        } catch (error) {
+            console.error('Failed to load repair status:', error);
+            result.innerHTML = html`<p class="booking-slots-note">${i18n.t('service.statusError')}</p>`;
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    renderStatus(status) {
+        const current = SERVICE_STATUSES.indexOf(status.status);
+        const updatedAt = status.updatedAt ? new Date(status.updatedAt) : null;
+
+        return html`
+            <div class="service-status">
+                <p class="booking-summary">
+                    ${status.ticket}${status.product ? `, ${status.product}` : ''}<br>
+                    <strong>${i18n.t(`service.status.${status.status}`)}</strong>
+                </p>
+                <ol class="service-timeline">
+                    ${SERVICE_STATUSES.map((id, index) => html`
+                        <li class="${index < current ? 'is-done' : ''}${index === current ? 'is-current' : ''}"${index === current ? html` aria-current="step"` : ''}>${i18n.t(`service.status.${id}`)}</li>
+                    `)}
+                </ol>
+                ${status.note ? html`<p class="booking-note">${status.note}</p>` : ''}
+                ${updatedAt && !Number.isNaN(updatedAt.getTime()) ? html`<p class="booking-note">${i18n.t('service.updatedAt', { date: this.formatDate(updatedAt) })}</p>` : ''}
+            </div>
+        `;
+    }
+}
+
+// ===================================
+// Offline Support
+// ===================================
+
+// Override with window.ELECTRO_POWER_CONFIG = { pwa: { ... } }
+const PWA_CONFIG = {
+    // In the site root, so the worker's scope covers every page both in
+    // pages/ and on the flattened Pages deploy; null disables offline support
+    serviceWorkerUrl: new URL('sw.js', SITE_BASE_URL).href,
+    ...(window.ELECTRO_POWER_CONFIG && window.ELECTRO_POWER_CONFIG.pwa)
+};
+
+/**
+ * Send a message to a service worker and wait for its reply
+ */
+function postToServiceWorker(worker, message, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const channel = new MessageChannel();
+        const timer = setTimeout(() => reject(new Error('Service worker did not answer')), timeout);
+
+        channel.port1.onmessage = (e) => {
+            clearTimeout(timer);
+            if (e.data && e.data.ok) {
+                resolve(e.data);
+            } else {
+                reject(new Error((e.data && e.data.error) || 'Service worker error'));
+            }
+        };
+        worker.postMessage(message, [channel.port2]);
+    });
+}
+
+class OfflineSupport {
+    constructor(config = PWA_CONFIG) {
+        this.config = config;
+        this.registration = null;
+        this.init();
+    }
+
+    init() {
+        if (!this.config.serviceWorkerUrl || !('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) {
+            return;
+        }
+
+        // Don't compete with the page's own requests on first load
+        if (document.readyState === 'complete') {
+            this.register();
+        } else {
+            window.addEventListener('load', () => this.register(), { once: true });
+        }
+    }
+
+    /**
+     * The worker can't tell where the assets folder is, so pass it along
+     */
+    async register() {
+        const url = new URL(this.config.serviceWorkerUrl, window.location.href);
+        url.searchParams.set('assets', ASSETS_BASE_URL);
+
+        try {
+            this.registration = await navigator.serviceWorker.register(url.href);
+        } catch (error) {
+            console.warn('Service worker registration failed:', error.message);
+        }
+    }
+}
+
+// ===================================
+// Lead Submission
+// ===================================
+
+// Where leads and orders are sent. Override any key by defining
+// window.ELECTRO_POWER_CONFIG = { submission: { ... } } before main.js.
+const SUBMISSION_CONFIG = {
+    // 'http' posts JSON to `endpoint`, 'webhook' sends a Telegram-style
+    // sendMessage request to `webhookUrl`, 'mailto' opens the mail client
+    transport: 'http',
+    endpoint: null,
+    webhookUrl: null,
+    webhookChatId: null,
+    // Used when the main transport is not configured; the visitor still has
+    // to press Send in the mail client, and forms say so
+    fallback: 'mailto',
+    companyDataUrl: utils.assetUrl('../company.json'),
+    timeout: 10000,
+    retries: 3,
+    retryDelay: 1000,
+    queueKey: 'electropower:outbox',
+    // Background Sync tag the service worker replays the outbox under;
+    // must match OUTBOX_SYNC_TAG in sw.js
+    syncTag: 'electropower-outbox',
+    ...(window.ELECTRO_POWER_CONFIG && window.ELECTRO_POWER_CONFIG.submission)
+};
+
+class SubmissionError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {boolean} [options.retryable] - network errors, timeouts, 429 and 5xx
+     * @param {number} [options.status] - HTTP status, when there was a response
+     */
+    constructor(message, options = {}) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.retryable = Boolean(options.retryable);
+        this.status = options.status || null;
+    }
+}
+
+/**
+ * Human-readable summary of a lead, shared by the webhook and mailto transports
+ */
+function formatLeadMessage(payload) {
+    const titles = {
+        consultation: 'Заявка на консультацию',
+        order: 'Новый заказ',
+        test_drive: 'Запись на тест-драйв',
+        service_request: 'Заявка на ремонт'
+    };
+    const data = payload.data || {};
+    const lines = [titles[payload.type] || `Заявка: ${payload.type}`];
+
+    const customer = data.customer || data;
+    if (customer.name) lines.push(`Имя: ${customer.name}`);
+    if (customer.phone) lines.push(`Телефон: ${customer.phone}`);
+    if (data.product) lines.push(`Товар: ${data.product}`);
+    if (data.date && data.time) lines.push(`Дата и время: ${data.date} ${data.time}`);
+
+    if (data.ticket) lines.push(`Номер заявки: ${data.ticket}`);
+    if (data.serial) lines.push(`Серийный номер: ${data.serial}`);
+    if (data.purchaseDate) lines.push(`Дата покупки: ${data.purchaseDate}`);
+    if (data.warranty) {
+        lines.push(data.warranty.covered ? `Гарантия: действует до ${data.warranty.expires}` : `Гарантия: истекла ${data.warranty.expires}`);
+    }
+    if (data.fault) lines.push(`Неисправность: ${data.fault}`);
+    if (data.description) lines.push(`Описание: ${data.description}`);
+    // Photos only reach the JSON endpoint; chat and e-mail get the count
+    if (Array.isArray(data.photos) && data.photos.length) lines.push(`Фото: ${data.photos.length} шт.`);
+
+    if (Array.isArray(data.quiz)) {
+        lines.push('Ответы на тест:');
+        data.quiz.forEach(item => lines.push(`— ${item.question} ${item.answer}`));
+    }
+
+    if (data.delivery) {
+        lines.push(`Доставка: ${data.delivery.method}${data.delivery.address ? `, ${data.delivery.address}` : ''}`);
+
+        const estimate = data.delivery.estimate;
+        if (estimate && estimate.from) {
+            const dates = estimate.to !== estimate.from ? `${estimate.from} – ${estimate.to}` : estimate.from;
+            lines.push(`Расчёт доставки: ${estimate.city || estimate.region}, ${estimate.cost} ${data.currency || 'BYN'}, ${dates}`);
+        }
+    }
+    if (Array.isArray(data.items)) {
+        data.items.forEach(item => lines.push(`— ${item.name} × ${item.quantity} = ${item.price * item.quantity} ${data.currency || 'BYN'}`));
+        lines.push(`Итого: ${data.total} ${data.currency || 'BYN'}`);
+    }
+
+    lines.push(`Отправлено: ${payload.createdAt}`);
+    return lines.join('\n');
+}
+
+class HttpTransport {
+    constructor(options) {
+        this.url = options.url;
+        this.timeout = options.timeout;
+    }
+
+    isConfigured() {
+        return Boolean(this.url);
+    }
+
+    buildBody(payload) {
+        return payload;
+    }
+
+    /**
+     * The request as plain data, so the service worker can replay it
+     */
+    buildRequest(payload) {
+        return {
+            url: new URL(this.url, window.location.href).href,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(this.buildBody(payload))
+        };
+    }
+
+    async send(payload) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller && setTimeout(() => controller.abort(), this.timeout);
+        const { url, headers, body } = this.buildRequest(payload);
+
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers,
+                body,
+                signal: controller ? controller.signal : undefined
+            });
+        } catch (error) {
+            throw new SubmissionError(`Network error: ${error.message}`, { retryable: true });
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            const retryable = response.status === 429 || response.status >= 500;
+            throw new SubmissionError(`HTTP ${response.status}`, { retryable, status: response.status });
+        }
+
+        return { via: 'http', status: response.status };
+    }
+}
+
+class WebhookTransport extends HttpTransport {
+    constructor(options) {
+        super(options);
+        this.chatId = options.chatId;
+    }
+
+    isConfigured() {
+        return Boolean(this.url && this.chatId);
+    }
+
+    buildBody(payload) {
+        return {
+            chat_id: this.chatId,
+            text: formatLeadMessage(payload),
+            disable_web_page_preview: true
+        };
+    }
+
+    async send(payload) {
+        const result = await super.send(payload);
+        return { ...result, via: 'webhook' };
+    }
+}
+
+class MailtoTransport {
+    constructor(options) {
+        this.companyDataUrl = options.companyDataUrl;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Take the address from company.json, falling back to the first
+     * mailto: link on the page
+     */
+    async resolveEmail() {
+        try {
+            const response = await fetch(this.companyDataUrl);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            const email = data.company.contacts.emails[0].email;
+            if (email) return email;
+        } catch (error) {
+            console.warn('company.json unavailable for mailto fallback:', error.message);
+        }
+
+        const link = document.querySelector('a[href^="mailto:"]');
+        if (link) return link.getAttribute('href').replace(/^mailto:/, '');
+
+        throw new SubmissionError('No e-mail address to send the request to');
+    }
+
+    async send(payload) {
+        const email = await this.resolveEmail();
+        const subject = encodeURIComponent(formatLeadMessage(payload).split('\n')[0]);
+        const body = encodeURIComponent(formatLeadMessage(payload));
+        window.location.href = `mailto:${email}?subject=${subject}&body=${body}`;
+        return { via: 'mailto' };
+    }
+}
+
+class LeadSubmitter {
+    constructor(config = SUBMISSION_CONFIG) {
+        this.config = config;
+        this.init();
+    }
+
+    init() {
+        this.transport = this.createTransport(this.config.transport);
+        this.fallback = this.config.fallback ? this.createTransport(this.config.fallback) : null;
+
+        window.addEventListener('online', () => this.flushQueue());
+        if (navigator.onLine !== false) {
+            this.flushQueue();
+        } else {
+            this.handOverQueue();
+        }
+
+        // The service worker reports leads it sent in the background
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (e) => {
+                if (e.data && e.data.type === 'outbox:sent') {
+                    document.dispatchEvent(new CustomEvent('leads:flushed', { detail: { sent: e.data.sent } }));
+                }
+            });
+        }
+    }
+
+    createTransport(type) {
+        const { endpoint, webhookUrl, webhookChatId, timeout, companyDataUrl } = this.config;
+
+        switch (type) {
+            case 'http':
+                return new HttpTransport({ url: endpoint, timeout });
+            case 'webhook':
+                return new WebhookTransport({ url: webhookUrl, chatId: webhookChatId, timeout });
+            case 'mailto':
+                return new MailtoTransport({ companyDataUrl });
+            default:
+                throw new Error(`Unknown submission transport: ${type}`);
+        }
+    }
+
+    /**
+     * Send a lead. Resolves with `{ queued: true }` when the browser is
+     * offline or the endpoint is unreachable, so callers can tell the
+     * visitor the request will go out later, and with `{ via: 'mailto' }`
+     * when it was only handed to the mail client.
+     */
+    async submit(type, data) {
+        const payload = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            type,
+            data,
+            createdAt: new Date().toISOString(),
+            page: window.location.href
+        };
+
+        if (!this.transport.isConfigured()) {
+            return this.sendViaFallback(payload);
+        }
+
+        if (navigator.onLine === false) {
+            if (!this.enqueue(payload)) {
+                throw new SubmissionError('Offline, and the lead could not be saved for later');
+            }
+            return { queued: true, id: payload.id };
+        }
+
+        try {
+            const result = await this.sendWithRetry(payload);
+            return { ...result, id: payload.id };
+        } catch (error) {
+            if (error.retryable && this.enqueue(payload)) {
+                return { queued: true, id: payload.id };
+            }
+            // A rejected or unsaved lead is an error the visitor has to see,
+            // not a reason to quietly try another channel
+            console.error('Lead submission failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Whether leads can carry files (service photos): only the JSON
+     * endpoint receives them, webhook and mailto messages are text
+     */
+    acceptsAttachments() {
+        return this.config.transport === 'http' && this.transport.isConfigured();
+    }
+
+    async sendViaFallback(payload) {
+        if (!this.fallback || this.fallback === this.transport) {
+            throw new SubmissionError('Submission transport is not configured');
+        }
+        const result = await this.fallback.send(payload);
+        return { ...result, id: payload.id };
+    }
+
+    /**
+     * Retry retryable failures with exponential backoff and a little jitter
+     */
+    async sendWithRetry(payload) {
+        let attempt = 0;
+
+        for (;;) {
+            try {
+                return await this.transport.send(payload);
+            } catch (error) {
+                attempt++;
+                if (!(error instanceof SubmissionError) || !error.retryable || attempt >= this.config.retries) {
+                    throw error;
+                }
+                const delay = this.config.retryDelay * Math.pow(2, attempt - 1) * (0.8 + Math.random() * 0.4);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    getQueue() {
+        const queue = utils.readStorage(this.config.queueKey, []);
+        return Array.isArray(queue) ? queue : [];
+    }
+
+    /**
+     * Save a lead to the outbox; false when storage is full or unavailable
+     */
+    enqueue(payload) {
+        const queue = this.getQueue().filter(item => item.id !== payload.id);
+        queue.push(payload);
+        if (!utils.writeStorage(this.config.queueKey, queue)) return false;
+
+        this.handOverQueue();
+        return true;
+    }
+
+    /**
+     * Move queued leads to the service worker, which sends them through
+     * Background Sync once the connection is back, even if the tab has
+     * been closed. Without a controlling worker or sync support they stay
+     * here and go out on the next 'online' event.
+     */
+    async handOverQueue() {
+        const controller = 'serviceWorker' in navigator && navigator.serviceWorker.controller;
+        if (this.handingOver || !controller || typeof SyncManager === 'undefined' || !this.transport.buildRequest) return;
+
+        const queue = this.getQueue();
+        if (!queue.length) return;
+
+        this.handingOver = true;
+        try {
+            // Register first, so leads never sit in the worker without a pending sync
+            const registration = await navigator.serviceWorker.ready;
+            await registration.sync.register(this.config.syncTag);
+
+            const requests = queue.map(payload => ({ id: payload.id, ...this.transport.buildRequest(payload) }));
+            await postToServiceWorker(controller, { type: 'outbox:add', requests });
+
+            const handedOver = new Set(requests.map(request => request.id));
+            utils.writeStorage(this.config.queueKey, this.getQueue().filter(item => !handedOver.has(item.id)));
+        } catch (error) {
+            console.warn('Background sync unavailable, keeping leads queued locally:', error.message);
+        } finally {
+            this.handingOver = false;
+        }
+    }
+
+    /**
+     * Resend queued leads; ones the server rejects outright are dropped
+     */
+    async flushQueue() {
+        if (this.flushing || !this.transport.isConfigured()) return;
+
+        const queue = this.getQueue();
+        if (!queue.length) return;
+
+        this.flushing = true;
+        const remaining = [];
+
+        for (const payload of queue) {
+            try {
+                await this.sendWithRetry(payload);
+            } catch (error) {
+                if (error.retryable) {
+                    remaining.push(payload);
+                } else {
+                    console.error('Dropping queued lead rejected by the server:', payload.id, error);
+                }
+            }
+        }
+
+        // Keep anything queued while we were flushing
+        const sentIds = new Set(queue.map(item => item.id));
+        const added = this.getQueue().filter(item => !sentIds.has(item.id));
+        utils.writeStorage(this.config.queueKey, remaining.concat(added));
+        this.flushing = false;
+
+        const sent = queue.length - remaining.length;
+        if (sent > 0) {
+            document.dispatchEvent(new CustomEvent('leads:flushed', { detail: { sent } }));
+        }
+    }
+}
+
+// ===================================
+// Form Handler
+// ===================================
+
+class FormHandler {
+    constructor(submitter) {
+        this.submitter = submitter || new LeadSubmitter();
+        this.init();
+    }
+
+    init() {
+        this.consultationForm = document.querySelector('.consultation-form');
+        this.minFillTime = 3000;
+
+        if (this.consultationForm) {
+            this.nameInput = this.consultationForm.querySelector('[name="name"]');
+            this.phoneInput = this.consultationForm.querySelector('[name="phone"]');
+            this.honeypot = this.consultationForm.querySelector('[name="website"]');
+            // Fill time counts from the first keystroke or autofill, not page load
+            this.firstInputAt = null;
+            this.consultationForm.addEventListener('input', () => {
+                if (!this.firstInputAt) this.firstInputAt = Date.now();
+            });
+
+            if (this.phoneInput) new PhoneMask(this.phoneInput);
+            formValidation.bindLiveValidation(this.nameInput, value => formValidation.validateName(value));
+            formValidation.bindLiveValidation(this.phoneInput, value => phoneUtils.validate(value));
+        }
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        if (this.consultationForm) {
+            this.consultationForm.addEventListener('submit', (e) => this.handleConsultationSubmit(e));
+        }
+
+        // Leads queued while offline went out, here or from the service worker
+        document.addEventListener('leads:flushed', () => showToast(i18n.t('lead.flushed'), 'success'));
+
+        // Consultation buttons
+        const consultationBtns = document.querySelectorAll('.consultation-btn');
+        consultationBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.openConsultationModal());
+        });
+    }
+
+    handleConsultationSubmit(e) {
+        e.preventDefault();
+
+        const isValid = formValidation.validateFields([
+            [this.nameInput, value => formValidation.validateName(value)],
+            [this.phoneInput, value => phoneUtils.validate(value)]
+        ]);
+        if (!isValid) return;
+
+        const name = this.nameInput.value.trim();
+        const phone = phoneUtils.toE164(this.phoneInput.value);
+
+        // Bots fill the hidden field: send nothing, and don't claim otherwise
+        if (this.honeypot && this.honeypot.value) {
+            console.warn('Consultation request dropped by spam check');
+            showToast(i18n.t('common.error'), 'error');
+            return;
+        }
+
+        // Too fast for a person (or no input at all): ask to confirm instead
+        // of dropping; the second press goes through
+        if (this.isTooFast()) {
+            this.firstInputAt = Date.now() - this.minFillTime;
+            showToast(i18n.t('lead.confirm'), 'warning');
+            return;
+        }
+
+        this.submitConsultationRequest({ name, phone, ...this.context });
+    }
+
+    /**
+     * Fill-time check against spam bots
+     */
+    isTooFast() {
+        return !this.firstInputAt || Date.now() - this.firstInputAt < this.minFillTime;
+    }
+
+    async submitConsultationRequest(data) {
+        // Show loading state
+        const submitBtn = this.consultationForm.querySelector('button[type="submit"]');
+        const originalText = submitBtn.textContent;
+        submitBtn.textContent = i18n.t('common.sending');
+        submitBtn.disabled = true;
+
+        try {
+            const result = await this.sendRequest('consultation', data);
+
+            // Success
+            if (result.queued) {
+                showToast(i18n.t('lead.queued'), 'warning');
+            } else if (result.via === 'mailto') {
+                showToast(i18n.t('lead.mailto'), 'warning');
+            } else {
+                showToast(i18n.t('lead.sent'), 'success');
+            }
+            this.consultationForm.reset();
+            this.firstInputAt = null;
+            this.context = null;
+
+        } catch (error) {
+            showToast(i18n.t('common.error'), 'error');
+        } finally {
+            // Restore button
+            submitBtn.textContent = originalText;
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Submission layer shared by all forms (consultation, orders, ...)
+     */
+    async sendRequest(type, data) {
+        const result = await this.submitter.submit(type, data);
+        trackEvent('lead_submit', { lead_type: type, queued: Boolean(result.queued) });
+        return result;
+    }
+
+    /**
+     * Scroll to the consultation form; the optional context (e.g. the product
+     * the visitor came from) is sent along with the next request
+     */
+    openConsultationModal(context = null) {
+        this.context = context;
+
+        // Scroll to consultation form
+        const consultationSection = document.querySelector('.consultation-section');
+        if (consultationSection) {
+            utils.smoothScrollTo(consultationSection);
+            
+            // Focus on first input after scroll
+            setTimeout(() => {
+                const firstInput = consultationSection.querySelector('input');
+                if (firstInput) firstInput.focus();
+            }, 500);
+        }
+    }
+}
+
+// ===================================
+// Performance Optimization
+// ===================================
+
+class PerformanceOptimizer {
+    constructor() {
+        this.init();
+    }
+
+    init() {
+        this.lazyLoadImages();
+        this.preloadCriticalResources();
+    }
+
+    lazyLoadImages() {
+        if ('IntersectionObserver' in window) {
+            const imageObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        const img = entry.target;
+                        img.src = img.dataset.src || img.src;
+                        img.classList.remove('lazy');
+                        imageObserver.unobserve(img);
+                    }
+                });
+            });
+
+            const lazyImages = document.querySelectorAll('img[loading="lazy"]');
+            lazyImages.forEach(img => {
+                img.classList.add('lazy');
+                imageObserver.observe(img);
+            });
+        }
+    }
+
+    preloadCriticalResources() {
+        // Preload hero image
+        const heroImg = document.querySelector('.hero-image img');
+        if (heroImg) {
+            const link = document.createElement('link');
+            link.rel = 'preload';
+            link.as = 'image';
+            link.href = heroImg.src;
+            document.head.appendChild(link);
+        }
+    }
+}
+
+class VideoFacade {
+    /**
+     * Elements with `data-youtube-id` show a poster and a play button; the
+     * youtube-nocookie player is only loaded on click, and only with the
+     * media category allowed: the first click asks for it. Revoking media
+     * puts the posters back.
+     */
+    constructor(consent) {
+        this.consent = consent;
+        this.host = 'https://www.youtube-nocookie.com';
+        this.init();
+    }
+
+    init() {
+        this.facades = Array.from(document.querySelectorAll('[data-youtube-id]'));
+        this.facades.forEach(facade => this.setup(facade));
+
+        if (this.consent && this.facades.length) {
+            this.consent.subscribe('media', allowed => {
+                this.facades.forEach(facade => {
+                    if (!allowed) this.reset(facade);
+                    this.renderPoster(facade);
+                });
+            });
+        }
+    }
+
+    setup(facade) {
+        facade.classList.add('video-facade');
+        this.renderPoster(facade);
+
+        let playBtn = facade.querySelector('.video-facade-play');
+        if (!playBtn) {
+            playBtn = document.createElement('button');
+            playBtn.type = 'button';
+            playBtn.className = 'video-facade-play';
+            facade.appendChild(playBtn);
+        }
+        this.updateLabel(facade);
+        document.addEventListener('i18n:change', () => this.updateLabel(facade));
+
+        // Warm up the connection once the visitor shows interest
+        ['pointerenter', 'focusin'].forEach(type => {
+            facade.addEventListener(type, () => this.preconnect(), { once: true });
+        });
+
+        playBtn.addEventListener('click', (e) => {
+            // The button may be a link to youtube.com for visitors without JS
+            e.preventDefault();
+            this.play(facade);
+        });
+    }
+
+    /**
+     * The local `data-poster`; once media is allowed, the video's own
+     * thumbnail from i.ytimg.com, falling back to the local poster.
+     * Without either the dark background and the button remain.
+     */
+    renderPoster(facade) {
+        const current = facade.querySelector('.video-facade-poster');
+        const local = facade.dataset.poster || '';
+        const thumbnail = this.consent && this.consent.isAllowed('media')
+            ? `https://i.ytimg.com/vi/${encodeURIComponent(facade.dataset.youtubeId)}/hqdefault.jpg`
+            : '';
+        const src = utils.safeUrl(thumbnail || local);
+
+        if (current && current.getAttribute('src') === src) return;
+        if (current) current.remove();
+        if (!src) return;
+
+        facade.insertAdjacentHTML('afterbegin', html`<img src="${src}" alt="" class="video-facade-poster" loading="lazy">`);
+        const poster = facade.querySelector('.video-facade-poster');
+        poster.addEventListener('error', () => {
+            if (local && poster.getAttribute('src') !== local) {
+                poster.src = utils.safeUrl(local);
+            } else {
+                poster.remove();
+            }
+        });
+    }
+
+    /**
+     * `data-title` may itself be translated through data-i18n-attr
+     */
+    updateLabel(facade) {
+        const title = facade.dataset.title || 'Video';
+        facade.querySelector('.video-facade-play').setAttribute('aria-label', i18n.t('video.play', { title }));
+
+        const iframe = facade.querySelector('iframe');
+        if (iframe) iframe.title = title;
+    }
+
+    preconnect() {
+        if (this.preconnected) return;
+        this.preconnected = true;
+
+        const link = document.createElement('link');
+        link.rel = 'preconnect';
+        link.href = this.host;
+        document.head.appendChild(link);
+    }
+
+    async play(facade) {
+        if (facade.querySelector('iframe')) return;
+        if (this.consent && !(await this.consent.request('media'))) return;
+        if (facade.querySelector('iframe')) return;
+
+        const id = encodeURIComponent(facade.dataset.youtubeId);
+        const iframe = document.createElement('iframe');
+        iframe.src = `${this.host}/embed/${id}?autoplay=1&rel=0`;
+        iframe.title = facade.dataset.title || 'Video';
+        iframe.allow = 'accelerometer; autoplay; encrypted-media; gyroscope; picture-in-picture';
+        iframe.allowFullscreen = true;
+
+        facade.appendChild(iframe);
+        facade.classList.add('video-facade-active');
+        iframe.focus();
+    }
+
+    reset(facade) {
+        const iframe = facade.querySelector('iframe');
+        if (!iframe) return;
+
+        iframe.remove();
+        facade.classList.remove('video-facade-active');
+    }
+}
+
+// ===================================
+// Cookie Consent
+// ===================================
+
+// Bump the version when categories or their meaning change to ask again
+const CONSENT_VERSION = 1;
+
+// Labels are "consent.<id>" and "consent.<id>.description" messages
+const CONSENT_CATEGORIES = [
+    { id: 'necessary', required: true },
+    { id: 'analytics' },
+    { id: 'media' }
+];
+
+class ConsentManager {
+    constructor(categories = CONSENT_CATEGORIES) {
+        this.categories = categories;
+        this.storageKey = 'electropower:consent';
+        this.listeners = [];
+        this.choice = this.restore();
+        this.init();
+    }
+
+    init() {
+        this.banner = document.getElementById('consentBanner');
+        this.modal = new Modal({ className: 'consent-modal', labelledBy: 'consentTitle' });
+        this.prompt = new Modal({
+            className: 'consent-modal',
+            labelledBy: 'consentPromptTitle',
+            onRequestClose: () => this.settlePrompt(false)
+        });
+        this.bindEvents();
+
+        if (!this.choice) {
+            this.showBanner();
+        }
+    }
+
+    bindEvents() {
+        document.addEventListener('click', (e) => {
+            const control = e.target.closest('[data-consent-action]');
+            if (!control) return;
+
+            const action = control.dataset.consentAction;
+            if (action === 'accept-all') this.acceptAll();
+            if (action === 'reject-all') this.rejectAll();
+            if (action === 'settings') this.openSettings();
+            if (action === 'save') this.saveSettings();
+            if (action === 'grant') this.settlePrompt(true);
+            if (action === 'decline') this.settlePrompt(false);
+        });
+
+        // A choice made in another tab applies here too
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) {
+                this.choice = this.restore();
+                this.hideBanner();
+                this.notify();
+            }
+        });
+    }
+
+    /**
+     * Stored choice, or null when there is none for the current version
+     */
+    restore() {
+        const stored = utils.readStorage(this.storageKey, null);
+        if (!stored || stored.version !== CONSENT_VERSION || !stored.categories) return null;
+
+        return stored;
+    }
+
+    hasChoice() {
+        return Boolean(this.choice);
+    }
+
+    isAllowed(category) {
+        const definition = this.categories.find(item => item.id === category);
+        if (definition && definition.required) return true;
+
+        return Boolean(this.choice && this.choice.categories[category]);
+    }
+
+    getCategories() {
+        return this.categories.reduce((result, category) => {
+            result[category.id] = this.isAllowed(category.id);
+            return result;
+        }, {});
+    }
+
+    /**
+     * Call `callback(allowed)` now, if the visitor has already chosen, and on
+     * every later change. Returns a function that unsubscribes.
+     */
+    subscribe(category, callback) {
+        const listener = { category, callback };
+        this.listeners.push(listener);
+
+        if (this.hasChoice()) {
+            callback(this.isAllowed(category));
+        }
+
+        return () => {
+            this.listeners = this.listeners.filter(item => item !== listener);
+        };
+    }
+
+    /**
+     * @param {Object} categories - e.g. { analytics: true, media: false }
+     */
+    save(categories) {
+        const normalized = this.categories.reduce((result, category) => {
+            result[category.id] = Boolean(category.required || categories[category.id]);
+            return result;
+        }, {});
+
+        this.choice = {
+            version: CONSENT_VERSION,
+            date: new Date().toISOString(),
+            categories: normalized
+        };
+        utils.writeStorage(this.storageKey, this.choice);
+
+        this.hideBanner();
+        this.notify();
+    }
+
+    acceptAll() {
+        this.save(this.categories.reduce((result, category) => ({ ...result, [category.id]: true }), {}));
+        this.modal.close();
+    }
+
+    rejectAll() {
+        this.save({});
+        this.modal.close();
+    }
+
+    notify() {
+        this.listeners.forEach(({ category, callback }) => callback(this.isAllowed(category)));
+        document.dispatchEvent(new CustomEvent('consent:change', {
+            detail: { categories: this.getCategories() }
+        }));
+    }
+
+    showBanner() {
+        if (this.banner) this.banner.hidden = false;
+    }
+
+    hideBanner() {
+        if (this.banner) this.banner.hidden = true;
+    }
+
+    openSettings() {
+        const current = this.getCategories();
+
+        this.modal.setContent(html`
+            <h2 class="consent-title" id="consentTitle">${i18n.t('consent.settings')}</h2>
+            <p class="consent-intro">${i18n.t('consent.intro')}</p>
+            <form class="consent-form">
+                ${this.categories.map(category => html`
+                    <label class="consent-option">
+                        <input type="checkbox" name="${category.id}"${current[category.id] ? ' checked' : ''}${category.required ? ' disabled' : ''}>
+                        <span>
+                            <strong>${i18n.t(`consent.${category.id}`)}</strong>
+                            <small>${i18n.t(`consent.${category.id}.description`)}</small>
+                        </span>
+                    </label>
+                `)}
+                <div class="consent-actions">
+                    <button type="button" class="btn btn-primary btn-small" data-consent-action="save">${i18n.t('consent.save')}</button>
+                    <button type="button" class="btn btn-outline btn-small" data-consent-action="accept-all">${i18n.t('consent.acceptAll')}</button>
+                </div>
+            </form>
+        `);
+        this.modal.open();
+    }
+
+    /**
+     * Ask for one category when the visitor reaches for something it gates
+     * (e.g. plays a video). Resolves with true once it is allowed; allowing
+     * is stored like any other choice, declining changes nothing.
+     */
+    request(category) {
+        if (this.isAllowed(category)) return Promise.resolve(true);
+        if (this.pending) this.settlePrompt(false);
+
+        this.prompt.setContent(html`
+            <h2 class="consent-title" id="consentPromptTitle">${i18n.t(`consent.prompt.${category}.title`)}</h2>
+            <p class="consent-intro">${i18n.t(`consent.prompt.${category}`)}</p>
+            <div class="consent-actions">
+                <button type="button" class="btn btn-primary btn-small" data-consent-action="grant">${i18n.t('consent.prompt.allow')}</button>
+                <button type="button" class="btn btn-outline btn-small" data-consent-action="decline">${i18n.t('consent.prompt.cancel')}</button>
+            </div>
+        `);
+        this.prompt.open();
+
+        return new Promise(resolve => {
+            this.pending = { category, resolve };
+        });
     }
 
-    closeMenu() {
-        this.navList.classList.remove('active');
-        this.menuToggle.classList.remove('active');
-        this.animateHamburger();
+    settlePrompt(allowed) {
+        const pending = this.pending;
+        this.pending = null;
+        this.prompt.close();
+        if (!pending) return;
+
+        if (allowed) this.save({ ...this.getCategories(), [pending.category]: true });
+        pending.resolve(allowed);
     }
 
-    animateHamburger() {
-        const spans = this.menuToggle.querySelectorAll('span');
-        if (this.menuToggle.classList.contains('active')) {
-            spans[0].style.transform = 'rotate(45deg) translate(5px, 5px)';
-            spans[1].style.opacity = '0';
-            spans[2].style.transform = 'rotate(-45deg) translate(7px, -6px)';
-        } else {
-            spans[0].style.transform = 'rotate(0deg) translate(0px, 0px)';
-            spans[1].style.opacity = '1';
-            spans[2].style.transform = 'rotate(0deg) translate(0px, 0px)';
-        }
+    saveSettings() {
+        const form = this.modal.body.querySelector('.consent-form');
+        const categories = {};
+
+        this.categories.forEach(category => {
+            categories[category.id] = form.elements[category.id].checked;
+        });
+
+        this.save(categories);
+        this.modal.close();
     }
 }
 
 // ===================================
-// Product Tabs
+// Analytics & Tracking
 // ===================================
 
-class ProductTabs {
-    constructor() {
-        this.init();
-    }
+// Override with window.ELECTRO_POWER_CONFIG = { analytics: { ... } }
+const ANALYTICS_CONFIG = {
+    // Adapters are enabled by their ids; a missing id leaves the adapter off
+    ga4Id: null,
+    ymId: null,
+    // POST endpoint for batched events: { events: [{ name, params, ts, page }] }
+    beaconUrl: null,
+    // Log events to the console
+    debug: false,
+    batchSize: 10,
+    flushInterval: 5000,
+    // Events collected while consent is undecided; older ones are dropped
+    maxPending: 50,
+    ...(window.ELECTRO_POWER_CONFIG && window.ELECTRO_POWER_CONFIG.analytics)
+};
 
-    init() {
-        this.tabButtons = document.querySelectorAll('.tab-button');
-        this.bindEvents();
-        this.loadDefaultTab();
+// Event vocabulary shared by all adapters
+const ANALYTICS_EVENTS = ['page_view', 'tab_switch', 'product_view', 'add_to_cart', 'lead_submit', 'quiz_step', 'scroll_depth'];
+
+/**
+ * Report an event from any component; Analytics picks it up, so callers
+ * don't need a reference to it
+ */
+function trackEvent(name, params = {}) {
+    document.dispatchEvent(new CustomEvent('analytics:event', { detail: { name, params } }));
+}
+
+/**
+ * Expire first-party cookies whose names match, on this host and the parent
+ * domains trackers set them on (".example.by")
+ */
+function clearCookies(pattern) {
+    const labels = window.location.hostname.split('.');
+    const domains = [''];
+    for (let i = 0; i < labels.length - 1; i++) {
+        domains.push(`; domain=.${labels.slice(i).join('.')}`);
     }
 
-    bindEvents() {
-        this.tabButtons.forEach(button => {
-            button.addEventListener('click', () => this.switchTab(button));
+    document.cookie.split(';')
+        .map(cookie => cookie.split('=')[0].trim())
+        .filter(name => pattern.test(name))
+        .forEach(name => {
+            domains.forEach(domain => {
+                document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/${domain}`;
+            });
         });
-    }
+}
 
-    switchTab(activeButton) {
-        const targetTab = activeButton.getAttribute('data-tab');
-        
-        // Remove active class from all buttons
-        this.tabButtons.forEach(button => button.classList.remove('active'));
-        
-        // Add active class to clicked button
-        activeButton.classList.add('active');
-        
-        // Load content for the selected tab
-        this.loadTabContent(targetTab);
-    }
+/**
+ * Inject a third-party script once
+ */
+function loadScript(src) {
+    if (document.querySelector(`script[src="${src}"]`)) return;
 
-    loadTabContent(tabType) {
-        const modelsGrid = document.querySelector('.models-grid');
-        if (!modelsGrid) return;
+    const script = document.createElement('script');
+    script.async = true;
+    script.src = src;
+    document.head.appendChild(script);
+}
 
-        // Sample product data (in real application, this would come from API)
-        const products = this.getProductData(tabType);
-        
-        modelsGrid.innerHTML = '';
-        
-        products.forEach(product => {
-            const productCard = this.createProductCard(product);
-            modelsGrid.appendChild(productCard);
-        });
+class Ga4Adapter {
+    constructor(measurementId) {
+        this.measurementId = measurementId;
+        this.cookies = /^_(ga|gid|gat)/;
     }
 
-    getProductData(type) {
-        const productData = {
-            scooters: [
-                { name: 'Kugoo C1', price: '450 BYN', image: '../assets/images/products/kugoo-c1.jpg', features: ['25 км/ч', '25 км запас хода', '7.5 Ач батарея'] },
-                { name: 'Kugoo M2', price: '650 BYN', image: '../assets/images/products/kugoo-m2.jpg', features: ['35 км/ч', '35 км запас хода', '10.4 Ач батарея'] },
-                { name: 'Kugoo M4 Pro', price: '850 BYN', image: '../assets/images/products/kugoo-m4-pro.jpg', features: ['45 км/ч', '50 км запас хода', '18 Ач батарея'] }
-            ],
-            bikes: [
-                { name: 'GT V6', price: '1200 BYN', image: '../assets/images/products/gt-v6.jpg', features: ['25 км/ч', '60 км запас хода', '13 Ач батарея'] },
-                { name: 'CAMRY 3.5', price: '1500 BYN', image: '../assets/images/products/camry-35.jpg', features: ['25 км/ч', '70 км запас хода', '16 Ач батарея'] },
-                { name: 'Kugoo Kirin C2', price: '1800 BYN', image: '../assets/images/products/kugoo-kirin-c2.jpg', features: ['25 км/ч', '80 км запас хода', '20 Ач батарея'] }
-            ],
-            mopeds: [
-                { name: 'CityCoco GT X-11', price: '2500 BYN', image: '../assets/images/products/citycoco-gt-x11.jpg', features: ['45 км/ч', '60 км запас хода', '20 Ач батарея'] },
-                { name: 'GT EV3', price: '3200 BYN', image: '../assets/images/products/gt-ev3.jpg', features: ['60 км/ч', '80 км запас хода', '32 Ач батарея'] },
-                { name: 'IKINGI X7 PRO', price: '4500 BYN', image: '../assets/images/products/ikingi-x7-pro.jpg', features: ['80 км/ч', '120 км запас хода', '60 Ач батарея'] }
-            ]
-        };
+    load() {
+        window.dataLayer = window.dataLayer || [];
+        window.gtag = window.gtag || function gtag() { window.dataLayer.push(arguments); };
+        window.gtag('js', new Date());
+        // Page views are sent as regular events from the batch
+        window.gtag('config', this.measurementId, { send_page_view: false });
+        loadScript(`https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(this.measurementId)}`);
+    }
 
-        return productData[type] || productData.scooters;
+    send(events) {
+        events.forEach(({ name, params }) => window.gtag('event', name, params));
     }
 
-    createProductCard(product) {
-        const card = document.createElement('div');
-        card.className = 'product-card';
-        
-        card.innerHTML = `
-            <div class="product-image">
-                <img src="${product.image}" alt="${product.name}" loading="lazy">
-                <div class="product-badge">Хит продаж</div>
-            </div>
-            <div class="product-content">
-                <h3 class="product-title">${product.name}</h3>
-                <div class="product-features">
-                    ${product.features.map(feature => `<span class="feature">${feature}</span>`).join('')}
-                </div>
-                <div class="product-price">${product.price}</div>
-                <div class="product-actions">
-                    <button class="btn btn-primary btn-small">Купить</button>
-                    <button class="btn btn-outline btn-small">Подробнее</button>
-                </div>
-            </div>
-        `;
-        
-        return card;
+    /**
+     * gtag stays on the page, so tell it to stop storing and sending
+     */
+    revoke() {
+        window[`ga-disable-${this.measurementId}`] = true;
+        if (window.gtag) window.gtag('consent', 'update', { analytics_storage: 'denied' });
     }
 
-    loadDefaultTab() {
-        const defaultButton = document.querySelector('.tab-button.active');
-        if (defaultButton) {
-            this.loadTabContent(defaultButton.getAttribute('data-tab'));
-        }
+    resume() {
+        window[`ga-disable-${this.measurementId}`] = false;
+        window.gtag('consent', 'update', { analytics_storage: 'granted' });
     }
 }
 
-// ===================================
-// Form Handler
-// ===================================
+class YandexMetricaAdapter {
+    constructor(counterId) {
+        this.counterId = Number(counterId);
+        this.cookies = /^_ym/;
+    }
 
-class FormHandler {
-    constructor() {
-        this.init();
+    load() {
+        window.ym = window.ym || function ym() { (window.ym.a = window.ym.a || []).push(arguments); };
+        window.ym.l = Date.now();
+        // defer: hits are sent by send() below, not by the tag on load
+        window.ym(this.counterId, 'init', { defer: true, clickmap: true, trackLinks: true, accurateTrackBounce: true });
+        loadScript('https://mc.yandex.ru/metrika/tag.js');
     }
 
-    init() {
-        this.consultationForm = document.querySelector('.consultation-form');
-        this.bindEvents();
+    send(events) {
+        events.forEach(({ name, params, page }) => {
+            if (name === 'page_view') {
+                window.ym(this.counterId, 'hit', page);
+            } else {
+                window.ym(this.counterId, 'reachGoal', name, params);
+            }
+        });
     }
 
-    bindEvents() {
-        if (this.consultationForm) {
-            this.consultationForm.addEventListener('submit', (e) => this.handleConsultationSubmit(e));
-        }
+    /**
+     * Metrica has no way to switch off clickmap and link tracking once
+     * loaded; only a reload without the tag stops it
+     */
+    revoke() {
+        return { reload: true };
+    }
+}
 
-        // Consultation buttons
-        const consultationBtns = document.querySelectorAll('.consultation-btn, .quiz-btn');
-        consultationBtns.forEach(btn => {
-            btn.addEventListener('click', () => this.openConsultationModal());
-        });
+class BeaconAdapter {
+    constructor(url) {
+        this.url = url;
     }
 
-    handleConsultationSubmit(e) {
-        e.preventDefault();
-        
-        const formData = new FormData(this.consultationForm);
-        const name = formData.get('name') || this.consultationForm.querySelector('input[type="text"]').value;
-        const phone = formData.get('phone') || this.consultationForm.querySelector('input[type="tel"]').value;
+    load() {}
+
+    send(events) {
+        const body = JSON.stringify({ events });
 
-        // Basic validation
-        if (!name || !phone) {
-            this.showNotification('Пожалуйста, заполните все поля', 'error');
+        if (navigator.sendBeacon && navigator.sendBeacon(this.url, new Blob([body], { type: 'application/json' }))) {
             return;
         }
 
-        // Simulate form submission
-        this.submitConsultationRequest({ name, phone });
+        // sendBeacon is missing or refused the payload (size limit)
+        fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            keepalive: true
+        }).catch(() => {});
     }
+}
 
-    async submitConsultationRequest(data) {
-        try {
-            // Show loading state
-            const submitBtn = this.consultationForm.querySelector('button[type="submit"]');
-            const originalText = submitBtn.textContent;
-            submitBtn.textContent = 'Отправляем...';
-            submitBtn.disabled = true;
+class DebugAdapter {
+    load() {}
 
-            // Simulate API call
-            await new Promise(resolve => setTimeout(resolve, 1000));
+    send(events) {
+        events.forEach(({ name, params }) => console.log('[analytics]', name, params));
+    }
+}
 
-            // Success
-            this.showNotification('Заявка отправлена! Мы свяжемся с вами в течение 10 минут.', 'success');
-            this.consultationForm.reset();
+class Analytics {
+    /**
+     * @param {ConsentManager} consent
+     * @param {Object} [config] - see ANALYTICS_CONFIG
+     * @param {Array} [adapters] - objects with load() and send(events), and
+     *   optionally revoke() and a `cookies` name pattern; built from the
+     *   config when omitted
+     */
+    constructor(consent, config = ANALYTICS_CONFIG, adapters = null) {
+        this.consent = consent;
+        this.config = config;
+        this.adapters = adapters || this.createAdapters();
+        this.queue = [];
+        // null until the visitor decides, then true or false
+        this.consentGranted = null;
+        this.loaded = false;
+        this.init();
+    }
 
-            // Restore button
-            submitBtn.textContent = originalText;
-            submitBtn.disabled = false;
+    init() {
+        this.bindEvents();
+        this.trackPageView();
+        this.trackUserInteractions();
+        this.trackScrollDepth();
 
-        } catch (error) {
-            this.showNotification('Произошла ошибка. Попробуйте еще раз.', 'error');
+        if (this.consent) {
+            this.consent.subscribe('analytics', granted => this.setConsent(granted));
         }
     }
 
-    openConsultationModal() {
-        // Scroll to consultation form
-        const consultationSection = document.querySelector('.consultation-section');
-        if (consultationSection) {
-            utils.smoothScrollTo(consultationSection, 80);
-            
-            // Focus on first input after scroll
-            setTimeout(() => {
-                const firstInput = consultationSection.querySelector('input');
-                if (firstInput) firstInput.focus();
-            }, 500);
-        }
-    }
+    createAdapters() {
+        const adapters = [];
 
-    showNotification(message, type = 'info') {
-        // Create notification element
-        const notification = document.createElement('div');
-        notification.className = `notification notification-${type}`;
-        notification.innerHTML = `
-            <div class="notification-content">
-                <span class="notification-message">${message}</span>
-                <button class="notification-close">&times;</button>
-            </div>
-        `;
+        if (this.config.ga4Id) adapters.push(new Ga4Adapter(this.config.ga4Id));
+        if (this.config.ymId) adapters.push(new YandexMetricaAdapter(this.config.ymId));
+        if (this.config.beaconUrl) adapters.push(new BeaconAdapter(this.config.beaconUrl));
+        if (this.config.debug) adapters.push(new DebugAdapter());
 
-        // Add styles
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            z-index: 10000;
-            max-width: 400px;
-            padding: 15px 20px;
-            border-radius: 8px;
-            box-shadow: 0 10px 25px rgba(0, 0, 0, 0.1);
-            color: white;
-            font-weight: 500;
-            transform: translateX(100%);
-            transition: transform 0.3s ease;
-        `;
+        return adapters;
+    }
 
-        // Set background color based on type
-        const colors = {
-            success: '#28a745',
-            error: '#dc3545',
-            warning: '#ffc107',
-            info: '#17a2b8'
-        };
-        notification.style.backgroundColor = colors[type] || colors.info;
+    bindEvents() {
+        document.addEventListener('analytics:event', (e) => this.track(e.detail.name, e.detail.params));
 
-        // Add to DOM
-        document.body.appendChild(notification);
+        // Last chance to deliver the batch before the page goes away
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+        window.addEventListener('pagehide', () => this.flush());
 
-        // Animate in
-        setTimeout(() => {
-            notification.style.transform = 'translateX(0)';
-        }, 100);
+        this.timer = setInterval(() => this.flush(), this.config.flushInterval);
+    }
 
-        // Auto remove after 5 seconds
-        setTimeout(() => {
-            this.removeNotification(notification);
-        }, 5000);
+    /**
+     * Adapters are loaded on the first grant; refusing or revoking drops
+     * whatever has not been sent yet, removes the trackers' cookies and
+     * stops the loaded trackers
+     */
+    setConsent(granted) {
+        this.consentGranted = granted;
 
-        // Close button handler
-        const closeBtn = notification.querySelector('.notification-close');
-        closeBtn.addEventListener('click', () => this.removeNotification(notification));
-    }
+        if (!granted) {
+            this.queue = [];
+            this.revoke();
+            return;
+        }
 
-    removeNotification(notification) {
-        notification.style.transform = 'translateX(100%)';
-        setTimeout(() => {
-            if (notification.parentNode) {
-                notification.parentNode.removeChild(notification);
-            }
-        }, 300);
+        if (!this.loaded) {
+            this.loaded = true;
+            this.adapters.forEach(adapter => {
+                try {
+                    adapter.load();
+                } catch (error) {
+                    console.error('Analytics adapter failed to load:', error);
+                }
+            });
+        } else {
+            // Granted again after a revoke on the same page
+            this.adapters.forEach(adapter => adapter.resume && adapter.resume());
+        }
+        this.flush();
     }
-}
 
-// ===================================
-// Performance Optimization
-// ===================================
+    revoke() {
+        let reload = false;
 
-class PerformanceOptimizer {
-    constructor() {
-        this.init();
-    }
+        this.adapters.forEach(adapter => {
+            try {
+                if (this.loaded && adapter.revoke) {
+                    const result = adapter.revoke();
+                    reload = reload || Boolean(result && result.reload);
+                }
+                if (adapter.cookies) clearCookies(adapter.cookies);
+            } catch (error) {
+                console.error('Analytics adapter failed to stop:', error);
+            }
+        });
 
-    init() {
-        this.lazyLoadImages();
-        this.preloadCriticalResources();
+        // Trackers that can't be stopped go away with the page
+        if (reload) window.location.reload();
     }
 
-    lazyLoadImages() {
-        if ('IntersectionObserver' in window) {
-            const imageObserver = new IntersectionObserver((entries) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        const img = entry.target;
-                        img.src = img.dataset.src || img.src;
-                        img.classList.remove('lazy');
-                        imageObserver.unobserve(img);
-                    }
-                });
-            });
+    track(name, params = {}) {
+        if (!ANALYTICS_EVENTS.includes(name)) {
+            console.warn(`Unknown analytics event: ${name}`);
+            return;
+        }
 
-            const lazyImages = document.querySelectorAll('img[loading="lazy"]');
-            lazyImages.forEach(img => {
-                img.classList.add('lazy');
-                imageObserver.observe(img);
-            });
+        if (this.consentGranted === false) return;
+
+        this.queue.push({ name, params, ts: Date.now(), page: window.location.pathname + window.location.search });
+
+        if (this.consentGranted === null) {
+            this.queue = this.queue.slice(-this.config.maxPending);
+            return;
         }
-    }
 
-    preloadCriticalResources() {
-        // Preload hero image
-        const heroImg = document.querySelector('.hero-image img');
-        if (heroImg) {
-            const link = document.createElement('link');
-            link.rel = 'preload';
-            link.as = 'image';
-            link.href = heroImg.src;
-            document.head.appendChild(link);
+        if (this.queue.length >= this.config.batchSize) {
+            this.flush();
         }
     }
-}
 
-// ===================================
-// Analytics & Tracking
-// ===================================
+    flush() {
+        if (!this.consentGranted || !this.queue.length || !this.adapters.length) return;
 
-class Analytics {
-    constructor() {
-        this.init();
-    }
+        const batch = this.queue;
+        this.queue = [];
 
-    init() {
-        this.trackPageView();
-        this.trackUserInteractions();
+        this.adapters.forEach(adapter => {
+            try {
+                adapter.send(batch);
+            } catch (error) {
+                console.error('Analytics adapter failed to send:', error);
+            }
+        });
     }
 
     trackPageView() {
-        // Track page view (integrate with Google Analytics, Yandex.Metrica, etc.)
-        console.log('Page view tracked:', window.location.pathname);
+        this.track('page_view', { title: document.title });
     }
 
     trackUserInteractions() {
-        // Track button clicks
+        // Cards and the detail view share the same buy buttons
         document.addEventListener('click', (e) => {
-            if (e.target.matches('.btn, .nav-link, .social-link')) {
-                const elementText = e.target.textContent.trim();
-                const elementClass = e.target.className;
-                console.log('User interaction:', { elementText, elementClass });
+            const addBtn = e.target.closest('[data-action="add-to-cart"]');
+            if (addBtn && addBtn.dataset.productId) {
+                this.track('add_to_cart', { product_id: addBtn.dataset.productId });
             }
         });
+    }
 
-        // Track form submissions
-        document.addEventListener('submit', (e) => {
-            const formClass = e.target.className;
-            console.log('Form submission:', { formClass });
-        });
+    trackScrollDepth() {
+        const thresholds = [25, 50, 75, 100];
+        const reached = new Set();
+
+        window.addEventListener('scroll', utils.throttle(() => {
+            const percent = Math.round(utils.getScrollPercent());
+            thresholds.forEach(threshold => {
+                if (percent >= threshold && !reached.has(threshold)) {
+                    reached.add(threshold);
+                    this.track('scroll_depth', { percent: threshold });
+                }
+            });
+        }, 500));
     }
 }
 
@@ -632,13 +8210,40 @@ class ElectroPowerApp {
 
     initializeComponents() {
         try {
-            // Initialize all components
+            // Translate the static markup before components render into it
+            i18n.init();
+
+            // Initialize all components; toasts first, so every other
+            // component can call showToast() while starting up
+            this.components.toasts = new ToastManager();
+            this.components.languageSwitcher = new LanguageSwitcher();
             this.components.autoScroll = new AutoScroll();
             this.components.mobileNav = new MobileNav();
-            this.components.productTabs = new ProductTabs();
-            this.components.formHandler = new FormHandler();
+            // After MobileNav, so link clicks release the menu's scroll lock first
+            this.components.scrollSpy = new ScrollSpy();
+            this.components.reveal = new RevealEngine();
+            this.components.consent = new ConsentManager();
+            this.components.companyData = new CompanyData();
+            this.components.companyBinding = new CompanyBinding(this.components.companyData);
+            this.components.catalog = new ProductCatalog();
+            this.components.creditPlans = new CreditPlans();
+            this.components.productTabs = new ProductTabs(this.components.catalog, this.components.creditPlans);
+            this.components.leadSubmitter = new LeadSubmitter();
+            this.components.formHandler = new FormHandler(this.components.leadSubmitter);
+            this.components.offlineSupport = new OfflineSupport();
+            this.components.productDetail = new ProductDetail(this.components.catalog, this.components.formHandler, this.components.creditPlans);
+            this.components.productMetadata = new ProductMetadata(this.components.catalog, this.components.companyData);
+            this.components.deliveryTariffs = new DeliveryTariffs(this.components.companyData);
+            this.components.deliveryEstimator = new DeliveryEstimator(this.components.catalog, this.components.deliveryTariffs);
+            this.components.cart = new ShoppingCart(this.components.catalog, this.components.formHandler, this.components.deliveryTariffs);
+            this.components.comparison = new ProductComparison(this.components.catalog);
+            this.components.quiz = new ProductQuiz(this.components.catalog, this.components.formHandler);
+            this.components.installmentCalculator = new InstallmentCalculator(this.components.catalog, this.components.creditPlans);
+            this.components.testDrive = new TestDriveBooking(this.components.catalog, this.components.companyData, this.components.formHandler);
+            this.components.serviceRequest = new ServiceRequest(this.components.catalog, this.components.companyData, this.components.formHandler);
             this.components.performanceOptimizer = new PerformanceOptimizer();
-            this.components.analytics = new Analytics();
+            this.components.videoFacade = new VideoFacade(this.components.consent);
+            this.components.analytics = new Analytics(this.components.consent);
 
             console.log('✅ Electro Power App initialized successfully');
             
@@ -665,6 +8270,22 @@ class ElectroPowerApp {
             return this.components.productTabs?.switchTab(tabButton);
         }
     }
+
+    openProduct(productId) {
+        return this.components.productDetail?.open(productId);
+    }
+
+    addToCart(productId, quantity = 1) {
+        return this.components.cart?.add(productId, quantity);
+    }
+
+    openConsentSettings() {
+        return this.components.consent?.openSettings();
+    }
+
+    setLanguage(lang) {
+        return i18n.setLanguage(lang);
+    }
 }
 
 // ===================================
@@ -763,6 +8384,88 @@ const dynamicStyles = `
         flex: 1;
     }
 
+    .product-installment {
+        font-size: 13px;
+        color: #6c757d;
+        margin: -10px 0 15px;
+    }
+
+    .product-stock {
+        font-size: 13px;
+        font-weight: 500;
+        margin: -8px 0 15px;
+        color: #6c757d;
+    }
+
+    .product-stock-out_of_stock {
+        color: #dc3545;
+    }
+
+    .product-compare-toggle {
+        display: block;
+        margin: 12px auto 0;
+        padding: 4px 8px;
+        border: none;
+        background: none;
+        color: #6c757d;
+        font-size: 13px;
+        cursor: pointer;
+    }
+
+    .product-compare-toggle::before {
+        content: '';
+        display: inline-block;
+        width: 12px;
+        height: 12px;
+        margin-right: 6px;
+        border: 2px solid currentColor;
+        border-radius: 3px;
+        vertical-align: -2px;
+    }
+
+    .product-compare-toggle[aria-pressed="true"] {
+        color: #0066ff;
+    }
+
+    .product-compare-toggle[aria-pressed="true"]::before {
+        background: currentColor;
+    }
+
+    .models-state {
+        grid-column: 1 / -1;
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        gap: 15px;
+        padding: 60px 20px;
+        color: #6c757d;
+        text-align: center;
+    }
+
+    .models-state-loading p::before {
+        content: '';
+        display: block;
+        width: 32px;
+        height: 32px;
+        margin: 0 auto 15px;
+        border: 3px solid #dee2e6;
+        border-top-color: #0066ff;
+        border-radius: 50%;
+        animation: modelsSpin 0.8s linear infinite;
+    }
+
+    .models-state-error {
+        color: #dc3545;
+    }
+
+    .models-state .btn-small {
+        flex: none;
+    }
+
+    @keyframes modelsSpin {
+        to { transform: rotate(360deg); }
+    }
+
     .lazy {
         opacity: 0;
         transition: opacity 0.3s;
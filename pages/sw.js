@@ -0,0 +1,250 @@
+/**
+ * Electro Power - Service Worker
+ * Precaches the storefront shell and product photos so the site opens
+ * offline, refreshes the product feed, styles and scripts with
+ * stale-while-revalidate and sends leads queued offline through
+ * Background Sync.
+ *
+ * main.js registers it as sw.js?assets=<assets URL>: the assets folder is
+ * ../assets/ next to pages/ but assets/ on the flattened Pages deploy.
+ */
+
+'use strict';
+
+// Bump when the precache list changes; activate drops the old caches
+const CACHE_NAME = 'electropower-v3';
+
+// Must match SUBMISSION_CONFIG.syncTag in main.js
+const OUTBOX_SYNC_TAG = 'electropower-outbox';
+
+const ASSETS_URL = new URL(new URL(self.location.href).searchParams.get('assets') || 'assets/', self.location.href).href;
+
+const assetUrl = path => new URL(path, ASSETS_URL).href;
+const pageUrl = path => new URL(path, self.registration.scope).href;
+
+const SHELL_URLS = [
+    pageUrl('index.html'),
+    pageUrl('offline.html'),
+    pageUrl('manifest.webmanifest'),
+    assetUrl('css/style.css'),
+    assetUrl('css/responsive.css'),
+    assetUrl('js/main.js'),
+    assetUrl('data/products.json'),
+    assetUrl('data/credit-plans.json'),
+    assetUrl('data/delivery-tariffs.json'),
+    assetUrl('../company.json'),
+    assetUrl('images/logo.png'),
+    assetUrl('images/hero-transport.png'),
+    assetUrl('favicon/icon-192.png')
+];
+
+// ===================================
+// Lifecycle
+// ===================================
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(SHELL_URLS);
+        await precacheProductImages(cache);
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('electropower-') && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+/**
+ * Product photos come from the feed; a missing one must not fail the install
+ */
+async function precacheProductImages(cache) {
+    const response = await cache.match(assetUrl('data/products.json'));
+    if (!response) return;
+
+    try {
+        const feed = await response.json();
+        const urls = feed.products.flatMap(product => product.images || []).map(assetUrl);
+        await Promise.all([...new Set(urls)].map(url => cache.add(url).catch(() => {})));
+    } catch (error) {
+        console.warn('Product images were not precached:', error.message);
+    }
+}
+
+// ===================================
+// Fetch Strategies
+// ===================================
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirstPage(request));
+    } else if (request.destination === 'image') {
+        event.respondWith(cacheFirst(request));
+    } else if (url.href.startsWith(ASSETS_URL) || SHELL_URLS.includes(url.href)) {
+        // Product feed, company data, styles and main.js: answer from the
+        // cache at once and pick up a new version for the next visit
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+
+/**
+ * Pages come from the network so content updates show up at once; offline
+ * the cached copy is used, then the fallback page with the contacts
+ */
+async function networkFirstPage(request) {
+    const cache = await caches.open(CACHE_NAME);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+
+        if (request.url.split(/[?#]/)[0] === self.registration.scope) {
+            const shell = await cache.match(pageUrl('index.html'));
+            if (shell) return shell;
+        }
+        return cache.match(pageUrl('offline.html'));
+    }
+}
+
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+
+    const network = fetch(event.request).then((response) => {
+        if (response.ok) cache.put(event.request, response.clone());
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+}
+
+// ===================================
+// Lead Outbox
+// ===================================
+
+/**
+ * Leads handed over by the page, kept in IndexedDB because the worker has
+ * no access to localStorage. Each entry is { id, url, headers, body }.
+ */
+const outbox = {
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open('electropower', 1);
+                request.onupgradeneeded = () => request.result.createObjectStore('outbox', { keyPath: 'id' });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    },
+
+    async transaction(mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction('outbox', mode);
+            const request = callback(tx.objectStore('outbox'));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    add(requests) {
+        return this.transaction('readwrite', store => requests.forEach(request => store.put(request)));
+    },
+
+    getAll() {
+        return this.transaction('readonly', store => store.getAll());
+    },
+
+    remove(id) {
+        return this.transaction('readwrite', store => store.delete(id));
+    }
+};
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+    const reply = event.ports[0];
+
+    if (message.type === 'outbox:add' && Array.isArray(message.requests)) {
+        event.waitUntil(outbox.add(message.requests).then(
+            () => reply && reply.postMessage({ ok: true }),
+            error => reply && reply.postMessage({ ok: false, error: error.message })
+        ));
+    }
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === OUTBOX_SYNC_TAG) {
+        event.waitUntil(replayOutbox());
+    }
+});
+
+/**
+ * Send every stored lead. Leads the server rejects outright are dropped,
+ * like in LeadSubmitter.flushQueue(); if any are left, the rejection makes
+ * the browser retry the sync later.
+ */
+async function replayOutbox() {
+    const requests = await outbox.getAll();
+    let sent = 0;
+    let pending = 0;
+
+    for (const item of requests) {
+        let response;
+        try {
+            response = await fetch(item.url, { method: 'POST', headers: item.headers, body: item.body });
+        } catch (error) {
+            pending++;
+            continue;
+        }
+
+        if (response.ok) {
+            sent++;
+            await outbox.remove(item.id);
+        } else if (response.status === 429 || response.status >= 500) {
+            pending++;
+        } else {
+            console.error('Dropping queued lead rejected by the server:', item.id, response.status);
+            await outbox.remove(item.id);
+        }
+    }
+
+    if (sent > 0) {
+        const clients = await self.clients.matchAll({ type: 'window' });
+        clients.forEach(client => client.postMessage({ type: 'outbox:sent', sent }));
+    }
+
+    if (pending > 0) {
+        throw new Error(`${pending} queued lead(s) not sent yet`);
+    }
+}
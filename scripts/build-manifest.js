@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/**
+ * Electro Power - Web app manifest and offline page generator
+ * Builds pages/manifest.webmanifest from the name and `branding` block in
+ * company.json, and pages/offline.html (the service worker's fallback page)
+ * from its contacts, so the installed app follows the company data.
+ *
+ * Usage:
+ *   node scripts/build-manifest.js
+ *
+ * Warns when metadata.next_verification in company.json has passed, so
+ * contacts that may be out of date are noticed on every build.
+ *
+ * Icon paths in company.json are relative to the repository root and are
+ * written relative to pages/ (../assets/...); the deploy workflow rewrites
+ * them to assets/ together with the HTML pages.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PAGES_DIR = path.join(ROOT, 'pages');
+const COMPANY_FILE = path.join(ROOT, 'company.json');
+const OUTPUT_FILE = path.join(PAGES_DIR, 'manifest.webmanifest');
+const OFFLINE_FILE = path.join(PAGES_DIR, 'offline.html');
+
+function buildManifest(company) {
+    const branding = company.branding || {};
+    const name = company.trade_name;
+
+    if (!name) {
+        throw new Error('company.trade_name is missing in company.json');
+    }
+
+    return {
+        name,
+        short_name: branding.short_name || name,
+        description: branding.description || '',
+        lang: 'ru',
+        dir: 'ltr',
+        start_url: './index.html',
+        scope: './',
+        display: 'standalone',
+        theme_color: branding.theme_color || '#ffffff',
+        background_color: branding.background_color || '#ffffff',
+        categories: ['shopping'],
+        icons: (branding.icons || []).map(icon => ({
+            ...icon,
+            src: pageRelative(icon.src)
+        }))
+    };
+}
+
+// ===================================
+// Offline Page
+// ===================================
+
+function pageRelative(src) {
+    return path.relative(PAGES_DIR, path.join(ROOT, src)).split(path.sep).join('/');
+}
+
+function escapeHtml(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value).replace(/[&<>"']/g, char => entities[char]);
+}
+
+/**
+ * "+375297797807" as "+375 (29) 779-78-07"; other numbers stay as they are
+ */
+function formatPhone(number) {
+    const match = String(number).replace(/\D/g, '').match(/^375(\d{2})(\d{3})(\d{2})(\d{2})$/);
+    return match ? `+375 (${match[1]}) ${match[2]}-${match[3]}-${match[4]}` : number;
+}
+
+function contactItem(label, lines) {
+    return `                    <div class="contact-item">
+                        <div>
+                            <strong>${label}:</strong><br>
+                            ${lines.join('<br>\n                            ')}
+                        </div>
+                    </div>`;
+}
+
+function buildOfflinePage(company) {
+    const branding = company.branding || {};
+    const contacts = company.contacts || {};
+    const address = (company.address && (company.address.service_center || company.address.legal)) || {};
+    const icon = (branding.icons || []).find(entry => entry.purpose !== 'maskable');
+    const name = escapeHtml(company.trade_name);
+
+    const items = [
+        contacts.phones && contacts.phones.length && contactItem('Телефоны', contacts.phones.map(phone =>
+            `<a href="tel:${escapeHtml(phone.number)}">${escapeHtml(formatPhone(phone.number))}</a>`)),
+        contacts.emails && contacts.emails.length && contactItem('E-mail', contacts.emails.map(entry =>
+            `<a href="mailto:${escapeHtml(entry.email)}">${escapeHtml(entry.email)}</a>`)),
+        address.full_address && contactItem('Адрес', [escapeHtml(address.full_address)]),
+        contacts.working_hours && contacts.working_hours.schedule
+            && contactItem('Режим работы', [escapeHtml(contacts.working_hours.schedule)])
+    ].filter(Boolean);
+
+    return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Нет соединения - ${name}</title>
+    <meta name="theme-color" content="${escapeHtml(branding.theme_color || '#ffffff')}">
+    <link rel="manifest" href="manifest.webmanifest">
+${icon ? `    <link rel="icon" type="${escapeHtml(icon.type)}" sizes="${escapeHtml(icon.sizes)}" href="${escapeHtml(pageRelative(icon.src))}">\n` : ''}
+    <!-- Generated by scripts/build-manifest.js from company.json; served by
+         the service worker in place of pages it has not cached -->
+    <link rel="stylesheet" href="../assets/css/style.css">
+    <link rel="stylesheet" href="../assets/css/responsive.css">
+</head>
+<body>
+    <main class="offline-page">
+        <div class="container">
+            <div class="offline-card">
+                <img src="../assets/images/logo.png" alt="${name}" class="offline-logo" width="80" height="80">
+                <h1>Нет соединения с интернетом</h1>
+                <p class="offline-text">
+                    Эта страница пока недоступна без сети. Позвоните или напишите нам &mdash;
+                    мы ответим на вопросы и поможем с выбором.
+                </p>
+
+                <div class="contact-info offline-contacts">
+${items.join('\n')}
+                </div>
+
+                <button type="button" class="btn btn-primary offline-retry">Повторить</button>
+            </div>
+        </div>
+    </main>
+
+    <script>
+        // Reload as soon as the connection is back, or on request
+        window.addEventListener('online', function() { window.location.reload(); });
+        document.querySelector('.offline-retry').addEventListener('click', function() { window.location.reload(); });
+    </script>
+</body>
+</html>
+`;
+}
+
+function warnIfStale(metadata) {
+    const due = metadata && Date.parse(metadata.next_verification);
+    if (due && due < Date.now()) {
+        const message = `company.json is overdue for verification: it was due ${metadata.next_verification.slice(0, 10)}, last updated ${String(metadata.last_updated).slice(0, 10)}`;
+        // Shown as an annotation on the workflow run
+        console.warn(process.env.GITHUB_ACTIONS ? `::warning file=company.json::${message}` : `Warning: ${message}`);
+    }
+}
+
+const { company, metadata } = JSON.parse(fs.readFileSync(COMPANY_FILE, 'utf8'));
+warnIfStale(metadata);
+
+const manifest = buildManifest(company);
+
+fs.writeFileSync(OUTPUT_FILE, `${JSON.stringify(manifest, null, 2)}\n`);
+console.log(`Manifest written to ${path.relative(ROOT, OUTPUT_FILE)}`);
+
+fs.writeFileSync(OFFLINE_FILE, buildOfflinePage(company));
+console.log(`Offline page written to ${path.relative(ROOT, OFFLINE_FILE)}`);
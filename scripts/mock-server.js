@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+/**
+ * Electro Power - Local mock server
+ * Serves the site and fakes the lead submission backends, so forms can be
+ * tested end to end without a real API.
+ *
+ * Usage:
+ *   node scripts/mock-server.js
+ *   open http://localhost:8080/
+ *
+ * Environment:
+ *   PORT            - port to listen on (default 8080)
+ *   MOCK_TRANSPORT  - 'http' (default) or 'webhook'
+ *   MOCK_STATUS     - answer every submission with this HTTP status (e.g. 500, 400)
+ *   MOCK_FAIL_RATE  - share of submissions (0..1) answered with 503
+ *   MOCK_DELAY      - delay before answering, in ms
+ *
+ * Endpoints:
+ *   POST /api/leads                 - JSON lead endpoint ('http' transport)
+ *   POST /bot<token>/sendMessage    - Telegram-style webhook ('webhook' transport)
+ *   GET  /api/leads                 - leads received since start
+ *   GET  /api/test-drive/slots      - taken test drive slots (?date=YYYY-MM-DD&model=<id>)
+ *   GET  /api/service/status        - repair status of a service request (?ticket=<number>&phone=<E.164>);
+ *                                     requests move one stage per minute
+ *   POST /api/analytics             - analytics beacon batches, logged to the console
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = Number(process.env.PORT) || 8080;
+const TRANSPORT = process.env.MOCK_TRANSPORT || 'http';
+const FORCED_STATUS = Number(process.env.MOCK_STATUS) || 0;
+const FAIL_RATE = Number(process.env.MOCK_FAIL_RATE) || 0;
+const DELAY = Number(process.env.MOCK_DELAY) || 0;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+const received = [];
+
+// Test drive slots booked since start, keyed by "<date>:<model>"
+const takenSlots = new Map();
+
+// Service requests received since start, keyed by ticket number
+const serviceTickets = new Map();
+const SERVICE_STATUSES = ['received', 'diagnostics', 'repair', 'ready'];
+
+const clientConfig = TRANSPORT === 'webhook'
+    ? { transport: 'webhook', webhookUrl: '/botMOCK/sendMessage', webhookChatId: 'mock-chat' }
+    : { transport: 'http', endpoint: '/api/leads' };
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+async function handleSubmission(req, res, kind) {
+    const raw = await readBody(req);
+
+    let body;
+    try {
+        body = JSON.parse(raw);
+    } catch (error) {
+        sendJson(res, 400, { ok: false, error: 'Invalid JSON' });
+        return;
+    }
+
+    if (DELAY) {
+        await new Promise(resolve => setTimeout(resolve, DELAY));
+    }
+
+    if (FORCED_STATUS) {
+        console.log(`[${kind}] forced ${FORCED_STATUS}`);
+        sendJson(res, FORCED_STATUS, { ok: false, error: 'Forced by MOCK_STATUS' });
+        return;
+    }
+
+    if (Math.random() < FAIL_RATE) {
+        console.log(`[${kind}] simulated 503`);
+        sendJson(res, 503, { ok: false, error: 'Simulated outage' });
+        return;
+    }
+
+    received.push({ kind, receivedAt: new Date().toISOString(), body });
+
+    if (body.type === 'test_drive' && body.data) {
+        const key = `${body.data.date}:${body.data.productId}`;
+        takenSlots.set(key, (takenSlots.get(key) || []).concat(body.data.time));
+    }
+    if (body.type === 'service_request' && body.data) {
+        serviceTickets.set(body.data.ticket, { ...body.data, receivedAt: Date.now() });
+    }
+    // Photos arrive as data: URLs; log their size instead of the content
+    console.log(`[${kind}] received:`, JSON.stringify(body, (key, value) => (
+        typeof value === 'string' && value.startsWith('data:') ? `<${value.length} chars>` : value
+    )));
+
+    if (kind === 'webhook') {
+        sendJson(res, 200, { ok: true, result: { message_id: received.length } });
+    } else {
+        sendJson(res, 201, { ok: true, id: body.id });
+    }
+}
+
+async function handleAnalytics(req, res) {
+    const raw = await readBody(req);
+
+    try {
+        const { events } = JSON.parse(raw);
+        events.forEach(event => console.log('[analytics]', event.name, JSON.stringify(event.params)));
+    } catch (error) {
+        console.log('[analytics] invalid batch:', raw);
+    }
+
+    res.writeHead(204);
+    res.end();
+}
+
+function handleServiceStatus(req, res) {
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    const request = serviceTickets.get(params.get('ticket'));
+
+    if (!request || request.phone !== params.get('phone')) {
+        sendJson(res, 404, { ok: false, error: 'Unknown ticket' });
+        return;
+    }
+
+    const stage = Math.min(Math.floor((Date.now() - request.receivedAt) / 60000), SERVICE_STATUSES.length - 1);
+    sendJson(res, 200, {
+        ticket: request.ticket,
+        product: request.product,
+        status: SERVICE_STATUSES[stage],
+        updatedAt: new Date(request.receivedAt + stage * 60000).toISOString(),
+        note: request.warranty && request.warranty.covered ? 'Гарантийный ремонт' : null
+    });
+}
+
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        // Malformed escapes such as /%E0
+        sendJson(res, 400, { ok: false, error: 'Bad request path' });
+        return;
+    }
+
+    if (urlPath === '/') {
+        res.writeHead(302, { Location: '/pages/index.html' });
+        res.end();
+        return;
+    }
+
+    const filePath = path.join(ROOT, urlPath);
+    if (!filePath.startsWith(ROOT + path.sep)) {
+        sendJson(res, 403, { ok: false });
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+
+        const ext = path.extname(filePath);
+
+        // Point the page at this server before main.js reads its config
+        if (ext === '.html') {
+            const config = `<script>window.ELECTRO_POWER_CONFIG = { submission: ${JSON.stringify(clientConfig)}, testDrive: { slotsEndpoint: '/api/test-drive/slots' }, service: { statusEndpoint: '/api/service/status' }, analytics: { beaconUrl: '/api/analytics' } };</script>`;
+            content = content.toString().replace(/(<script src="[^"]*main\.js"><\/script>)/, `${config}\n    $1`);
+        }
+
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[ext] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && pathname === '/api/test-drive/slots') {
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        const key = `${params.get('date')}:${params.get('model')}`;
+        // Lunch break is always busy, so there is something to exclude
+        sendJson(res, 200, { taken: ['13:30'].concat(takenSlots.get(key) || []) });
+    } else if (req.method === 'GET' && pathname === '/api/service/status') {
+        handleServiceStatus(req, res);
+    } else if (req.method === 'POST' && pathname === '/api/leads') {
+        handleSubmission(req, res, 'http').catch(error => sendJson(res, 500, { ok: false, error: error.message }));
+    } else if (req.method === 'POST' && /^\/bot[^/]+\/sendMessage$/.test(pathname)) {
+        handleSubmission(req, res, 'webhook').catch(error => sendJson(res, 500, { ok: false, error: error.message }));
+    } else if (req.method === 'POST' && pathname === '/api/analytics') {
+        handleAnalytics(req, res).catch(() => sendJson(res, 500, { ok: false }));
+    } else if (req.method === 'GET' && pathname === '/api/leads') {
+        sendJson(res, 200, received);
+    } else if (req.method === 'GET') {
+        serveStatic(req, res);
+    } else {
+        sendJson(res, 405, { ok: false });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock server (${TRANSPORT} transport) running at http://localhost:${PORT}/`);
+});
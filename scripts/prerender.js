@@ -0,0 +1,387 @@
+#!/usr/bin/env node
+/**
+ * Electro Power - Static prerender
+ * Builds crawlable HTML from the product feed with the templates in
+ * main.js, so the static deploy no longer ships an empty catalog:
+ *   - the top models grid and the JSON-LD in pages/index.html
+ *   - pages/products/<id>.html for every product
+ *   - pages/category/<tab>.html for every category tab
+ *   - pages/sitemap.xml
+ * main.js keeps the prerendered markup while it matches the live catalog
+ * version and language, and rebuilds it otherwise.
+ *
+ * Usage:
+ *   node scripts/prerender.js
+ *
+ * Environment:
+ *   SITE_URL - public root of the site (default: the official website
+ *              from company.json). The committed pages use the default;
+ *              the deploy workflow rebuilds them with the GitHub Pages URL.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const PAGES_DIR = path.join(ROOT, 'pages');
+const INDEX_FILE = path.join(PAGES_DIR, 'index.html');
+const MAIN_JS = path.join(ROOT, 'assets', 'js', 'main.js');
+const FEED_FILE = path.join(ROOT, 'assets', 'data', 'products.json');
+const COMPANY_FILE = path.join(ROOT, 'company.json');
+
+// Pages are prerendered in the default language; main.js translates them
+const LANG = 'ru';
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function getSiteUrl() {
+    if (process.env.SITE_URL) {
+        return process.env.SITE_URL.replace(/\/?$/, '/');
+    }
+
+    const { company } = readJson(COMPANY_FILE);
+    const website = (company.verified_sources || []).find(source => source.type === 'official_website');
+    if (!website) {
+        throw new Error('Set SITE_URL: company.json has no official_website source');
+    }
+    return `https://${website.source}/`;
+}
+
+/**
+ * Run main.js in a sandbox laid out like the deployed site, with fetch()
+ * reading from the repository. The app itself never starts: the stub
+ * document stays in the 'loading' state.
+ */
+function loadClient(siteUrl) {
+    const fetchFile = async (url) => {
+        const relative = String(url).startsWith(siteUrl) ? String(url).slice(siteUrl.length) : null;
+
+        try {
+            if (relative === null) throw new Error(`Outside the site: ${url}`);
+            const body = fs.readFileSync(path.join(ROOT, decodeURIComponent(relative.split('?')[0])), 'utf8');
+            return { ok: true, status: 200, json: async () => JSON.parse(body) };
+        } catch (error) {
+            return { ok: false, status: 404, json: async () => { throw error; } };
+        }
+    };
+
+    const context = {
+        console,
+        URL,
+        URLSearchParams,
+        setTimeout,
+        clearTimeout,
+        fetch: fetchFile,
+        location: { href: `${siteUrl}index.html`, search: '', hash: '' },
+        navigator: { languages: [LANG] },
+        document: {
+            // Where the deploy puts main.js; assets resolve under the site
+            // root even when it is a subpath (GitHub project pages)
+            currentScript: { src: `${siteUrl}assets/js/main.js` },
+            readyState: 'loading',
+            head: { insertAdjacentHTML() {} },
+            addEventListener() {},
+            dispatchEvent() {},
+            querySelector: () => null,
+            querySelectorAll: () => []
+        },
+        CustomEvent: class CustomEvent {
+            constructor(type, init = {}) {
+                this.type = type;
+                this.detail = init.detail;
+            }
+        }
+    };
+    context.window = context;
+
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(MAIN_JS, 'utf8'), context, { filename: MAIN_JS });
+
+    return vm.runInContext(`({
+        i18n, utils, ProductCatalog, CreditPlans, CompanyData,
+        ProductTabs, ProductDetail, ProductMetadata, CompanyBinding, PRODUCT_SCHEMA
+    })`, context);
+}
+
+async function createRenderer(client) {
+    const catalog = new client.ProductCatalog();
+    const creditPlans = new client.CreditPlans();
+    const companyData = new client.CompanyData();
+
+    await Promise.all([catalog.load(), creditPlans.load(), companyData.load()]);
+    if (catalog.source !== 'feed') {
+        throw new Error('The product feed could not be loaded');
+    }
+
+    // Component instances without their DOM setup; only templates are used
+    const create = (Class, props) => Object.assign(Object.create(Class.prototype), props);
+
+    return {
+        catalog,
+        companyData,
+        tabs: create(client.ProductTabs, { catalog, creditPlans }),
+        detail: create(client.ProductDetail, { catalog, creditPlans }),
+        metadata: create(client.ProductMetadata, { catalog, companyData }),
+        binding: create(client.CompanyBinding, { companyData })
+    };
+}
+
+// ===================================
+// Markup Helpers
+// ===================================
+
+function jsonLd(attribute, data) {
+    const json = JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+    return `<script type="application/ld+json" ${attribute}>\n${json}\n    </script>`;
+}
+
+/**
+ * Replace the content between <!-- prerender:name --> markers
+ */
+function fillBlock(page, name, content) {
+    const pattern = new RegExp(`(<!-- prerender:${name} -->)[\\s\\S]*?(\\n[ \\t]*<!-- /prerender:${name} -->)`);
+    if (!pattern.test(page)) {
+        throw new Error(`Missing prerender:${name} markers in pages/index.html`);
+    }
+    return page.replace(pattern, (match, start, end) => `${start}\n${content}${end}`);
+}
+
+/**
+ * Turn absolute site URLs in body markup into paths relative to a page
+ * `depth` folders below pages/. Assets sit next to pages/ in the repo; the
+ * deploy workflow flattens "../assets/" like on every other page.
+ */
+function relativize(markup, siteUrl, depth) {
+    const up = '../'.repeat(depth);
+    return markup
+        .split(`${siteUrl}assets/`).join(`../${up}assets/`)
+        .split(siteUrl).join(up);
+}
+
+function setMeta(page, attribute, name, content, escape) {
+    const pattern = new RegExp(`(<meta ${attribute}="${name}" content=")[^"]*(")`);
+    return page.replace(pattern, (match, start, end) => `${start}${escape(content)}${end}`);
+}
+
+function renderGrid(openingTag, tab, version, cards) {
+    const tag = openingTag
+        .replace(/\s+data-(prerendered|catalog-version|lang)="[^"]*"/g, '')
+        .replace(/>$/, ` data-prerendered="${tab}" data-catalog-version="${version}" data-lang="${LANG}">`);
+    return `${tag}${cards}</div>`;
+}
+
+function renderBreadcrumbs(items, escape) {
+    const links = items.map(({ href, labelKey, label }) => {
+        const text = labelKey
+            ? `<span data-i18n="${labelKey}">${escape(label)}</span>`
+            : escape(label);
+        return href
+            ? `<li><a href="${escape(href)}">${text}</a></li>`
+            : `<li aria-current="page">${text}</li>`;
+    });
+
+    return `<nav class="breadcrumbs" aria-label="Навигационная цепочка" data-i18n-attr="aria-label:breadcrumbs.label">
+                    <ol>
+                        ${links.join('\n                        ')}
+                    </ol>
+                </nav>`;
+}
+
+// ===================================
+// Pages
+// ===================================
+
+/**
+ * Shared chrome for pages one folder below pages/: index.html with its
+ * <main> replaced, links pointed back at the store and page-specific
+ * meta tags
+ */
+function buildSubpage(template, options) {
+    const { client, siteUrl, title, description, url, image, type, structuredData, main } = options;
+    const escape = client.utils.escapeHtml;
+
+    let page = template
+        .replace(/(href|src)="(\.\.\/)?assets\//g, '$1="../../assets/')
+        .replace('href="manifest.webmanifest"', 'href="../manifest.webmanifest"')
+        .replace(/href="#([^"]*)"/g, (match, hash) => (hash ? `href="../index.html#${hash}"` : 'href="../index.html"'));
+
+    page = page.replace(/<title[^>]*>[\s\S]*?<\/title>/, `<title>${escape(title)}</title>`);
+    page = setMeta(page, 'name', 'description', description, escape);
+    page = page.replace(/(<meta name="description"[^>]*>)/, `$1\n    <link rel="canonical" href="${escape(url)}">`);
+    page = setMeta(page, 'property', 'og:title', title, escape);
+    page = setMeta(page, 'property', 'og:description', description, escape);
+    page = setMeta(page, 'property', 'og:type', type, escape);
+    page = setMeta(page, 'property', 'og:url', url, escape);
+    page = setMeta(page, 'name', 'twitter:title', title, escape);
+    page = setMeta(page, 'name', 'twitter:description', description, escape);
+    if (image) {
+        page = setMeta(page, 'property', 'og:image', image, escape);
+        page = setMeta(page, 'name', 'twitter:image', image, escape);
+    }
+
+    page = fillBlock(page, 'structured-data', `    ${structuredData.join('\n    ')}`);
+    page = page.replace(/<main class="main-content">[\s\S]*<\/main>/, () => relativize(main, siteUrl, 1));
+    return page;
+}
+
+function renderProductPage(template, renderer, client, siteUrl, product) {
+    const { i18n, utils } = client;
+    const share = renderer.metadata.getShareData(product);
+    const url = renderer.metadata.getProductUrl(product);
+
+    const breadcrumbs = renderBreadcrumbs([
+        { href: `${siteUrl}index.html`, labelKey: 'breadcrumbs.home', label: i18n.t('breadcrumbs.home') },
+        { href: `${siteUrl}category/${product.category}.html`, labelKey: `category.${product.category}`, label: i18n.t(`category.${product.category}`) },
+        { label: product.name }
+    ], utils.escapeHtml);
+
+    const main = `<main class="main-content">
+        <section class="product-page" data-product-id="${utils.escapeHtml(product.id)}" data-lang="${LANG}">
+            <div class="container">
+                ${breadcrumbs}
+                <div class="product-page-detail">${renderer.detail.renderProduct(product, 'productPageTitle')}</div>
+            </div>
+        </section>
+    </main>`;
+
+    return buildSubpage(template, {
+        client,
+        siteUrl,
+        url,
+        main,
+        title: share.title,
+        description: share.description,
+        image: share.image,
+        type: 'product',
+        structuredData: [
+            jsonLd('data-company-jsonld', renderer.binding.buildStructuredData()),
+            jsonLd('data-product-jsonld', { '@context': 'https://schema.org', ...renderer.metadata.buildProduct(product) })
+        ]
+    });
+}
+
+function renderCategoryPage(template, renderer, client, siteUrl, category) {
+    const { i18n, utils } = client;
+    const products = renderer.catalog.getByCategory(category);
+    const name = i18n.t(`category.${category}`);
+    const company = renderer.companyData.get('trade_name', 'Electro Power');
+
+    const breadcrumbs = renderBreadcrumbs([
+        { href: `${siteUrl}index.html`, labelKey: 'breadcrumbs.home', label: i18n.t('breadcrumbs.home') },
+        { labelKey: `category.${category}`, label: name }
+    ], utils.escapeHtml);
+
+    const cards = products.map(product => String(renderer.tabs.renderCard(product))).join('');
+    const grid = renderGrid('<div class="models-grid" data-reveal-stagger="80">', category, renderer.catalog.version, cards);
+
+    const main = `<main class="main-content">
+        <section class="top-models category-page">
+            <div class="container">
+                ${breadcrumbs}
+                <h2 class="section-title" data-i18n="category.${category}">${utils.escapeHtml(name)}</h2>
+                ${grid}
+                <div class="category-page-more">
+                    <a href="${siteUrl}index.html#catalog" class="btn btn-outline" data-i18n="category.all">${utils.escapeHtml(i18n.t('category.all'))}</a>
+                </div>
+            </div>
+        </section>
+    </main>`;
+
+    return buildSubpage(template, {
+        client,
+        siteUrl,
+        main,
+        url: `${siteUrl}category/${category}.html`,
+        title: i18n.t('meta.categoryTitle', { category: name, company }),
+        description: i18n.t('meta.categoryDescription', { category: name, company }),
+        image: products[0] && products[0].images[0],
+        type: 'website',
+        structuredData: [
+            jsonLd('data-company-jsonld', renderer.binding.buildStructuredData()),
+            jsonLd('data-category-jsonld', { '@context': 'https://schema.org', ...renderer.metadata.buildItemList(category) })
+        ]
+    });
+}
+
+function renderIndex(template, renderer, client, siteUrl) {
+    const activeTab = (template.match(/class="tab-button active"[^>]*data-tab="([\w-]+)"/) || [])[1] || 'scooters';
+    const cards = renderer.catalog.getByCategory(activeTab).map(product => String(renderer.tabs.renderCard(product))).join('');
+
+    let page = setMeta(template, 'property', 'og:url', siteUrl, client.utils.escapeHtml);
+    page = fillBlock(page, 'structured-data', [
+        `    ${jsonLd('data-company-jsonld', renderer.binding.buildStructuredData())}`,
+        `    ${jsonLd('data-catalog-jsonld', renderer.metadata.buildStructuredData())}`
+    ].join('\n'));
+
+    const gridBlock = page.match(/<!-- prerender:models-grid -->\s*(<div class="models-grid"[^>]*>)/);
+    if (!gridBlock) {
+        throw new Error('Missing .models-grid inside the prerender:models-grid markers');
+    }
+    const grid = renderGrid(gridBlock[1], activeTab, renderer.catalog.version, relativize(cards, siteUrl, 0));
+    page = fillBlock(page, 'models-grid', `                ${grid}`);
+
+    return page;
+}
+
+function renderSitemap(siteUrl, urls, lastmod) {
+    const entries = urls.map(url => `  <url>\n    <loc>${url}</loc>\n    <lastmod>${lastmod}</lastmod>\n  </url>`);
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${entries.join('\n')}\n</urlset>\n`;
+}
+
+/**
+ * Write generated pages into a folder that holds nothing else, so pages of
+ * removed products don't linger
+ */
+function writeFolder(name, files) {
+    const dir = path.join(PAGES_DIR, name);
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(dir, { recursive: true });
+    Object.entries(files).forEach(([file, content]) => fs.writeFileSync(path.join(dir, file), content));
+}
+
+async function main() {
+    const siteUrl = getSiteUrl();
+    const client = loadClient(siteUrl);
+    client.i18n.lang = LANG;
+
+    const renderer = await createRenderer(client);
+    const categories = client.PRODUCT_SCHEMA.properties.category.enum
+        .filter(category => renderer.catalog.getByCategory(category).length);
+
+    const template = fs.readFileSync(INDEX_FILE, 'utf8');
+    const index = renderIndex(template, renderer, client, siteUrl);
+
+    const productPages = {};
+    renderer.catalog.products.forEach(product => {
+        productPages[`${product.id}.html`] = renderProductPage(index, renderer, client, siteUrl, product);
+    });
+
+    const categoryPages = {};
+    categories.forEach(category => {
+        categoryPages[`${category}.html`] = renderCategoryPage(index, renderer, client, siteUrl, category);
+    });
+
+    fs.writeFileSync(INDEX_FILE, index);
+    writeFolder('products', productPages);
+    writeFolder('category', categoryPages);
+
+    const lastmod = String(readJson(FEED_FILE).updated_at || new Date().toISOString()).slice(0, 10);
+    const urls = [
+        siteUrl,
+        ...categories.map(category => `${siteUrl}category/${category}.html`),
+        ...renderer.catalog.products.map(product => renderer.metadata.getProductUrl(product))
+    ];
+    fs.writeFileSync(path.join(PAGES_DIR, 'sitemap.xml'), renderSitemap(siteUrl, urls, lastmod));
+
+    console.log(`Prerendered index.html, ${renderer.catalog.products.length} product and ${categories.length} category pages, sitemap.xml`);
+}
+
+main().catch(error => {
+    console.error('Prerender failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * Electro Power - Markup escaping check
+ * Renders the product card, the product view and the mini cart from
+ * main.js with a hostile product and fails if any of its data ends up as
+ * markup or as a javascript: URL.
+ *
+ * Usage:
+ *   node scripts/test-escaping.js
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const MAIN_JS = path.join(ROOT, 'assets', 'js', 'main.js');
+
+const PAYLOAD = '<img src=x onerror=alert(1)>';
+const SCRIPT_URL = 'javascript:alert(1)';
+
+const HOSTILE_PRODUCT = {
+    id: 'hostile" onmouseover="alert(1)',
+    name: `${PAYLOAD}"'`,
+    category: 'scooters',
+    price: 999,
+    currency: 'BYN',
+    stock: 'in_stock',
+    badges: ['hit'],
+    images: [SCRIPT_URL, ` JaVa\tScRiPt:alert(1)`, 'data:text/html,<script>alert(1)</script>'],
+    description: `<script>alert(1)</script>${PAYLOAD}`,
+    specs: { maxSpeed: 25 }
+};
+
+/**
+ * Run main.js in a sandbox without a DOM; the app itself never starts
+ * because the stub document stays in the 'loading' state
+ */
+function loadClient() {
+    const context = {
+        console,
+        URL,
+        URLSearchParams,
+        setTimeout,
+        clearTimeout,
+        location: { href: 'https://example.com/index.html', search: '', hash: '' },
+        navigator: { languages: ['ru'] },
+        document: {
+            currentScript: null,
+            readyState: 'loading',
+            head: { insertAdjacentHTML() {} },
+            addEventListener() {},
+            dispatchEvent() {},
+            querySelector: () => null,
+            querySelectorAll: () => []
+        },
+        CustomEvent: class CustomEvent {}
+    };
+    context.window = context;
+
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(MAIN_JS, 'utf8'), context, { filename: MAIN_JS });
+
+    return vm.runInContext('({ utils, html, SafeHtml, ProductTabs, ProductDetail, ShoppingCart })', context);
+}
+
+/**
+ * Markup must not contain the payload as tags, event handler attributes
+ * or script URLs
+ */
+function assertInert(markup, label) {
+    assert.ok(!markup.includes('<img src=x'), `${label}: unescaped <img> tag`);
+    assert.ok(!markup.includes('<script>'), `${label}: unescaped <script> tag`);
+
+    for (const tag of markup.match(/<[a-z][^>]*>/gi) || []) {
+        const attributes = tag.replace(/"[^"]*"/g, '""');
+        assert.ok(!/\son[a-z]+=/i.test(attributes), `${label}: event handler in ${tag}`);
+        assert.ok(!/(src|href)="\s*[a-z]*script:|(src|href)="\s*data:/i.test(tag), `${label}: script URL in ${tag}`);
+    }
+}
+
+function testSafeHtml({ html, SafeHtml }) {
+    assert.strictEqual(SafeHtml.from(PAYLOAD), '&lt;img src=x onerror=alert(1)&gt;');
+    assert.strictEqual(SafeHtml.from([['<a>', [html`<b>${'<i>'}</b>`]], null, false, 0]),
+        '&lt;a&gt;<b>&lt;i&gt;</b>0');
+    assert.strictEqual(SafeHtml.from(undefined), '');
+
+    const nested = html`<ul>${[1, 2].map(index => html`<li>${[PAYLOAD, index]}</li>`)}</ul>`;
+    assert.strictEqual(String(nested),
+        '<ul><li>&lt;img src=x onerror=alert(1)&gt;1</li><li>&lt;img src=x onerror=alert(1)&gt;2</li></ul>');
+    assert.strictEqual(String(html`<a title="${'" onclick="x'}">`), '<a title="&quot; onclick=&quot;x">');
+}
+
+function testSafeUrl({ utils }) {
+    for (const url of [SCRIPT_URL, ' javascript:alert(1)', 'java\nscript:alert(1)', 'JAVASCRIPT:x', 'data:text/html,x', 'vbscript:x']) {
+        assert.strictEqual(utils.safeUrl(url), '', `safeUrl kept ${JSON.stringify(url)}`);
+    }
+    for (const url of ['../assets/images/a.jpg', '/a.jpg', 'https://example.com/a.jpg', 'images/a.jpg']) {
+        assert.strictEqual(utils.safeUrl(url), url);
+    }
+}
+
+function testProductCard({ ProductTabs }) {
+    const tabs = Object.assign(Object.create(ProductTabs.prototype), { creditPlans: null });
+    const markup = String(tabs.renderCard(HOSTILE_PRODUCT));
+
+    assertInert(markup, 'ProductTabs.renderCard');
+    assert.ok(markup.includes('<h3 class="product-title">&lt;img src=x onerror=alert(1)&gt;&quot;&#39;</h3>'));
+    assert.ok(markup.includes('data-product-id="hostile&quot; onmouseover=&quot;alert(1)"'));
+    assert.ok(markup.includes('<img src="" alt="&lt;img'));
+}
+
+function testProductDetail({ ProductDetail }) {
+    const detail = Object.assign(Object.create(ProductDetail.prototype), { creditPlans: null });
+    const markup = String(detail.renderProduct(HOSTILE_PRODUCT, '"><script>alert(1)</script>'));
+
+    assertInert(markup, 'ProductDetail.renderProduct');
+    assert.ok(markup.includes('&lt;script&gt;alert(1)&lt;/script&gt;&lt;img src=x onerror=alert(1)&gt;</p>'));
+    assert.ok(!markup.includes('src="data:'));
+}
+
+function testCart({ ShoppingCart }) {
+    const stub = () => ({ hidden: false, textContent: '', innerHTML: '', setAttribute() {} });
+    const cart = Object.assign(Object.create(ShoppingCart.prototype), {
+        catalog: { getById: id => (id === HOSTILE_PRODUCT.id ? HOSTILE_PRODUCT : null) },
+        items: [{ id: HOSTILE_PRODUCT.id, quantity: 2 }],
+        maxQuantity: 10,
+        container: stub(),
+        badge: stub(),
+        toggleBtn: stub(),
+        panel: stub()
+    });
+    cart.render();
+    const markup = String(cart.panel.innerHTML);
+
+    assertInert(markup, 'ShoppingCart.render');
+    assert.ok(markup.includes('<span class="mini-cart-name">&lt;img src=x onerror=alert(1)&gt;&quot;&#39;</span>'));
+}
+
+const client = loadClient();
+const tests = { testSafeHtml, testSafeUrl, testProductCard, testProductDetail, testCart };
+let failed = 0;
+
+for (const [name, test] of Object.entries(tests)) {
+    try {
+        test(client);
+        console.log(`ok - ${name}`);
+    } catch (error) {
+        failed++;
+        console.error(`not ok - ${name}\n  ${error.message}`);
+    }
+}
+
+process.exitCode = failed ? 1 : 0;